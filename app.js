@@ -1,8 +1,21 @@
 /**
  * KQXS Professional JavaScript Architecture
  * Modular approach with separation of concerns
+ *
+ * ES module without side effects: pages start KQXSApp from main.js and Node
+ * tools import the data, model and rendering modules directly.
  */
 
+import {
+  Disposables,
+  Store,
+  THEME_CONFIG,
+  ThemeManager,
+  AnimationManager,
+  UIManager,
+  PerformanceManager
+} from './modules.js';
+
 // ================================================== //
 // CORE UTILITIES MODULE                              //
 // ================================================== //
@@ -16,7 +29,7 @@ const Utils = {
    */
   debounce(func, wait) {
     let timeout;
-    return function executedFunction(...args) {
+    const executedFunction = function(...args) {
       const later = () => {
         clearTimeout(timeout);
         func(...args);
@@ -24,6 +37,9 @@ const Utils = {
       clearTimeout(timeout);
       timeout = setTimeout(later, wait);
     };
+    // Drop a pending call, e.g. when the listener is disposed
+    executedFunction.cancel = () => clearTimeout(timeout);
+    return executedFunction;
   },
 
   /**
@@ -34,13 +50,19 @@ const Utils = {
    */
   throttle(func, limit) {
     let inThrottle;
-    return function executedFunction(...args) {
+    let timeout;
+    const executedFunction = function(...args) {
       if (!inThrottle) {
         func.apply(this, args);
         inThrottle = true;
-        setTimeout(() => inThrottle = false, limit);
+        timeout = setTimeout(() => inThrottle = false, limit);
       }
     };
+    executedFunction.cancel = () => {
+      clearTimeout(timeout);
+      inThrottle = false;
+    };
+    return executedFunction;
   },
 
   /**
@@ -88,13 +110,24 @@ const Utils = {
     }, 16);
   },
 
+  /**
+   * Format an amount in đồng
+   * @param {number} amount - Amount in đồng
+   * @returns {string} Formatted amount, e.g. "500.000.000 ₫"
+   */
+  formatCurrency(amount) {
+    return `${amount.toLocaleString('vi-VN')} ₫`;
+  },
+
   /**
    * Show toast notification
    * @param {string} message - Message to show
    * @param {string} type - Type of toast (success, error, warning, info)
-   * @param {number} duration - Duration in milliseconds
+   * @param {Object} options - { duration: ms, disposables: a manager's
+   *   Disposables, so its destroy() removes the toast and its timers }
+   * @returns {Function} Removes the toast early
    */
-  showToast(message, type = 'info', duration = 3000) {
+  showToast(message, type = 'info', { duration = 3000, disposables = new Disposables() } = {}) {
     const toast = document.createElement('div');
     toast.className = `toast toast--${type}`;
     toast.textContent = message;
@@ -102,17 +135,20 @@ const Utils = {
     toast.setAttribute('aria-live', 'polite');
     
     document.body.appendChild(toast);
+    const remove = disposables.element(toast);
     
     // Animate in
-    requestAnimationFrame(() => {
+    disposables.requestAnimationFrame(() => {
       toast.classList.add('toast--visible');
     });
     
     // Remove after duration
-    setTimeout(() => {
+    disposables.setTimeout(() => {
       toast.classList.remove('toast--visible');
-      setTimeout(() => toast.remove(), 300);
+      disposables.setTimeout(remove, 300);
     }, duration);
+
+    return remove;
   },
 
   /**
@@ -142,6 +178,131 @@ const Utils = {
     }
     
     return element;
+  },
+
+  /**
+   * Build element markup without a DOM; the string counterpart of createElement
+   * @param {string} tag - HTML tag
+   * @param {Object} attributes - Element attributes (className, dataset, ...)
+   * @param {string} content - Inner HTML
+   * @returns {string} HTML string
+   */
+  renderTag(tag, attributes = {}, content = '') {
+    const attrs = Object.entries(attributes).flatMap(([key, value]) => {
+      if (key === 'className') {
+        return [['class', value]];
+      }
+      if (key === 'dataset') {
+        return Object.entries(value).map(([dataKey, dataValue]) => [
+          `data-${dataKey.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`,
+          dataValue
+        ]);
+      }
+      return [[key, value]];
+    });
+
+    const attributeText = attrs
+      .map(([name, value]) => ` ${name}="${this.escapeAttribute(value)}"`)
+      .join('');
+    return `<${tag}${attributeText}>${content}</${tag}>`;
+  },
+
+  /**
+   * Escape a value for use inside a double-quoted attribute
+   * @param {*} value - Attribute value
+   * @returns {string} Escaped value
+   */
+  escapeAttribute(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+  },
+
+  /**
+   * Escape a value for use as HTML text, e.g. strings taken from a payload
+   * @param {*} value - Text
+   * @returns {string} Escaped text
+   */
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Short, stable hash of a string (32-bit FNV-1a)
+   * @param {string} text - Text to hash
+   * @returns {string} Hex digest
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  },
+
+  /**
+   * Wait for a number of milliseconds
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} signal - Rejects early when aborted
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(Utils.createAbortError(signal));
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(Utils.createAbortError(signal));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  },
+
+  /**
+   * Build the error an aborted operation rejects with
+   * @param {AbortSignal} signal - Aborted signal
+   * @returns {Error} The signal's reason, or a generic AbortError
+   */
+  createAbortError(signal) {
+    if (signal && signal.reason) {
+      return signal.reason;
+    }
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+  },
+
+  /**
+   * Check whether an error comes from an aborted request
+   * @param {Error} error - Error to test
+   * @returns {boolean} True for AbortError
+   */
+  isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+  },
+
+  /**
+   * Get localStorage for user preferences
+   * @returns {Storage|null} localStorage, or null where it is missing or blocked
+   */
+  getStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
   }
 };
 
@@ -149,52 +310,393 @@ const Utils = {
 // CACHE MANAGER MODULE                               //
 // ================================================== //
 
+const CACHE_CONFIG = {
+  memoryEntries: 100,              // Entries kept in memory
+  defaultTTL: 300000,              // 5 minutes
+  todayTTL: 60000,                 // Today's results may still change
+  persistentEntries: 2000,         // Entries kept in IndexedDB/localStorage
+  persistentBytes: 4 * 1024 * 1024, // Approximate size budget of the persistent tier
+  dbName: 'kqxs-cache',
+  storeName: 'entries',
+  storagePrefix: 'kqxs-cache:'
+};
+
+/**
+ * Base class of the persistent cache tier. Subclasses implement the raw
+ * async operations (read, write, remove, readAll, removeAll); this class
+ * enforces the size limits by evicting the oldest entries first.
+ *
+ * Eviction works from an in-memory index of key -> { timestamp, size },
+ * read from the store once and kept up to date by set, delete and clear,
+ * so a write doesn't have to read every record back.
+ */
+class PersistentStore {
+  constructor({ maxEntries = CACHE_CONFIG.persistentEntries, maxBytes = CACHE_CONFIG.persistentBytes } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.stats = { entries: 0, bytes: 0, evictions: 0 };
+    this.index = null;
+    // Writes run one at a time so concurrent evictions don't race
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a write operation after the pending ones
+   * @param {Function} operation - Async operation
+   * @returns {Promise} Operation result
+   */
+  enqueue(operation) {
+    const run = this.queue.then(operation);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get the eviction index, reading it from the store on first use
+   * @returns {Promise<Map>} key -> { timestamp, size }
+   */
+  async getIndex() {
+    if (!this.index) {
+      const records = await this.readAll();
+      this.index = new Map(records.map(record => [record.key, { timestamp: record.timestamp, size: record.size }]));
+    }
+    return this.index;
+  }
+
+  async get(key) {
+    return this.read(key);
+  }
+
+  /**
+   * Store an entry, then evict old entries beyond the limits
+   * @param {string} key - Cache key
+   * @param {Object} entry - { value, timestamp, expires, regions }
+   */
+  set(key, entry) {
+    const record = { ...entry, key, size: JSON.stringify(entry.value).length };
+    return this.enqueue(async () => {
+      const index = await this.getIndex();
+      await this.write(key, record);
+      index.delete(key);
+      index.set(key, { timestamp: record.timestamp, size: record.size });
+      await this.evict();
+    });
+  }
+
+  delete(key) {
+    return this.enqueue(async () => {
+      await this.remove(key);
+      if (this.index) this.index.delete(key);
+    });
+  }
+
+  async entries() {
+    return this.readAll();
+  }
+
+  clear() {
+    return this.enqueue(async () => {
+      await this.removeAll();
+      this.index = new Map();
+      this.stats.entries = 0;
+      this.stats.bytes = 0;
+    });
+  }
+
+  /**
+   * Re-read the index (other tabs share the store), evict the oldest
+   * entries beyond the limits and refresh the stats
+   * @returns {Promise} Resolves after pending writes and the eviction
+   */
+  enforceLimits() {
+    return this.enqueue(() => {
+      this.index = null;
+      return this.evict();
+    });
+  }
+
+  async evict() {
+    const index = await this.getIndex();
+    let bytes = 0;
+    index.forEach(({ size }) => { bytes += size; });
+
+    if (index.size > this.maxEntries || bytes > this.maxBytes) {
+      const oldest = [...index.entries()].sort(([, a], [, b]) => a.timestamp - b.timestamp);
+
+      for (const [key, { size }] of oldest) {
+        if (index.size <= this.maxEntries && bytes <= this.maxBytes) break;
+        await this.remove(key);
+        index.delete(key);
+        bytes -= size;
+        this.stats.evictions++;
+      }
+    }
+
+    this.stats.entries = index.size;
+    this.stats.bytes = bytes;
+  }
+
+  /**
+   * Remove the single oldest entry, e.g. to make room after a quota error
+   * @returns {Promise<boolean>} False when there was nothing to remove
+   */
+  async evictOldest() {
+    const index = await this.getIndex();
+    let oldestKey = null;
+    let oldestTime = Infinity;
+    index.forEach(({ timestamp }, key) => {
+      if (timestamp < oldestTime) {
+        oldestKey = key;
+        oldestTime = timestamp;
+      }
+    });
+
+    if (oldestKey === null) return false;
+
+    const { size } = index.get(oldestKey);
+    await this.remove(oldestKey);
+    index.delete(oldestKey);
+    this.stats.evictions++;
+    this.stats.entries = index.size;
+    this.stats.bytes = Math.max(0, this.stats.bytes - size);
+    return true;
+  }
+
+  /**
+   * Get store statistics, as of the last write, clear or enforceLimits()
+   * @returns {Object} { type, entries, bytes, evictions, maxEntries, maxBytes }
+   */
+  getStats() {
+    return { type: this.type, ...this.stats, maxEntries: this.maxEntries, maxBytes: this.maxBytes };
+  }
+}
+
+class IndexedDBStore extends PersistentStore {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'indexeddb';
+    this.dbName = options.dbName || CACHE_CONFIG.dbName;
+    this.storeName = options.storeName || CACHE_CONFIG.storeName;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Run one request in a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise} Request result
+   */
+  async transaction(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async read(key) {
+    return (await this.transaction('readonly', store => store.get(key))) || null;
+  }
+
+  write(key, record) {
+    return this.transaction('readwrite', store => store.put(record));
+  }
+
+  remove(key) {
+    return this.transaction('readwrite', store => store.delete(key));
+  }
+
+  readAll() {
+    return this.transaction('readonly', store => store.getAll());
+  }
+
+  removeAll() {
+    return this.transaction('readwrite', store => store.clear());
+  }
+}
+
+class LocalStorageStore extends PersistentStore {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'localstorage';
+    this.prefix = options.prefix || CACHE_CONFIG.storagePrefix;
+  }
+
+  async read(key) {
+    const raw = localStorage.getItem(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async write(key, record) {
+    const raw = JSON.stringify(record);
+    for (;;) {
+      try {
+        localStorage.setItem(this.prefix + key, raw);
+        return;
+      } catch (error) {
+        // Quota exceeded (the origin's other data counts too): drop the
+        // oldest entries until it fits, keeping the configured budget
+        if (!(await this.evictOldest())) throw error;
+      }
+    }
+  }
+
+  async remove(key) {
+    localStorage.removeItem(this.prefix + key);
+  }
+
+  async readAll() {
+    return this.storageKeys().map(key => JSON.parse(localStorage.getItem(key)));
+  }
+
+  async removeAll() {
+    this.storageKeys().forEach(key => localStorage.removeItem(key));
+  }
+
+  storageKeys() {
+    return Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i))
+      .filter(key => key && key.startsWith(this.prefix));
+  }
+}
+
+/**
+ * Pick the best persistent store available: IndexedDB, then localStorage
+ * @param {Object} options - Store options
+ * @returns {PersistentStore|null} Store, or null outside the browser
+ */
+function createPersistentStore(options = {}) {
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDBStore(options);
+  }
+  try {
+    if (typeof localStorage !== 'undefined') {
+      return new LocalStorageStore(options);
+    }
+  } catch (error) {
+    // Storage disabled (e.g. privacy mode)
+  }
+  return null;
+}
+
 class CacheManager {
-  constructor(maxSize = 100, ttl = 300000) { // 5 minutes default TTL
+  /**
+   * @param {number} maxSize - Entries kept in memory
+   * @param {number} ttl - Default time to live in milliseconds
+   * @param {PersistentStore|null} store - Optional persistent tier
+   */
+  constructor(maxSize = CACHE_CONFIG.memoryEntries, ttl = CACHE_CONFIG.defaultTTL, store = null) {
     this.cache = new Map();
     this.maxSize = maxSize;
     this.ttl = ttl; // Time to live in milliseconds
+    this.store = store;
+    this.stats = { hits: 0, misses: 0, evictions: 0 };
   }
 
   /**
-   * Set cache entry
+   * Set cache entry in memory and, when configured, the persistent tier
    * @param {string} key - Cache key
    * @param {*} value - Value to cache
+   * @param {Object} options - { ttl: ms or Infinity to keep forever, regions: tags for clearRegion() }
+   */
+  set(key, value, options = {}) {
+    const ttl = options.ttl ?? this.ttl;
+    const entry = {
+      value,
+      timestamp: Date.now(),
+      expires: ttl === Infinity ? null : Date.now() + ttl,
+      regions: options.regions || []
+    };
+
+    this.remember(key, entry);
+
+    if (this.store) {
+      this.store.set(key, entry).catch(error => console.warn('Persistent cache write failed:', error));
+    }
+  }
+
+  /**
+   * Put an entry in the memory tier, evicting the oldest entry if full
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
    */
-  set(key, value) {
-    // Remove oldest entries if cache is full
+  remember(key, entry) {
+    this.cache.delete(key);
+
     if (this.cache.size >= this.maxSize) {
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
+      this.stats.evictions++;
     }
 
-    this.cache.set(key, {
-      value,
-      timestamp: Date.now()
-    });
+    this.cache.set(key, entry);
   }
 
   /**
-   * Get cache entry
+   * Get cache entry from memory
    * @param {string} key - Cache key
    * @returns {*} Cached value or null
    */
   get(key) {
     const entry = this.cache.get(key);
     
-    if (!entry) {
+    if (!entry || this.isExpired(entry)) {
+      this.stats.misses++;
       return null;
     }
 
-    // Check if entry has expired
-    if (Date.now() - entry.timestamp > this.ttl) {
-      this.cache.delete(key);
+    this.stats.hits++;
+    return entry.value;
+  }
+
+  /**
+   * Get cache entry from memory, then from the persistent tier
+   * @param {string} key - Cache key
+   * @param {Object} options - { stale: also return expired entries }
+   * @returns {Promise<*>} Cached value or null
+   */
+  async load(key, { stale = false } = {}) {
+    let entry = this.cache.get(key);
+
+    if (!entry && this.store) {
+      try {
+        entry = await this.store.get(key);
+        if (entry) this.remember(key, entry);
+      } catch (error) {
+        console.warn('Persistent cache read failed:', error);
+      }
+    }
+
+    if (!entry || (!stale && this.isExpired(entry))) {
+      this.stats.misses++;
       return null;
     }
 
+    this.stats.hits++;
     return entry.value;
   }
 
+  /**
+   * Check whether an entry is past its expiry
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} Whether expired
+   */
+  isExpired(entry) {
+    return entry.expires !== null && Date.now() > entry.expires;
+  }
+
   /**
    * Check if key exists and is valid
    * @param {string} key - Cache key
@@ -206,732 +708,6600 @@ class CacheManager {
 
   /**
    * Clear all cache entries
+   * @returns {Promise} Resolves once the persistent tier is cleared
    */
   clear() {
     this.cache.clear();
+    return this.store ? this.store.clear() : Promise.resolve();
+  }
+
+  /**
+   * Remove every entry tagged with a region
+   * @param {string} region - Region code
+   * @returns {Promise<number>} Number of persistent entries removed
+   */
+  async clearRegion(region) {
+    [...this.cache.entries()]
+      .filter(([, entry]) => entry.regions.includes(region))
+      .forEach(([key]) => this.cache.delete(key));
+
+    if (!this.store) return 0;
+
+    const records = (await this.store.entries()).filter(record => record.regions.includes(region));
+    await Promise.all(records.map(record => this.store.delete(record.key)));
+    await this.store.enforceLimits();
+    return records.length;
   }
 
   /**
    * Get cache statistics
-   * @returns {Object} Cache stats
+   * @returns {Object} Cache stats; `persistent` is null without a persistent tier
    */
   getStats() {
     return {
       size: this.cache.size,
       maxSize: this.maxSize,
-      ttl: this.ttl
+      ttl: this.ttl,
+      ...this.stats,
+      persistent: this.store ? this.store.getStats() : null
     };
   }
 }
 
 // ================================================== //
-// API SERVICE MODULE                                 //
+// PROVINCE SCHEDULE MODULE                           //
 // ================================================== //
 
-class APIService {
-  constructor(baseURL = '/api') {
-    this.baseURL = baseURL;
-    this.cache = new CacheManager();
-  }
+/**
+ * Lottery stations keyed by province code.
+ * `drawDays` uses Date#getDay numbering (0 = Chủ nhật, 6 = Thứ bảy).
+ */
+const PROVINCES = {
+  // Miền Bắc - one XSMB ticket a day, hosted by a rotating station
+  HN: { code: 'HN', name: 'Hà Nội', region: 'north', drawDays: [1, 4] },
+  QN: { code: 'QN', name: 'Quảng Ninh', region: 'north', drawDays: [2] },
+  BN: { code: 'BN', name: 'Bắc Ninh', region: 'north', drawDays: [3] },
+  HP: { code: 'HP', name: 'Hải Phòng', region: 'north', drawDays: [5] },
+  ND: { code: 'ND', name: 'Nam Định', region: 'north', drawDays: [6] },
+  TB: { code: 'TB', name: 'Thái Bình', region: 'north', drawDays: [0] },
 
-  /**
-   * Make HTTP request
-   * @param {string} endpoint - API endpoint
-   * @param {Object} options - Request options
-   * @returns {Promise} Response promise
-   */
-  async request(endpoint, options = {}) {
-    const url = `${this.baseURL}${endpoint}`;
-    const config = {
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers
-      },
-      ...options
-    };
+  // Miền Trung
+  TTH: { code: 'TTH', name: 'Thừa Thiên Huế', region: 'central', drawDays: [1, 0] },
+  PY: { code: 'PY', name: 'Phú Yên', region: 'central', drawDays: [1] },
+  DLK: { code: 'DLK', name: 'Đắk Lắk', region: 'central', drawDays: [2] },
+  QNM: { code: 'QNM', name: 'Quảng Nam', region: 'central', drawDays: [2] },
+  DNG: { code: 'DNG', name: 'Đà Nẵng', region: 'central', drawDays: [3, 6] },
+  KH: { code: 'KH', name: 'Khánh Hòa', region: 'central', drawDays: [3, 0] },
+  BDI: { code: 'BDI', name: 'Bình Định', region: 'central', drawDays: [4] },
+  QT: { code: 'QT', name: 'Quảng Trị', region: 'central', drawDays: [4] },
+  QB: { code: 'QB', name: 'Quảng Bình', region: 'central', drawDays: [4] },
+  GL: { code: 'GL', name: 'Gia Lai', region: 'central', drawDays: [5] },
+  NT: { code: 'NT', name: 'Ninh Thuận', region: 'central', drawDays: [5] },
+  QNG: { code: 'QNG', name: 'Quảng Ngãi', region: 'central', drawDays: [6] },
+  DNO: { code: 'DNO', name: 'Đắk Nông', region: 'central', drawDays: [6] },
+  KT: { code: 'KT', name: 'Kon Tum', region: 'central', drawDays: [0] },
 
-    try {
-      const response = await fetch(url, config);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
+  // Miền Nam
+  HCM: { code: 'HCM', name: 'TP. Hồ Chí Minh', region: 'south', drawDays: [1, 6] },
+  DT: { code: 'DT', name: 'Đồng Tháp', region: 'south', drawDays: [1] },
+  CM: { code: 'CM', name: 'Cà Mau', region: 'south', drawDays: [1] },
+  BTR: { code: 'BTR', name: 'Bến Tre', region: 'south', drawDays: [2] },
+  VT: { code: 'VT', name: 'Vũng Tàu', region: 'south', drawDays: [2] },
+  BL: { code: 'BL', name: 'Bạc Liêu', region: 'south', drawDays: [2] },
+  DN: { code: 'DN', name: 'Đồng Nai', region: 'south', drawDays: [3] },
+  CT: { code: 'CT', name: 'Cần Thơ', region: 'south', drawDays: [3] },
+  ST: { code: 'ST', name: 'Sóc Trăng', region: 'south', drawDays: [3] },
+  TN: { code: 'TN', name: 'Tây Ninh', region: 'south', drawDays: [4] },
+  AG: { code: 'AG', name: 'An Giang', region: 'south', drawDays: [4] },
+  BTH: { code: 'BTH', name: 'Bình Thuận', region: 'south', drawDays: [4] },
+  VL: { code: 'VL', name: 'Vĩnh Long', region: 'south', drawDays: [5] },
+  BD: { code: 'BD', name: 'Bình Dương', region: 'south', drawDays: [5] },
+  TV: { code: 'TV', name: 'Trà Vinh', region: 'south', drawDays: [5] },
+  LA: { code: 'LA', name: 'Long An', region: 'south', drawDays: [6] },
+  BP: { code: 'BP', name: 'Bình Phước', region: 'south', drawDays: [6] },
+  HG: { code: 'HG', name: 'Hậu Giang', region: 'south', drawDays: [6] },
+  TG: { code: 'TG', name: 'Tiền Giang', region: 'south', drawDays: [0] },
+  KG: { code: 'KG', name: 'Kiên Giang', region: 'south', drawDays: [0] },
+  DL: { code: 'DL', name: 'Đà Lạt', region: 'south', drawDays: [0] }
+};
 
-      return await response.json();
-    } catch (error) {
-      console.error('API Request failed:', error);
-      throw error;
-    }
-  }
+const WEEKDAY_NAMES = ['Chủ nhật', 'Thứ hai', 'Thứ ba', 'Thứ tư', 'Thứ năm', 'Thứ sáu', 'Thứ bảy'];
+
+// Draw times of regions THEME_CONFIG (modules.js) does not list
+const DEFAULT_DRAW_TIMES = { north: '18:15', central: '17:00', south: '16:00' };
+
+// Draws follow Vietnam time (Asia/Ho_Chi_Minh), UTC+7 all year without DST
+const DRAW_UTC_OFFSET_MINUTES = 7 * 60;
+
+/**
+ * Periods without draws, inclusive. Omitting `regions` suspends all three.
+ * Extend with DrawSchedule.addSuspension() when the lottery board
+ * announces the next Tết break.
+ */
+const DRAW_SUSPENSIONS = [
+  { from: '2025-01-28', to: '2025-01-31', reason: 'Nghỉ Tết Ất Tỵ' },
+  { from: '2026-02-16', to: '2026-02-19', reason: 'Nghỉ Tết Bính Ngọ' }
+];
+
+const DrawSchedule = {
+  suspensions: [...DRAW_SUSPENSIONS],
 
   /**
-   * Get lottery results with caching
-   * @param {string} date - Date string
-   * @param {string} region - Region code
-   * @returns {Promise} Results promise
+   * Convert a Date to its local YYYY-MM-DD key, passing strings through
+   * @param {string|Date} date - Date string (YYYY-MM-DD) or Date
+   * @returns {string} Date key
    */
-  async getLotteryResults(date, region = 'all') {
-    const cacheKey = `results_${date}_${region}`;
-    
-    // Check cache first
-    const cachedResult = this.cache.get(cacheKey);
-    if (cachedResult) {
-      return cachedResult;
+  toDateKey(date) {
+    if (typeof date === 'string') {
+      return date;
     }
 
-    try {
-      const results = await this.request(`/results?date=${date}&region=${region}`);
-      
-      // Cache the results
-      this.cache.set(cacheKey, results);
-      
-      return results;
-    } catch (error) {
-      // Return mock data for demo purposes
-      return this.getMockResults(region);
-    }
-  }
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  },
 
   /**
-   * Get mock results for demo
-   * @param {string} region - Region code
-   * @returns {Object} Mock results
-   */
-  getMockResults(region) {
-    const regions = {
-      north: {
-        name: 'Miền Bắc',
-        date: new Date().toLocaleDateString('vi-VN'),
-        prizes: [
-          { name: 'Giải đặc biệt', numbers: ['12345'] },
-          { name: 'Giải nhất', numbers: ['67890'] },
-          { name: 'Giải nhì', numbers: ['11111', '22222'] },
-          { name: 'Giải ba', numbers: ['33333', '44444', '55555', '66666', '77777', '88888'] }
-        ]
-      },
-      central: {
-        name: 'Miền Trung',
-        date: new Date().toLocaleDateString('vi-VN'),
-        prizes: [
-          { name: 'Giải đặc biệt', numbers: ['54321'] },
-          { name: 'Giải nhất', numbers: ['09876'] },
-          { name: 'Giải nhì', numbers: ['99999', '88888'] },
-          { name: 'Giải ba', numbers: ['77777', '66666', '55555', '44444', '33333', '22222'] }
-        ]
-      },
-      south: {
-        name: 'Miền Nam',
-        date: new Date().toLocaleDateString('vi-VN'),
-        prizes: [
-          { name: 'Giải đặc biệt', numbers: ['98765'] },
-          { name: 'Giải nhất', numbers: ['43210'] },
-          { name: 'Giải nhì', numbers: ['11111', '33333'] },
-          { name: 'Giải ba', numbers: ['22222', '44444', '55555', '66666', '77777', '99999'] }
-        ]
-      }
-    };
-
-    return region === 'all' ? regions : { [region]: regions[region] };
-  }
-}
+   * Get the draw date key of a moment: the calendar day in Vietnam, which
+   * differs from the local one for visitors far from UTC+7
+   * @param {Date} now - Reference time
+   * @returns {string} Date key
+   */
+  today(now = new Date()) {
+    return new Date(now.getTime() + DRAW_UTC_OFFSET_MINUTES * 60000).toISOString().split('T')[0];
+  },
 
-// ================================================== //
+  /**
+   * Get the moment a time of day in Vietnam occurs on a draw date
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {string} time - Time of day in Vietnam (HH:MM)
+   * @returns {Date} Absolute time
+   */
+  getVietnamTime(dateKey, time = '00:00') {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hours, minutes) - DRAW_UTC_OFFSET_MINUTES * 60000);
+  },
+
+  /**
+   * Get the moment a region starts drawing on a date
+   * @param {string} region - Region code
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {Date} Absolute time
+   */
+  getDrawStart(region, dateKey) {
+    return this.getVietnamTime(dateKey, this.getDrawTime(region));
+  },
+
+  /**
+   * Parse a date key as local midnight, for display. `new Date(dateKey)`
+   * would be UTC midnight, the previous day west of Greenwich.
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {Date} Local date
+   */
+  toDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
+
+  /**
+   * Shift a date key by a number of days
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {number} days - Days to add
+   * @returns {string} Shifted date key
+   */
+  addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+  },
+
+  /**
+   * Get weekday of a draw date
+   * @param {string|Date} date - Date string (YYYY-MM-DD) or Date
+   * @returns {number} Weekday (0 = Chủ nhật)
+   */
+  getWeekday(date) {
+    return new Date(`${this.toDateKey(date)}T00:00:00Z`).getUTCDay();
+  },
+
+  /**
+   * Get the daily draw time of a region from THEME_CONFIG (modules.js)
+   * @param {string} region - Region code
+   * @returns {string} Draw time (HH:MM)
+   */
+  getDrawTime(region) {
+    return THEME_CONFIG[region]?.drawTime || DEFAULT_DRAW_TIMES[region];
+  },
+
+  /**
+   * Register a period without draws
+   * @param {Object} suspension - { from, to, reason, regions? }
+   */
+  addSuspension(suspension) {
+    this.suspensions.push(suspension);
+  },
+
+  /**
+   * Replace all configured suspensions
+   * @param {Array<Object>} suspensions - List of { from, to, reason, regions? }
+   */
+  setSuspensions(suspensions) {
+    this.suspensions = [...suspensions];
+  },
+
+  /**
+   * Find the suspension covering a region on a date
+   * @param {string} region - Region code
+   * @param {string|Date} date - Draw date
+   * @returns {Object|null} Matching suspension
+   */
+  getSuspension(region, date) {
+    const dateKey = this.toDateKey(date);
+    return this.suspensions.find(suspension =>
+      dateKey >= suspension.from &&
+      dateKey <= suspension.to &&
+      (!suspension.regions || suspension.regions.includes(region))
+    ) || null;
+  },
+
+  /**
+   * Check whether draws of a region are suspended on a date
+   * @param {string} region - Region code
+   * @param {string|Date} date - Draw date
+   * @returns {boolean} Whether suspended
+   */
+  isSuspended(region, date) {
+    return this.getSuspension(region, date) !== null;
+  },
+
+  /**
+   * Get provinces of a region drawing on a given date
+   * @param {string} region - Region code
+   * @param {string|Date} date - Draw date
+   * @returns {Array<Object>} Provinces in draw order, empty when suspended
+   */
+  getProvinces(region, date) {
+    if (this.isSuspended(region, date)) {
+      return [];
+    }
+
+    const weekday = this.getWeekday(date);
+    return Object.values(PROVINCES).filter(province =>
+      province.region === region && province.drawDays.includes(weekday)
+    );
+  },
+
+  /**
+   * Get every region's stations for a date
+   * @param {string|Date} date - Draw date
+   * @returns {Array<Object>} One entry per region: { region, provinces, suspension }
+   */
+  getDrawsOn(date) {
+    return Object.keys(PRIZE_SCHEMAS).map(region => ({
+      region,
+      drawTime: this.getDrawTime(region),
+      provinces: this.getProvinces(region, date),
+      suspension: this.getSuspension(region, date)
+    }));
+  },
+
+  /**
+   * Find the next draw of a province
+   * @param {string} provinceCode - Province code
+   * @param {Date} from - Reference time, defaults to now
+   * @returns {Object|null} { date, drawTime, province } or null if unknown
+   */
+  getNextDraw(provinceCode, from = new Date()) {
+    const province = PROVINCES[provinceCode];
+    if (!province) {
+      return null;
+    }
+
+    const drawTime = this.getDrawTime(province.region);
+    const today = this.today(from);
+
+    // Two months covers any weekly slot plus the longest Tết break
+    for (let offset = 0; offset < 60; offset++) {
+      const dateKey = this.addDays(today, offset);
+
+      if (offset === 0 && from >= this.getDrawStart(province.region, dateKey)) {
+        continue;
+      }
+
+      const drawsToday = this.getProvinces(province.region, dateKey)
+        .some(item => item.code === provinceCode);
+
+      if (drawsToday) {
+        return { date: dateKey, drawTime, province };
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Get the full weekly schedule of a region
+   * @param {string} region - Region code
+   * @returns {Array<Object>} One entry per weekday: { weekday, name, provinces }
+   */
+  getWeekSchedule(region) {
+    return WEEKDAY_NAMES.map((name, weekday) => ({
+      weekday,
+      name,
+      provinces: Object.values(PROVINCES).filter(province =>
+        province.region === region && province.drawDays.includes(weekday)
+      )
+    }));
+  }
+};
+
+// ================================================== //
+// RESULT MODEL MODULE                                //
+// ================================================== //
+
+/**
+ * Prize structure of each region, ordered from the special prize down.
+ * `count` is how many numbers a tier draws, `digits` their exact length.
+ * `provinceCount` bounds how many stations draw per day, and
+ * `displayFromLowest` lists Giải Tám first the way XSMT/XSMN tickets are read.
+ */
+const PRIZE_SCHEMAS = {
+  north: {
+    code: 'XSMB',
+    name: 'Miền Bắc',
+    totalNumbers: 27,
+    provinceCount: { min: 1, max: 1 },
+    displayFromLowest: false,
+    tiers: [
+      { key: 'special', name: 'Giải đặc biệt', shortName: 'ĐB', count: 1, digits: 5 },
+      { key: 'first', name: 'Giải nhất', shortName: 'G1', count: 1, digits: 5 },
+      { key: 'second', name: 'Giải nhì', shortName: 'G2', count: 2, digits: 5 },
+      { key: 'third', name: 'Giải ba', shortName: 'G3', count: 6, digits: 5 },
+      { key: 'fourth', name: 'Giải tư', shortName: 'G4', count: 4, digits: 4 },
+      { key: 'fifth', name: 'Giải năm', shortName: 'G5', count: 6, digits: 4 },
+      { key: 'sixth', name: 'Giải sáu', shortName: 'G6', count: 3, digits: 3 },
+      { key: 'seventh', name: 'Giải bảy', shortName: 'G7', count: 4, digits: 2 }
+    ]
+  },
+  central: {
+    code: 'XSMT',
+    name: 'Miền Trung',
+    totalNumbers: 18,
+    provinceCount: { min: 2, max: 4 },
+    displayFromLowest: true,
+    tiers: [
+      { key: 'special', name: 'Giải đặc biệt', shortName: 'ĐB', count: 1, digits: 6 },
+      { key: 'first', name: 'Giải nhất', shortName: 'G1', count: 1, digits: 5 },
+      { key: 'second', name: 'Giải nhì', shortName: 'G2', count: 1, digits: 5 },
+      { key: 'third', name: 'Giải ba', shortName: 'G3', count: 2, digits: 5 },
+      { key: 'fourth', name: 'Giải tư', shortName: 'G4', count: 7, digits: 5 },
+      { key: 'fifth', name: 'Giải năm', shortName: 'G5', count: 1, digits: 4 },
+      { key: 'sixth', name: 'Giải sáu', shortName: 'G6', count: 3, digits: 4 },
+      { key: 'seventh', name: 'Giải bảy', shortName: 'G7', count: 1, digits: 3 },
+      { key: 'eighth', name: 'Giải tám', shortName: 'G8', count: 1, digits: 2 }
+    ]
+  }
+};
+
+// Miền Nam uses the same ticket layout as Miền Trung
+PRIZE_SCHEMAS.south = {
+  ...PRIZE_SCHEMAS.central,
+  code: 'XSMN',
+  name: 'Miền Nam'
+};
+
+/**
+ * Raised when a results payload does not match its region's prize schema
+ */
+class ResultValidationError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Array<string>} errors - Individual validation problems
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ResultValidationError';
+    this.errors = errors;
+  }
+}
+
+const ResultModel = {
+  /**
+   * Get prize schema for a region
+   * @param {string} region - Region code
+   * @returns {Object|null} Prize schema
+   */
+  getSchema(region) {
+    return PRIZE_SCHEMAS[region] || null;
+  },
+
+  /**
+   * Validate a single region result against its prize schema
+   * @param {string} region - Region code
+   * @param {Object} data - Region result ({ date, provinces: [{ code, prizes }] })
+   * @param {Object} options - { partial: allow numbers not drawn yet (null) }
+   * @returns {Array<string>} Validation errors, empty when valid
+   */
+  validateRegion(region, data, options = {}) {
+    const schema = this.getSchema(region);
+    if (!schema) {
+      return [`Miền không hợp lệ: ${region}`];
+    }
+
+    if (!data || typeof data !== 'object') {
+      return [`${schema.code}: thiếu dữ liệu kết quả`];
+    }
+
+    const errors = [];
+
+    if (!data.date || Number.isNaN(new Date(data.date).getTime())) {
+      errors.push(`${schema.code}: ngày quay không hợp lệ (${data.date})`);
+    }
+
+    // A suspended day (e.g. Tết) legitimately carries no tickets
+    if (data.suspended) {
+      if (Array.isArray(data.provinces) && data.provinces.length > 0) {
+        errors.push(`${schema.code}: ngày tạm ngưng không được có kết quả`);
+      }
+      return errors;
+    }
+
+    if (!Array.isArray(data.provinces)) {
+      errors.push(`${schema.code}: thiếu danh sách đài`);
+      return errors;
+    }
+
+    const { min, max } = schema.provinceCount;
+    if (data.provinces.length < min || data.provinces.length > max) {
+      errors.push(`${schema.code}: cần từ ${min} đến ${max} đài, nhận ${data.provinces.length}`);
+    }
+
+    const seenCodes = new Set();
+    data.provinces.forEach(province => {
+      const code = province?.code;
+
+      if (!PROVINCES[code] || PROVINCES[code].region !== region) {
+        errors.push(`${schema.code}: đài không thuộc miền "${code}"`);
+      } else if (seenCodes.has(code)) {
+        errors.push(`${schema.code}: đài ${code} bị lặp`);
+      }
+      seenCodes.add(code);
+
+      errors.push(...this.validatePrizes(schema, `${schema.code} ${code}`, province?.prizes, options));
+    });
+
+    return errors;
+  },
+
+  /**
+   * Validate the prize list of one province ticket
+   * @param {Object} schema - Region prize schema
+   * @param {string} label - Prefix for error messages
+   * @param {Array} prizes - Prize list ([{ tier, numbers }])
+   * @param {Object} options - { partial }
+   * @returns {Array<string>} Validation errors
+   */
+  validatePrizes(schema, label, prizes, options = {}) {
+    if (!Array.isArray(prizes)) {
+      return [`${label}: thiếu danh sách giải`];
+    }
+
+    const errors = [];
+    const knownTiers = schema.tiers.map(tier => tier.key);
+
+    prizes.forEach(prize => {
+      if (!knownTiers.includes(prize?.tier)) {
+        errors.push(`${label}: giải không xác định "${prize?.tier}"`);
+      }
+    });
+
+    schema.tiers.forEach(tier => {
+      const matches = prizes.filter(prize => prize?.tier === tier.key);
+
+      if (matches.length === 0) {
+        // During a live draw later tiers simply have not been drawn yet
+        if (!options.partial) {
+          errors.push(`${label}: thiếu ${tier.name}`);
+        }
+        return;
+      }
+      if (matches.length > 1) {
+        errors.push(`${label}: ${tier.name} bị lặp`);
+        return;
+      }
+
+      const { numbers } = matches[0];
+      const validLength = options.partial
+        ? Array.isArray(numbers) && numbers.length <= tier.count
+        : Array.isArray(numbers) && numbers.length === tier.count;
+
+      if (!validLength) {
+        errors.push(`${label}: ${tier.name} cần ${tier.count} số`);
+        return;
+      }
+
+      numbers.forEach(number => {
+        if (options.partial && number === null) {
+          return;
+        }
+        if (typeof number !== 'string' || !new RegExp(`^\\d{${tier.digits}}$`).test(number)) {
+          errors.push(`${label}: ${tier.name} có số "${number}" không đúng ${tier.digits} chữ số`);
+        }
+      });
+    });
+
+    return errors;
+  },
+
+  /**
+   * Normalize a region result: order prizes by schema and attach names.
+   * Numbers not drawn yet are kept as null and flag the result `partial`.
+   * @param {string} region - Region code
+   * @param {Object} data - Region result
+   * @param {Object} options - { partial }
+   * @returns {Object} Normalized region result
+   * @throws {ResultValidationError} When the payload is malformed
+   */
+  normalizeRegion(region, data, options = {}) {
+    const errors = this.validateRegion(region, data, options);
+    if (errors.length > 0) {
+      throw new ResultValidationError(`Kết quả ${region} không hợp lệ`, errors);
+    }
+
+    const schema = this.getSchema(region);
+    const date = Utils.formatDateForAPI(new Date(data.date));
+    const base = {
+      region,
+      code: schema.code,
+      name: schema.name,
+      date,
+      weekday: WEEKDAY_NAMES[DrawSchedule.getWeekday(date)]
+    };
+
+    if (data.suspended) {
+      return { ...base, suspended: true, reason: data.reason || '', provinces: [] };
+    }
+
+    const provinces = data.provinces.map(province => ({
+      code: province.code,
+      name: PROVINCES[province.code].name,
+      prizes: schema.tiers.map(tier => {
+        const prize = province.prizes.find(item => item.tier === tier.key);
+        return {
+          tier: tier.key,
+          name: tier.name,
+          shortName: tier.shortName,
+          numbers: Array.from({ length: tier.count }, (_, index) => prize?.numbers[index] ?? null)
+        };
+      })
+    }));
+
+    const partial = provinces.some(province =>
+      province.prizes.some(prize => prize.numbers.includes(null))
+    );
+
+    return partial ? { ...base, partial, provinces } : { ...base, provinces };
+  },
+
+  /**
+   * Parse a results payload keyed by region
+   * @param {Object} payload - Raw payload ({ north: {...}, ... })
+   * @param {string} region - Requested region code or 'all'
+   * @param {Object} options - { partial }
+   * @returns {Object} Normalized payload keyed by region
+   * @throws {ResultValidationError} When any region is malformed
+   */
+  parse(payload, region = 'all', options = {}) {
+    if (!payload || typeof payload !== 'object') {
+      throw new ResultValidationError('Dữ liệu kết quả trống', ['payload rỗng']);
+    }
+
+    const regions = region === 'all' ? Object.keys(payload) : [region];
+    const errors = [];
+    const parsed = {};
+
+    regions.forEach(regionKey => {
+      try {
+        parsed[regionKey] = this.normalizeRegion(regionKey, payload[regionKey], options);
+      } catch (error) {
+        errors.push(...error.errors);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new ResultValidationError('Dữ liệu kết quả không hợp lệ', errors);
+    }
+
+    return parsed;
+  }
+};
+
+// ================================================== //
+// RESULT PROVENANCE MODULE                           //
+// ================================================== //
+
+/**
+ * Where a result came from. Only authoritative results may be shown
+ * without a warning banner.
+ */
+const PROVENANCE = {
+  live: {
+    authoritative: true,
+    label: 'Kết quả chính thức'
+  },
+  cached: {
+    authoritative: true,
+    label: 'Kết quả chính thức (bộ nhớ đệm)'
+  },
+  'offline-cached': {
+    authoritative: false,
+    label: 'Bản lưu ngoại tuyến',
+    message: 'Không kết nối được máy chủ. Đang hiển thị bản lưu trước đó.'
+  },
+  demo: {
+    authoritative: false,
+    label: 'Dữ liệu minh hoạ',
+    message: 'Đây là số minh hoạ, KHÔNG phải kết quả xổ số thật.'
+  },
+  unknown: {
+    authoritative: false,
+    label: 'Chưa xác minh',
+    message: 'Chưa xác định được nguồn dữ liệu, vui lòng đối chiếu với kết quả chính thức.'
+  }
+};
+
+const ResultProvenance = {
+  /**
+   * Get the provenance key of a region result
+   * @param {Object} regionData - Region result
+   * @returns {string} PROVENANCE key; untagged data is 'unknown'
+   */
+  get(regionData) {
+    return PROVENANCE[regionData?.provenance] ? regionData.provenance : 'unknown';
+  },
+
+  /**
+   * Check whether a region result may be shown as real
+   * @param {Object} regionData - Region result
+   * @returns {boolean} Whether the result is authoritative
+   */
+  isAuthoritative(regionData) {
+    return PROVENANCE[this.get(regionData)].authoritative;
+  },
+
+  /**
+   * Tag every region of a results object. Non-authoritative data is never
+   * upgraded, so demo numbers read back from cache stay labelled as demo.
+   * @param {Object} results - Results keyed by region
+   * @param {string} provenance - PROVENANCE key
+   * @returns {Object} New results object with tagged region copies
+   */
+  tag(results, provenance) {
+    return Object.fromEntries(Object.entries(results).map(([region, regionData]) => {
+      const keep = regionData.provenance && !this.isAuthoritative(regionData);
+      return [region, { ...regionData, provenance: keep ? regionData.provenance : provenance }];
+    }));
+  },
+
+  /**
+   * Find the least trustworthy provenance among several results
+   * @param {Array<Object>} list - Region results
+   * @returns {string|null} PROVENANCE key, or null if every result is authoritative
+   */
+  summarize(list) {
+    const order = ['demo', 'unknown', 'offline-cached'];
+    const found = new Set(list.map(regionData => this.get(regionData)));
+    return order.find(key => found.has(key)) || null;
+  }
+};
+
+// ================================================== //
+// LOTO ANALYZER MODULE                               //
+// ================================================== //
+
+const LotoAnalyzer = {
+  /**
+   * Extract the lô tô (last two digits) of every drawn number on a ticket
+   * @param {Array} prizes - Prize list ([{ tier, numbers }])
+   * @returns {Array<Object>} Lotos: { loto, tier }
+   */
+  getLotos(prizes) {
+    return prizes.flatMap(prize =>
+      prize.numbers
+        .filter(number => number !== null)
+        .map(number => ({ loto: number.slice(-2), tier: prize.tier }))
+    );
+  },
+
+  /**
+   * Group a ticket's lotos by đầu (tens digit) and đuôi (units digit)
+   * @param {Array} prizes - Prize list ([{ tier, numbers }])
+   * @returns {Object} { special, total, heads, tails } where heads[d] / tails[d]
+   *                   are the sorted lotos starting / ending with digit d
+   */
+  buildTable(prizes) {
+    const lotos = this.getLotos(prizes);
+    const heads = Array.from({ length: 10 }, () => []);
+    const tails = Array.from({ length: 10 }, () => []);
+
+    lotos.forEach(({ loto }) => {
+      heads[Number(loto[0])].push(loto);
+      tails[Number(loto[1])].push(loto);
+    });
+
+    heads.forEach(list => list.sort());
+    tails.forEach(list => list.sort());
+
+    return {
+      special: lotos.find(item => item.tier === 'special')?.loto || null,
+      total: lotos.length,
+      heads,
+      tails
+    };
+  }
+};
+
+// ================================================== //
+// STATISTICS MODULE                                  //
+// ================================================== //
+
+const LotteryStatistics = {
+  /**
+   * Aggregate loto statistics over a range of draws
+   * @param {Array<Object>} history - Normalized region results, one per draw day
+   * @returns {Object} { from, to, days, draws, total, frequency, heads, tails, evenOdd, bigSmall }
+   *                   frequency[n] counts loto n (00–99); heads/tails count đầu/đuôi digits;
+   *                   each province on a day counts as one draw
+   */
+  compute(history) {
+    const frequency = new Array(100).fill(0);
+    const heads = new Array(10).fill(0);
+    const tails = new Array(10).fill(0);
+    let draws = 0;
+    let total = 0;
+    let even = 0;
+    let big = 0;
+
+    history.forEach(regionData => {
+      regionData.provinces.forEach(province => {
+        draws++;
+
+        LotoAnalyzer.getLotos(province.prizes).forEach(({ loto }) => {
+          const value = Number(loto);
+
+          frequency[value]++;
+          heads[Math.floor(value / 10)]++;
+          tails[value % 10]++;
+          total++;
+
+          if (value % 2 === 0) even++;
+          if (value >= 50) big++;
+        });
+      });
+    });
+
+    const dates = history.map(regionData => regionData.date).sort();
+
+    return {
+      from: dates[0] || null,
+      to: dates[dates.length - 1] || null,
+      days: history.length,
+      draws,
+      total,
+      frequency,
+      heads,
+      tails,
+      evenOdd: { even, odd: total - even },
+      bigSmall: { big, small: total - big }
+    };
+  },
+
+  /**
+   * Rank lotos by how often they came out
+   * @param {Array<number>} frequency - Counts indexed by loto
+   * @param {number} limit - Number of entries to return
+   * @param {string} order - 'desc' for most frequent, 'asc' for least frequent
+   * @returns {Array<Object>} [{ number, count }]
+   */
+  rank(frequency, limit = 10, order = 'desc') {
+    const direction = order === 'asc' ? 1 : -1;
+
+    return frequency
+      .map((count, value) => ({ number: String(value).padStart(2, '0'), count }))
+      .sort((a, b) => direction * (a.count - b.count) || a.number.localeCompare(b.number))
+      .slice(0, limit);
+  },
+
+  /**
+   * Frequency of the "kép" lotos (00, 11, ..., 99)
+   * @param {Array<number>} frequency - Counts indexed by loto
+   * @returns {Array<Object>} [{ number, count }] sorted by count
+   */
+  getDoubles(frequency) {
+    return this.rank(frequency.map((count, value) => (value % 11 === 0 ? count : -1)), 10)
+      .filter(item => item.count >= 0);
+  },
+
+  /**
+   * Express a part of a total as a percentage
+   * @param {number} part - Part
+   * @param {number} total - Total
+   * @returns {number} Percentage rounded to one decimal
+   */
+  percent(part, total) {
+    return total === 0 ? 0 : Math.round((part / total) * 1000) / 10;
+  }
+};
+
+// ================================================== //
+// LÔ GAN MODULE                                      //
+// ================================================== //
+
+const LotoGanAnalyzer = {
+  /**
+   * Compute how long every two-digit number has been absent ("gan")
+   * @param {Array<Object>} history - Normalized region results, one per draw day
+   * @param {Object} options - { province: code or null for the whole region, type: 'loto' | 'special' }
+   *                           'special' tracks đề gan, the last two digits of the special prize
+   * @returns {Object} { from, to, draws, numbers: [{ number, currentGan, maxGan, lastSeen, count }] }
+   *                   Gan is counted in draws of the selected province (or region days);
+   *                   a number never seen has currentGan = maxGan = draws and lastSeen = null
+   */
+  compute(history, { province = null, type = 'loto' } = {}) {
+    const draws = this.getDraws(history, province, type);
+    const entries = Array.from({ length: 100 }, (_, value) => ({
+      number: String(value).padStart(2, '0'),
+      currentGan: 0,
+      maxGan: 0,
+      lastSeen: null,
+      count: 0
+    }));
+
+    draws.forEach(({ date, numbers }) => {
+      entries.forEach(entry => {
+        if (numbers.has(entry.number)) {
+          // The gap before a number's first appearance started before the history did
+          if (entry.lastSeen !== null) {
+            entry.maxGan = Math.max(entry.maxGan, entry.currentGan);
+          }
+          entry.currentGan = 0;
+          entry.lastSeen = date;
+          entry.count++;
+        } else {
+          entry.currentGan++;
+        }
+      });
+    });
+
+    entries.forEach(entry => {
+      entry.maxGan = Math.max(entry.maxGan, entry.currentGan);
+    });
+
+    return {
+      from: draws[0]?.date || null,
+      to: draws[draws.length - 1]?.date || null,
+      draws: draws.length,
+      numbers: entries
+    };
+  },
+
+  /**
+   * Reduce history to the set of numbers drawn at each draw, oldest first
+   * @param {Array<Object>} history - Normalized region results
+   * @param {string|null} province - Province code, or null to merge all provinces of a day
+   * @param {string} type - 'loto' or 'special'
+   * @returns {Array<Object>} [{ date, numbers: Set<string> }]
+   */
+  getDraws(history, province, type) {
+    return [...history]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(regionData => {
+        const provinces = regionData.provinces.filter(item => !province || item.code === province);
+        const numbers = new Set();
+
+        provinces.forEach(item => {
+          if (type === 'special') {
+            const special = item.prizes.find(prize => prize.tier === 'special').numbers[0];
+            if (special !== null) numbers.add(special.slice(-2));
+          } else {
+            LotoAnalyzer.getLotos(item.prizes).forEach(({ loto }) => numbers.add(loto));
+          }
+        });
+
+        return provinces.length > 0 ? { date: regionData.date, numbers } : null;
+      })
+      .filter(Boolean);
+  },
+
+  /**
+   * Sort gan entries
+   * @param {Array<Object>} numbers - Entries from compute()
+   * @param {string} key - 'number' | 'currentGan' | 'maxGan' | 'lastSeen' | 'count'
+   * @param {string} direction - 'asc' or 'desc'
+   * @returns {Array<Object>} New sorted array; ties keep number order
+   */
+  sort(numbers, key = 'currentGan', direction = 'desc') {
+    const sign = direction === 'asc' ? 1 : -1;
+    const compare = (a, b) => {
+      if (a === b) return 0;
+      if (a === null) return -1;
+      if (b === null) return 1;
+      return a < b ? -1 : 1;
+    };
+
+    return [...numbers].sort((a, b) =>
+      sign * compare(a[key], b[key]) || a.number.localeCompare(b.number)
+    );
+  },
+
+  /**
+   * Filter gan entries
+   * @param {Array<Object>} numbers - Entries from compute()
+   * @param {Object} criteria - { minGan, search } where search matches the start of a number
+   * @returns {Array<Object>} Matching entries
+   */
+  filter(numbers, { minGan = 0, search = '' } = {}) {
+    return numbers.filter(entry => entry.currentGan >= minGan && entry.number.startsWith(search));
+  }
+};
+
+// ================================================== //
+// ARCHIVE MODULE                                     //
+// ================================================== //
+
+const ARCHIVE_CONFIG = {
+  firstYear: 2020,       // Oldest year offered by the archive
+  pageSize: 20,          // Search matches per page
+  maxRangeDays: 366      // Longest search range, to bound the number of requests
+};
+
+const ResultArchive = {
+  /**
+   * Build a month calendar with the scheduled draws of every day. The
+   * schedule says which regions should draw, not whether results exist.
+   * @param {number} year - Full year
+   * @param {number} month - Month 1–12
+   * @param {Date} now - Reference time for today/future flags
+   * @returns {Array<Object|null>} Cells starting on Sunday; leading blanks are null.
+   *                               Each cell: { date, day, isToday, isFuture, draws }
+   *                               where draws is DrawSchedule.getDrawsOn(date)
+   */
+  getMonthCalendar(year, month, now = new Date()) {
+    const today = DrawSchedule.today(now);
+    const first = `${year}-${String(month).padStart(2, '0')}-01`;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const cells = new Array(DrawSchedule.getWeekday(first)).fill(null);
+
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = DrawSchedule.addDays(first, day - 1);
+      cells.push({
+        date,
+        day,
+        isToday: date === today,
+        isFuture: date > today,
+        draws: DrawSchedule.getDrawsOn(date)
+      });
+    }
+
+    return cells;
+  },
+
+  /**
+   * Validate a number search query
+   * @param {Object} query - { number, from, to }
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateSearch({ number, from, to }) {
+    const errors = [];
+
+    if (!/^\d{2,6}$/.test(number || '')) {
+      errors.push('Số cần tìm phải có từ 2 đến 6 chữ số');
+    }
+
+    return errors.concat(ResultArchive.validateRange({ from, to }));
+  },
+
+  /**
+   * Validate a date range for searches and bulk exports
+   * @param {Object} range - { from, to } date keys
+   * @returns {Array<string>} Validation errors (empty when valid)
+   */
+  validateRange({ from, to }) {
+    if (!from || !to || from > to) {
+      return ['Khoảng ngày không hợp lệ'];
+    }
+    if (DrawSchedule.addDays(from, ARCHIVE_CONFIG.maxRangeDays) <= to) {
+      return [`Khoảng ngày tối đa ${ARCHIVE_CONFIG.maxRangeDays} ngày`];
+    }
+    return [];
+  },
+
+  /**
+   * Find every drawn number ending with the query
+   * @param {Array<Object>} history - Normalized region results
+   * @param {Object} query - { number, tier: tier key or 'all', province: code or null }
+   * @returns {Array<Object>} Matches, newest first: { date, region, province, tier, tierName, number }
+   */
+  searchNumber(history, { number, tier = 'all', province = null }) {
+    const matches = [];
+
+    history.forEach(regionData => {
+      regionData.provinces
+        .filter(item => !province || item.code === province)
+        .forEach(item => {
+          item.prizes
+            .filter(prize => tier === 'all' || prize.tier === tier)
+            .forEach(prize => {
+              prize.numbers.forEach(drawn => {
+                if (drawn !== null && drawn.length >= number.length && drawn.endsWith(number)) {
+                  matches.push({
+                    date: regionData.date,
+                    region: regionData.region,
+                    province: item.code,
+                    tier: prize.tier,
+                    tierName: prize.name,
+                    number: drawn
+                  });
+                }
+              });
+            });
+        });
+    });
+
+    return matches.sort((a, b) => b.date.localeCompare(a.date));
+  },
+
+  /**
+   * Slice a list into one page
+   * @param {Array} items - All items
+   * @param {number} page - 1-based page number, clamped to the valid range
+   * @param {number} pageSize - Items per page
+   * @returns {Object} { items, page, pageCount, total }
+   */
+  paginate(items, page = 1, pageSize = ARCHIVE_CONFIG.pageSize) {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(1, page), pageCount);
+
+    return {
+      items: items.slice((current - 1) * pageSize, current * pageSize),
+      page: current,
+      pageCount,
+      total: items.length
+    };
+  }
+};
+
+// ================================================== //
+// TICKET CHECKER MODULE                              //
+// ================================================== //
+
+/**
+ * Payout per winning number in đồng, as advertised on north.html/south.html.
+ * `subSpecial` is giải phụ đặc biệt, `encouragement` giải khuyến khích.
+ */
+const PRIZE_PAYOUTS = {
+  north: {
+    special: 500000000,
+    first: 100000000,
+    second: 25000000,
+    third: 10000000,
+    fourth: 3000000,
+    fifth: 1000000,
+    sixth: 200000,
+    seventh: 100000,
+    encouragement: 40000
+  },
+  south: {
+    special: 3000000000,
+    first: 1000000000,
+    second: 500000000,
+    third: 50000000,
+    fourth: 3000000,
+    fifth: 1000000,
+    sixth: 400000,
+    seventh: 200000,
+    eighth: 100000,
+    subSpecial: 50000000,
+    encouragement: 6000000
+  }
+};
+
+PRIZE_PAYOUTS.central = { ...PRIZE_PAYOUTS.south };
+
+const CONSOLATION_PRIZES = {
+  subSpecial: 'Giải phụ đặc biệt',
+  encouragement: 'Giải khuyến khích'
+};
+
+const TicketChecker = {
+  /**
+   * Number of digits printed on a ticket of a region
+   * @param {string} region - Region code
+   * @returns {number} Ticket length (5 for XSMB, 6 for XSMT/XSMN)
+   */
+  getTicketDigits(region) {
+    return ResultModel.getSchema(region).tiers[0].digits;
+  },
+
+  /**
+   * Parse free-form batch input, one ticket per line or comma.
+   * A ticket may be followed by a province code ("123456 HCM").
+   * @param {string} input - Raw input
+   * @param {string} defaultProvince - Province used when a ticket has none
+   * @returns {Array<Object>} [{ number, province }]
+   */
+  parseTickets(input, defaultProvince) {
+    return String(input)
+      .split(/[\n,;]+/)
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const [number, province] = entry.split(/\s+/);
+        return { number, province: province ? province.toUpperCase() : defaultProvince };
+      });
+  },
+
+  /**
+   * Check one ticket against a province's result. Results that are not
+   * authoritative (demo numbers, offline copies, see ResultProvenance) are
+   * refused rather than paid out.
+   * @param {string} ticket - Ticket number
+   * @param {Object} regionData - Normalized region result
+   * @param {string} provinceCode - Province printed on the ticket
+   * @returns {Object} { ticket, region, province, date, wins, totalAmount, error?, unverified?, partial? }
+   */
+  check(ticket, regionData, provinceCode) {
+    const { region, date } = regionData;
+    const number = String(ticket).trim();
+    const digits = this.getTicketDigits(region);
+    const result = { ticket: number, region, province: provinceCode, date, wins: [], totalAmount: 0 };
+
+    if (!new RegExp(`^\\d{${digits}}$`).test(number)) {
+      return { ...result, error: `Vé ${regionData.code} phải có đúng ${digits} chữ số` };
+    }
+
+    if (!ResultProvenance.isAuthoritative(regionData)) {
+      const { label } = PROVENANCE[ResultProvenance.get(regionData)];
+      return { ...result, unverified: true, error: `${label}: chưa thể dò vé với kết quả ${regionData.code} này` };
+    }
+
+    const province = regionData.provinces.find(item => item.code === provinceCode);
+    if (!province) {
+      return { ...result, error: `Đài ${PROVINCES[provinceCode]?.name || provinceCode} không quay ngày ${date}` };
+    }
+
+    const payouts = PRIZE_PAYOUTS[region];
+    const addWin = (tier, name, matched) => {
+      result.wins.push({ tier, name, number: matched, amount: payouts[tier] });
+    };
+
+    // A ticket wins every tier whose number matches its trailing digits
+    province.prizes.forEach(prize => {
+      prize.numbers.forEach(prizeNumber => {
+        if (prizeNumber !== null && number.endsWith(prizeNumber)) {
+          addWin(prize.tier, prize.name, prizeNumber);
+        }
+      });
+    });
+
+    const special = province.prizes.find(prize => prize.tier === 'special').numbers[0];
+    const wonSpecial = result.wins.some(win => win.tier === 'special');
+
+    if (special !== null && !wonSpecial) {
+      if (region === 'north') {
+        if (number.slice(-2) === special.slice(-2)) {
+          addWin('encouragement', CONSOLATION_PRIZES.encouragement, special);
+        }
+      } else if (number.slice(1) === special.slice(1)) {
+        // Trúng 5 số cuối, sai chữ số đầu
+        addWin('subSpecial', CONSOLATION_PRIZES.subSpecial, special);
+      } else if (number[0] === special[0] && this.countDifferentDigits(number, special) === 1) {
+        // Sai đúng 1 chữ số ở hàng bất kỳ trừ hàng trăm nghìn
+        addWin('encouragement', CONSOLATION_PRIZES.encouragement, special);
+      }
+    }
+
+    result.totalAmount = result.wins.reduce((sum, win) => sum + win.amount, 0);
+
+    if (regionData.partial) {
+      result.partial = true;
+    }
+
+    return result;
+  },
+
+  /**
+   * Check several tickets at once, possibly across regions
+   * @param {Array<Object>} tickets - [{ number, province }]
+   * @param {Object} results - Normalized results keyed by region
+   * @returns {Object} { results, totalAmount, winningCount }
+   */
+  checkBatch(tickets, results) {
+    const checked = tickets.map(({ number, province }) => {
+      const region = PROVINCES[province]?.region;
+      const regionData = results[region];
+
+      if (!regionData) {
+        return {
+          ticket: number, region, province, wins: [], totalAmount: 0,
+          error: region ? `Chưa có kết quả ${ResultModel.getSchema(region).code}` : `Mã đài không hợp lệ: ${province}`
+        };
+      }
+
+      return this.check(number, regionData, province);
+    });
+
+    return {
+      results: checked,
+      totalAmount: checked.reduce((sum, item) => sum + item.totalAmount, 0),
+      winningCount: checked.filter(item => item.wins.length > 0).length
+    };
+  },
+
+  /**
+   * Count positions where two equal-length numbers differ
+   * @param {string} a - First number
+   * @param {string} b - Second number
+   * @returns {number} Differing digit count
+   */
+  countDifferentDigits(a, b) {
+    return a.split('').filter((digit, index) => digit !== b[index]).length;
+  }
+};
+
+// ================================================== //
+// WATCHLIST MODULE                                   //
+// ================================================== //
+
+const WATCHLIST_CONFIG = {
+  storageKey: 'kqxs-watchlist',
+  historyDraws: [10, 30, 60],   // Choices offered by the history view; the first is the default
+  historyMaxDays: 120,          // Days loaded per region at most, i.e. the request cap of the history view
+  maxItems: 50
+};
+
+/**
+ * Numbers a user follows, each scoped to every region, one region or one
+ * province: { number, region, province }. Stored in localStorage.
+ */
+class Watchlist {
+  /**
+   * @param {Object} options - { storage, onChange(items) }
+   */
+  constructor({ storage = Utils.getStorage(), onChange = () => {} } = {}) {
+    this.storage = storage;
+    this.onChange = onChange;
+    this.items = this.load();
+  }
+
+  /**
+   * Identify an item by number and scope
+   * @param {Object} item - { number, region, province }
+   * @returns {string} Key such as '27:HCM', '27:north' or '27:all'
+   */
+  static getKey({ number, region, province }) {
+    return `${number}:${province || region || 'all'}`;
+  }
+
+  /**
+   * Describe an item's scope
+   * @param {Object} item - { region, province }
+   * @returns {string} Province, region or "Cả 3 miền"
+   */
+  static describeScope({ region, province }) {
+    if (province) return PROVINCES[province]?.name || province;
+    if (region) return ResultModel.getSchema(region).name;
+    return 'Cả 3 miền';
+  }
+
+  /**
+   * Validate a new item
+   * @param {Object} item - { number, region, province }
+   * @returns {Array<string>} Error messages (empty when valid)
+   */
+  static validate({ number, region, province }) {
+    const errors = [];
+
+    if (!/^\d{2,6}$/.test(number || '')) {
+      errors.push('Số theo dõi phải có 2-6 chữ số');
+    }
+    if (province && !PROVINCES[province]) {
+      errors.push(`Không có đài ${province}`);
+    } else if (region && !PRIZE_SCHEMAS[region]) {
+      errors.push(`Không có miền ${region}`);
+    }
+    // A number cannot be longer than every prize of the chosen region
+    const scopeRegion = province ? PROVINCES[province]?.region : region;
+    if (scopeRegion && number && errors.length === 0) {
+      const maxDigits = Math.max(...ResultModel.getSchema(scopeRegion).tiers.map(tier => tier.digits));
+      if (number.length > maxDigits) {
+        errors.push(`${ResultModel.getSchema(scopeRegion).code} chỉ có số tối đa ${maxDigits} chữ số`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Read saved items
+   * @returns {Array<Object>} Items
+   */
+  load() {
+    try {
+      return JSON.parse(this.storage?.getItem(WATCHLIST_CONFIG.storageKey) || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Persist items and notify the listener
+   */
+  save() {
+    this.storage?.setItem(WATCHLIST_CONFIG.storageKey, JSON.stringify(this.items));
+    this.onChange(this.getItems());
+  }
+
+  /**
+   * @returns {Array<Object>} Copy of the saved items
+   */
+  getItems() {
+    return this.items.map(item => ({ ...item }));
+  }
+
+  /**
+   * Save a number
+   * @param {Object} entry - { number, region?, province? }; a province implies its region
+   * @returns {Array<string>} Errors; empty when the number was saved
+   */
+  add({ number, region = null, province = null }) {
+    const item = {
+      number: String(number || '').trim(),
+      region: province ? PROVINCES[province]?.region || region : region,
+      province
+    };
+
+    const errors = Watchlist.validate(item);
+    if (this.items.some(saved => Watchlist.getKey(saved) === Watchlist.getKey(item))) {
+      errors.push(`Số ${item.number} đã có trong danh sách`);
+    }
+    if (this.items.length >= WATCHLIST_CONFIG.maxItems) {
+      errors.push(`Tối đa ${WATCHLIST_CONFIG.maxItems} số theo dõi`);
+    }
+    if (errors.length > 0) {
+      return errors;
+    }
+
+    this.items.push(item);
+    this.save();
+    return [];
+  }
+
+  /**
+   * Remove a number
+   * @param {string} key - Item key (see getKey)
+   */
+  remove(key) {
+    this.items = this.items.filter(item => Watchlist.getKey(item) !== key);
+    this.save();
+  }
+
+  /**
+   * Find saved numbers drawn in a set of results
+   * @param {Object} results - Region results keyed by region
+   * @returns {Array<Object>} Hits: { item, region, matches } (ResultArchive.searchNumber matches)
+   */
+  findHits(results) {
+    const hits = [];
+
+    Object.values(results).forEach(regionData => {
+      if (!regionData?.provinces || regionData.suspended) return;
+
+      this.items
+        .filter(item => !item.region || item.region === regionData.region)
+        .forEach(item => {
+          const matches = ResultArchive.searchNumber([regionData], {
+            number: item.number,
+            province: item.province
+          });
+          if (matches.length > 0) {
+            hits.push({ item, region: regionData.region, matches });
+          }
+        });
+    });
+
+    return hits;
+  }
+
+  /**
+   * Summarize hits for screen readers, e.g. "Số 27 về 2 nháy ở Giải ba"
+   * @param {Array<Object>} hits - Output of findHits
+   * @param {Object} results - Results the hits came from
+   * @returns {string} Sentences, empty when nothing hit
+   */
+  static summarize(hits, results) {
+    const multiRegion = new Set(hits.map(hit => hit.region)).size > 1;
+
+    return hits.map(hit => {
+      const regionData = results[hit.region];
+      const sentence = ResultAlerts.describeHits(hit.item.number, hit.matches, regionData.provinces.length > 1);
+      return multiRegion ? `${regionData.code}: ${sentence}` : sentence;
+    }).join('. ');
+  }
+
+  /**
+   * Find how far back each region must be loaded to cover the last
+   * `draws` draws of every item (a province draws only on its weekdays),
+   * going back at most WATCHLIST_CONFIG.historyMaxDays days
+   * @param {number} draws - Draws per item
+   * @param {Date} now - Reference time
+   * @returns {Object} { region: from date key } for the regions in use
+   */
+  getHistoryRanges(draws, now = new Date()) {
+    const yesterday = DrawSchedule.addDays(DrawSchedule.today(now), -1);
+    const ranges = {};
+
+    this.items.forEach(item => {
+      (item.region ? [item.region] : Object.keys(PRIZE_SCHEMAS)).forEach(region => {
+        let date = yesterday;
+        let found = 0;
+
+        // Provinces drawing once a week would otherwise need hundreds of requests
+        for (let day = 0; day < WATCHLIST_CONFIG.historyMaxDays && found < draws; day++, date = DrawSchedule.addDays(date, -1)) {
+          const provinces = DrawSchedule.getProvinces(region, date);
+          if (item.province ? provinces.some(province => province.code === item.province) : provinces.length > 0) {
+            found++;
+          }
+        }
+
+        const from = DrawSchedule.addDays(date, 1);
+        if (!ranges[region] || from < ranges[region]) {
+          ranges[region] = from;
+        }
+      });
+    });
+
+    return ranges;
+  }
+
+  /**
+   * Tally how each saved number performed over its last draws
+   * @param {Object} historyByRegion - { region: region results, newest first }
+   * @param {number} draws - Draws per item
+   * @returns {Array<Object>} Per item: { item, entries: [{ date, count, matches }], hitDraws, totalHits, lastHit }
+   */
+  getHistory(historyByRegion, draws) {
+    return this.items.map(item => {
+      const byDate = new Map();
+
+      (item.region ? [item.region] : Object.keys(historyByRegion)).forEach(region => {
+        (historyByRegion[region] || []).forEach(regionData => {
+          if (item.province && !regionData.provinces.some(province => province.code === item.province)) {
+            return;
+          }
+
+          const matches = ResultArchive.searchNumber([regionData], {
+            number: item.number,
+            province: item.province
+          });
+          const entry = byDate.get(regionData.date) || { date: regionData.date, count: 0, matches: [] };
+          entry.count += matches.length;
+          entry.matches.push(...matches);
+          byDate.set(regionData.date, entry);
+        });
+      });
+
+      const entries = [...byDate.values()]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .slice(0, draws);
+      const hitEntries = entries.filter(entry => entry.count > 0);
+
+      return {
+        item,
+        entries,
+        hitDraws: hitEntries.length,
+        totalHits: hitEntries.reduce((sum, entry) => sum + entry.count, 0),
+        lastHit: hitEntries.length > 0 ? hitEntries[0].date : null
+      };
+    });
+  }
+}
+
+// ================================================== //
+// DATA SOURCE ADAPTERS MODULE                        //
+// ================================================== //
+
+/*
+ * A data source adapter turns (date, region) into a raw results payload
+ * keyed by region, in the format described in README ("Định dạng dữ liệu
+ * kết quả"). APIService validates, normalizes and caches whatever the
+ * adapter returns. Every adapter implements:
+ *
+ *   name                                    - Source label ('rest', 'static', ...)
+ *   fetchResults(date, region, context)     - Promise<payload>
+ *   demo                                    - Optional; true if the numbers are not real
+ *
+ * `context` is { live, signal, request } where `request(url)` is
+ * APIService's JSON fetcher, so adapters share its HTTP handling (timeouts,
+ * retries, cancellation). Adapters that do their own I/O should honour
+ * `signal`.
+ */
+
+class RestAdapter {
+  /**
+   * @param {string} baseURL - Root of the REST API
+   */
+  constructor(baseURL = '/api') {
+    this.name = 'rest';
+    this.baseURL = baseURL;
+  }
+
+  /**
+   * GET {baseURL}/results?date=&region=[&live=1]
+   */
+  fetchResults(date, region, { live = false, request }) {
+    return request(`${this.baseURL}/results?date=${date}&region=${region}${live ? '&live=1' : ''}`);
+  }
+}
+
+class StaticJSONAdapter {
+  /**
+   * Read a pre-generated file tree: {root}/YYYY/MM/DD/{region}.json,
+   * each file holding one region's result (not keyed by region)
+   * @param {string} root - Root of the file tree
+   */
+  constructor(root = '/data') {
+    this.name = 'static';
+    this.root = root;
+  }
+
+  async fetchResults(date, region, { request }) {
+    const [year, month, day] = date.split('-');
+    const regions = region === 'all' ? Object.keys(PRIZE_SCHEMAS) : [region];
+    const files = await Promise.all(
+      regions.map(key => request(`${this.root}/${year}/${month}/${day}/${key}.json`))
+    );
+
+    return Object.fromEntries(regions.map((key, index) => [key, files[index]]));
+  }
+}
+
+class FixtureAdapter {
+  /**
+   * Serve payloads from memory, e.g. in tests
+   * @param {Object} fixtures - { 'YYYY-MM-DD': { north: {...}, central: {...}, south: {...} } }
+   */
+  constructor(fixtures = {}) {
+    this.name = 'fixture';
+    this.fixtures = fixtures;
+  }
+
+  async fetchResults(date, region) {
+    const day = this.fixtures[date];
+    const regions = region === 'all' ? Object.keys(PRIZE_SCHEMAS) : [region];
+
+    if (!day || regions.some(key => !day[key])) {
+      throw new Error(`No fixture for ${region} on ${date}`);
+    }
+
+    return Object.fromEntries(regions.map(key => [key, day[key]]));
+  }
+}
+
+class MockAdapter {
+  /**
+   * Generate deterministic demo numbers for every scheduled province.
+   * Results from this adapter are always tagged with 'demo' provenance.
+   */
+  constructor() {
+    this.name = 'mock';
+    this.demo = true;
+  }
+
+  async fetchResults(date, region) {
+    return this.generate(date, region);
+  }
+
+  /**
+   * Build a mock payload
+   * @param {string} date - Date string (YYYY-MM-DD)
+   * @param {string} region - Region code or 'all'
+   * @returns {Object} Raw payload keyed by region
+   */
+  generate(date, region = 'all') {
+    const regions = {};
+
+    Object.keys(PRIZE_SCHEMAS).forEach(regionKey => {
+      const suspension = DrawSchedule.getSuspension(regionKey, date);
+      if (suspension) {
+        regions[regionKey] = { date, suspended: true, reason: suspension.reason };
+        return;
+      }
+
+      const provinces = DrawSchedule.getProvinces(regionKey, date).map(province => {
+        const random = this.createSeededRandom(`${date}_${province.code}`);
+
+        return {
+          code: province.code,
+          prizes: PRIZE_SCHEMAS[regionKey].tiers.map(tier => ({
+            tier: tier.key,
+            numbers: Array.from({ length: tier.count }, () =>
+              String(Math.floor(random() * 10 ** tier.digits)).padStart(tier.digits, '0')
+            )
+          }))
+        };
+      });
+
+      regions[regionKey] = { date, provinces };
+    });
+
+    return region === 'all' ? regions : { [region]: regions[region] };
+  }
+
+  /**
+   * Create a deterministic random generator so mock numbers stay stable per date
+   * @param {string} seed - Seed string
+   * @returns {Function} Generator returning floats in [0, 1)
+   */
+  createSeededRandom(seed) {
+    let state = 0;
+    for (let i = 0; i < seed.length; i++) {
+      state = (Math.imul(31, state) + seed.charCodeAt(i)) | 0;
+    }
+
+    return () => {
+      state = (state + 0x6D2B79F5) | 0;
+      let t = Math.imul(state ^ (state >>> 15), 1 | state);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+/**
+ * Data source used by the pages: the REST API, without a fallback, so a
+ * request it cannot answer shows an error card
+ */
+const DEFAULT_DATA_SOURCE = {
+  adapter: new RestAdapter('/api')
+};
+
+/**
+ * Demo numbers only, for previews without a backend. Pages opt in with
+ * <body data-source="demo"> (see KQXSApp.getDataSource); every result is
+ * labelled as demo data.
+ */
+const DEMO_DATA_SOURCE = {
+  adapter: new MockAdapter()
+};
+
+// ================================================== //
+// API SERVICE MODULE                                 //
+// ================================================== //
+
+const REQUEST_CONFIG = {
+  timeout: 10000,      // Abort an attempt after this many milliseconds
+  retries: 2,          // Extra attempts after a timeout, network error or 5xx
+  backoff: 500,        // First retry delay; doubles on every attempt
+  maxBackoff: 8000,    // Upper bound for a single retry delay
+  demoHeader: 'X-KQXS-Demo'  // Set by backends serving demo numbers (server.js --demo)
+};
+
+/**
+ * Raised when an HTTP request fails. `retryable` marks failures worth
+ * another attempt: timeouts, network errors and 5xx/408/429 responses.
+ */
+class RequestError extends Error {
+  /**
+   * @param {string} message - Summary message
+   * @param {Object} details - { status, retryable, timedOut, cause }
+   */
+  constructor(message, { status = null, retryable = false, timedOut = false, cause = null } = {}) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+    this.retryable = retryable;
+    this.timedOut = timedOut;
+    this.cause = cause;
+  }
+}
+
+class APIService {
+  /**
+   * @param {Object|string} options - { adapter, fallback, cache } or a REST base URL.
+   *   `adapter` is the primary data source (RestAdapter('/api') by default);
+   *   `fallback` is consulted only when the adapter fails (none by default);
+   *   `cache` replaces the default memory + persistent CacheManager
+   */
+  constructor(options = {}) {
+    const { adapter = new RestAdapter(), fallback = null } =
+      typeof options === 'string' ? { adapter: new RestAdapter(options) } : options;
+
+    this.adapter = adapter;
+    this.fallback = fallback;
+    // Streaming endpoints for LiveDrawService exist only on REST backends
+    this.baseURL = adapter.baseURL || null;
+    this.cache = options.cache || new CacheManager(CACHE_CONFIG.memoryEntries, CACHE_CONFIG.defaultTTL, createPersistentStore());
+    // Requests in progress, keyed by cache key (see getLotteryResults)
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Fetch JSON from a URL. Each attempt is bounded by `timeout`; timeouts,
+   * network errors and 5xx responses are retried with exponential backoff.
+   * Aborting `signal` cancels the request and any pending retry.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options plus { signal, timeout, retries,
+   *   onResponse } where onResponse(response) sees each successful Response
+   * @returns {Promise} Response promise
+   */
+  async request(url, options = {}) {
+    const {
+      signal,
+      timeout = REQUEST_CONFIG.timeout,
+      retries = REQUEST_CONFIG.retries,
+      onResponse,
+      ...fetchOptions
+    } = options;
+    const config = {
+      ...fetchOptions,
+      headers: {
+        'Content-Type': 'application/json',
+        ...fetchOptions.headers
+      }
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.fetchJSON(url, config, { signal, timeout, onResponse });
+      } catch (error) {
+        if (Utils.isAbortError(error)) {
+          throw error;
+        }
+        if (!error.retryable || attempt >= retries) {
+          console.error('API Request failed:', error);
+          throw error;
+        }
+        await Utils.delay(this.getRetryDelay(attempt), signal);
+      }
+    }
+  }
+
+  /**
+   * Perform a single fetch attempt
+   * @param {string} url - Request URL
+   * @param {Object} config - fetch options
+   * @param {Object} options - { signal, timeout, onResponse }
+   * @returns {Promise<Object>} Parsed JSON body
+   */
+  async fetchJSON(url, config, { signal, timeout, onResponse }) {
+    if (signal && signal.aborted) {
+      throw Utils.createAbortError(signal);
+    }
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      let response;
+      try {
+        response = await fetch(url, { ...config, signal: controller.signal });
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw Utils.createAbortError(signal);
+        }
+        if (timedOut) {
+          throw new RequestError(`Request timed out after ${timeout}ms`, { retryable: true, timedOut: true });
+        }
+        throw new RequestError(`Network error: ${error.message}`, { retryable: true, cause: error });
+      }
+
+      if (!response.ok) {
+        const { status } = response;
+        throw new RequestError(`HTTP ${status}: ${response.statusText}`, {
+          status,
+          retryable: status >= 500 || status === 408 || status === 429
+        });
+      }
+
+      if (onResponse) {
+        onResponse(response);
+      }
+      return await response.json();
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Delay before the retry following a failed attempt
+   * @param {number} attempt - Zero-based attempt that failed
+   * @returns {number} Delay in milliseconds, with up to 20% jitter
+   */
+  getRetryDelay(attempt) {
+    const delay = Math.min(REQUEST_CONFIG.backoff * 2 ** attempt, REQUEST_CONFIG.maxBackoff);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+
+  /**
+   * Load and parse a payload from an adapter
+   * @param {Object} adapter - Data source adapter
+   * @param {string} date - Date string
+   * @param {string} region - Region code
+   * @param {Object} options - { live, signal, retries }
+   * @returns {Promise<Object>} Normalized results keyed by region
+   */
+  async fetchFrom(adapter, date, region, { live = false, signal, retries } = {}) {
+    // The service worker answers from its cache when the network is down
+    let servedOffline = false;
+    let servedDemo = false;
+    const onResponse = (response) => {
+      if (response.headers.get(OFFLINE_CONFIG.offlineHeader)) {
+        servedOffline = true;
+      }
+      if (response.headers.get(REQUEST_CONFIG.demoHeader)) {
+        servedDemo = true;
+      }
+    };
+
+    const payload = await adapter.fetchResults(date, region, {
+      live,
+      signal,
+      request: (url) => this.request(url, { signal, retries, onResponse })
+    });
+
+    if (signal && signal.aborted) {
+      throw Utils.createAbortError(signal);
+    }
+
+    // Only today's draw may still be in progress
+    const partial = live || date === DrawSchedule.today();
+    const results = ResultModel.parse(payload, region, { partial });
+    const provenance = adapter.demo || servedDemo ? 'demo' : servedOffline ? 'offline-cached' : 'live';
+    return ResultProvenance.tag(results, provenance);
+  }
+
+  /**
+   * Get lottery results with caching. Every region is tagged with its
+   * `provenance` (see PROVENANCE): a failed request falls back to an expired
+   * cache entry ('offline-cached'), then to the fallback adapter.
+   *
+   * Concurrent calls for the same date and region share one request. A
+   * caller that aborts its `signal` stops waiting; the shared request is
+   * cancelled once every caller has aborted.
+   * @param {string} date - Date string
+   * @param {string} region - Region code
+   * @param {Object} options - { signal }
+   * @returns {Promise} Results promise
+   */
+  async getLotteryResults(date, region = 'all', { signal } = {}) {
+    const cacheKey = `results_${date}_${region}`;
+    
+    // Check cache first
+    const cachedResult = await this.cache.load(cacheKey);
+    if (cachedResult) {
+      return ResultProvenance.tag(cachedResult, 'cached');
+    }
+
+    let pending = this.inFlight.get(cacheKey);
+    if (!pending) {
+      const controller = new AbortController();
+      pending = { controller, waiting: 0, detached: false };
+      pending.promise = this.loadLotteryResults(cacheKey, date, region, controller.signal)
+        .finally(() => {
+          if (this.inFlight.get(cacheKey) === pending) {
+            this.inFlight.delete(cacheKey);
+          }
+        });
+      this.inFlight.set(cacheKey, pending);
+    }
+
+    return this.awaitShared(cacheKey, pending, signal);
+  }
+
+  /**
+   * Wait for a shared in-flight request on behalf of one caller
+   * @param {string} cacheKey - Key of the shared request
+   * @param {Object} pending - { controller, promise, waiting, detached }
+   * @param {AbortSignal} signal - Caller's signal
+   * @returns {Promise<Object>} Results, or an AbortError when the caller aborts
+   */
+  awaitShared(cacheKey, pending, signal) {
+    // A caller that cannot abort keeps the request alive for everyone
+    if (!signal) {
+      pending.detached = true;
+      return pending.promise;
+    }
+    if (signal.aborted) {
+      return Promise.reject(Utils.createAbortError(signal));
+    }
+
+    pending.waiting++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        pending.waiting--;
+        if (pending.waiting === 0 && !pending.detached) {
+          pending.controller.abort();
+          if (this.inFlight.get(cacheKey) === pending) {
+            this.inFlight.delete(cacheKey);
+          }
+        }
+        reject(Utils.createAbortError(signal));
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      pending.promise.then(resolve, reject).finally(() => {
+        signal.removeEventListener('abort', onAbort);
+      });
+    });
+  }
+
+  /**
+   * Fetch, cache and fall back for getLotteryResults
+   * @param {string} cacheKey - Cache key
+   * @param {string} date - Date string
+   * @param {string} region - Region code
+   * @param {AbortSignal} signal - Aborted when no caller is waiting any more
+   * @returns {Promise<Object>} Results keyed by region
+   */
+  async loadLotteryResults(cacheKey, date, region, signal) {
+    try {
+      const results = await this.fetchFrom(this.adapter, date, region, { signal });
+      
+      // Past results are final and kept indefinitely; today's may still change.
+      // Demo numbers and the worker's offline copies must not outlive a real
+      // response, so only authoritative results are cached. Partial results
+      // (draw in progress) are never cached: the next request must see the
+      // numbers drawn since.
+      const list = Object.values(results);
+      if (!ResultProvenance.summarize(list) && !list.some(regionData => regionData?.partial)) {
+        const isPast = date < DrawSchedule.today();
+        this.cache.set(cacheKey, results, {
+          ttl: isPast ? Infinity : CACHE_CONFIG.todayTTL,
+          regions: Object.keys(results)
+        });
+      }
+      
+      return results;
+    } catch (error) {
+      if (Utils.isAbortError(error)) {
+        throw error;
+      }
+      if (error instanceof ResultValidationError) {
+        console.warn(`Malformed results payload from ${this.adapter.name}:`, error.errors);
+      }
+
+      const staleResult = await this.cache.load(cacheKey, { stale: true });
+      if (staleResult) {
+        return ResultProvenance.tag(staleResult, 'offline-cached');
+      }
+
+      if (!this.fallback) {
+        throw error;
+      }
+
+      return this.fetchFrom(this.fallback, date, region, { signal });
+    }
+  }
+
+  /**
+   * Get a region's results for every draw day in a date range
+   * @param {string} region - Region code
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @param {Object} options - { concurrency: requests in flight at once,
+   *   signal: aborting it stops loading and rejects with an AbortError,
+   *   onMissing(date, error): when given, a day that fails to load is
+   *   reported and skipped instead of rejecting the whole range }
+   * @returns {Promise<Array<Object>>} Region results, newest first; days without a draw are skipped
+   */
+  async getResultsRange(region, from, to, { concurrency = 7, signal, onMissing } = {}) {
+    const dates = [];
+    for (let date = to; date >= from; date = DrawSchedule.addDays(date, -1)) {
+      if (DrawSchedule.getProvinces(region, date).length > 0) {
+        dates.push(date);
+      }
+    }
+
+    const history = [];
+    for (let i = 0; i < dates.length; i += concurrency) {
+      const batch = await Promise.all(
+        dates.slice(i, i + concurrency).map(async date => {
+          try {
+            return await this.getLotteryResults(date, region, { signal });
+          } catch (error) {
+            if (!onMissing || Utils.isAbortError(error)) {
+              throw error;
+            }
+            onMissing(date, error);
+            return {};
+          }
+        })
+      );
+      batch.forEach(results => {
+        const regionData = results[region];
+        if (regionData && !regionData.suspended && !regionData.partial) {
+          history.push(regionData);
+        }
+      });
+    }
+
+    return history;
+  }
+
+  /**
+   * Get in-progress results during a live draw, bypassing cache and fallback
+   * @param {string} date - Date string
+   * @param {string} region - Region code
+   * @returns {Promise<Object>} Partial results keyed by region
+   */
+  async getLiveResults(date, region) {
+    // The next poll is the retry
+    return this.fetchFrom(this.adapter, date, region, { live: true, retries: 0 });
+  }
+}
+
+// ================================================== //
+// LIVE DRAW MODULE                                   //
+// ================================================== //
+
+const LIVE_CONFIG = {
+  leadMinutes: 15,       // Go live this long before drawTime
+  durationMinutes: 45,   // Stay live this long after drawTime
+  pollInterval: 15000,   // Polling fallback interval in milliseconds
+  transport: 'auto'      // 'auto' | 'sse' | 'websocket' | 'polling'
+};
+
+class LiveDrawService {
+  /**
+   * @param {APIService} apiService - Service used by the polling fallback
+   * @param {Object} options - Overrides for LIVE_CONFIG plus baseURL
+   */
+  constructor(apiService, options = {}) {
+    this.apiService = apiService;
+    this.options = { ...LIVE_CONFIG, baseURL: apiService.baseURL, ...options };
+    this.connections = new Map();
+  }
+
+  /**
+   * Get the live window of a region on the draw date (Vietnam time) of a moment
+   * @param {string} region - Region code
+   * @param {Date} now - Reference time
+   * @returns {Object} { start: Date, end: Date }
+   */
+  getLiveWindow(region, now = new Date()) {
+    const drawStart = DrawSchedule.getDrawStart(region, DrawSchedule.today(now));
+
+    return {
+      start: new Date(drawStart.getTime() - this.options.leadMinutes * 60000),
+      end: new Date(drawStart.getTime() + this.options.durationMinutes * 60000)
+    };
+  }
+
+  /**
+   * Check whether a region is drawing right now
+   * @param {string} region - Region code
+   * @param {Date} now - Reference time
+   * @returns {boolean} Whether inside the live window of a draw day
+   */
+  isLive(region, now = new Date()) {
+    if (DrawSchedule.getProvinces(region, DrawSchedule.today(now)).length === 0) {
+      return false;
+    }
+
+    const { start, end } = this.getLiveWindow(region, now);
+    return now >= start && now < end;
+  }
+
+  /**
+   * Subscribe to prize updates of a region's draw
+   * @param {string} region - Region code
+   * @param {string} date - Draw date (YYYY-MM-DD)
+   * @param {Function} onUpdate - Called with { region, date, province, tier, index, number }
+   */
+  subscribe(region, date, onUpdate) {
+    this.unsubscribe(region);
+
+    const connection = { region, date, onUpdate, close: () => {} };
+    this.connections.set(region, connection);
+    this.connect(connection, this.resolveTransport());
+  }
+
+  /**
+   * Stop receiving updates for a region
+   * @param {string} region - Region code
+   */
+  unsubscribe(region) {
+    const connection = this.connections.get(region);
+    if (connection) {
+      connection.close();
+      this.connections.delete(region);
+    }
+  }
+
+  /**
+   * Stop all live connections
+   */
+  unsubscribeAll() {
+    [...this.connections.keys()].forEach(region => this.unsubscribe(region));
+  }
+
+  /**
+   * Pick the best transport available in this browser
+   * @returns {string} Transport name
+   */
+  resolveTransport() {
+    if (this.options.transport !== 'auto') {
+      return this.options.transport;
+    }
+    // Only REST backends have streaming endpoints
+    if (!this.options.baseURL) {
+      return 'polling';
+    }
+    if (typeof EventSource !== 'undefined') {
+      return 'sse';
+    }
+    if (typeof WebSocket !== 'undefined') {
+      return 'websocket';
+    }
+    return 'polling';
+  }
+
+  /**
+   * Open the stream for a connection
+   * @param {Object} connection - Connection state
+   * @param {string} transport - Transport name
+   */
+  connect(connection, transport) {
+    const path = `${this.options.baseURL}/live?date=${connection.date}&region=${connection.region}`;
+
+    if (transport === 'sse') {
+      const source = new EventSource(path);
+      source.onmessage = (e) => this.handleMessage(connection, e.data);
+      source.onerror = () => {
+        source.close();
+        this.fallback(connection);
+      };
+      connection.close = () => source.close();
+      return;
+    }
+
+    if (transport === 'websocket') {
+      const url = new URL(path, window.location.href);
+      url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+
+      const socket = new WebSocket(url);
+      socket.onmessage = (e) => this.handleMessage(connection, e.data);
+      socket.onclose = () => this.fallback(connection);
+      connection.close = () => {
+        socket.onclose = null;
+        socket.close();
+      };
+      return;
+    }
+
+    this.startPolling(connection);
+  }
+
+  /**
+   * Switch a broken stream to polling, unless it was unsubscribed meanwhile
+   * @param {Object} connection - Connection state
+   */
+  fallback(connection) {
+    if (this.connections.get(connection.region) !== connection) {
+      return;
+    }
+
+    console.warn(`Live stream for ${connection.region} unavailable, falling back to polling`);
+    this.startPolling(connection);
+  }
+
+  /**
+   * Poll in-progress results and emit numbers not seen before
+   * @param {Object} connection - Connection state
+   */
+  startPolling(connection) {
+    const seen = new Set();
+    const isOpen = () => this.connections.get(connection.region) === connection;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const results = await this.apiService.getLiveResults(connection.date, connection.region);
+        // Unsubscribed while the request was in flight
+        if (!isOpen()) return;
+
+        this.diffResults(results[connection.region], seen).forEach(update => {
+          connection.onUpdate({ ...update, date: connection.date });
+        });
+      } catch (error) {
+        console.error('Live polling failed:', error);
+      }
+
+      if (isOpen()) {
+        timer = setTimeout(poll, this.options.pollInterval);
+      }
+    };
+
+    connection.close = () => clearTimeout(timer);
+    poll();
+  }
+
+  /**
+   * List drawn numbers of a partial result that are not in `seen` yet
+   * @param {Object} regionData - Normalized (partial) region result
+   * @param {Set<string>} seen - Keys of numbers already emitted, updated in place
+   * @returns {Array<Object>} Prize updates
+   */
+  diffResults(regionData, seen) {
+    const updates = [];
+
+    regionData?.provinces.forEach(province => {
+      province.prizes.forEach(prize => {
+        prize.numbers.forEach((number, index) => {
+          const key = `${province.code}_${prize.tier}_${index}`;
+          if (number !== null && !seen.has(key)) {
+            seen.add(key);
+            updates.push({
+              region: regionData.region,
+              province: province.code,
+              tier: prize.tier,
+              index,
+              number
+            });
+          }
+        });
+      });
+    });
+
+    return updates;
+  }
+
+  /**
+   * Parse and validate a pushed prize update
+   * @param {Object} connection - Connection state
+   * @param {string} raw - Message payload
+   */
+  handleMessage(connection, raw) {
+    let update;
+    try {
+      update = JSON.parse(raw);
+    } catch (error) {
+      console.warn('Ignoring malformed live message:', raw);
+      return;
+    }
+
+    const schema = ResultModel.getSchema(connection.region);
+    const tier = schema.tiers.find(item => item.key === update?.tier);
+    const valid = tier &&
+      PROVINCES[update.province]?.region === connection.region &&
+      Number.isInteger(update.index) && update.index >= 0 && update.index < tier.count &&
+      typeof update.number === 'string' && new RegExp(`^\\d{${tier.digits}}$`).test(update.number);
+
+    if (!valid) {
+      console.warn('Ignoring invalid live update:', update);
+      return;
+    }
+
+    connection.onUpdate({ ...update, region: connection.region, date: connection.date });
+  }
+}
+
+// ================================================== //
+// OFFLINE MODULE                                     //
+// ================================================== //
+
+const OFFLINE_CONFIG = {
+  scriptURL: './sw.js',
+  syncTag: 'kqxs-today-results',   // Must match SYNC_TAG in sw.js
+  offlineHeader: 'X-KQXS-Offline'  // Set by sw.js on responses served from its cache
+};
+
+/**
+ * Registers the service worker and tracks what it can do for the page:
+ * whether cached results can be served offline and whether a background
+ * sync of today's results is pending.
+ */
+class OfflineManager {
+  /**
+   * @param {Object} options - { onChange(state), onSync(date) }
+   */
+  constructor({ onChange = () => {}, onSync = () => {} } = {}) {
+    this.onChange = onChange;
+    this.onSync = onSync;
+    this.registration = null;
+    this.handleMessage = this.handleMessage.bind(this);
+    this.state = {
+      online: typeof navigator === 'undefined' || navigator.onLine !== false,
+      worker: 'unsupported',   // 'unsupported' | 'installing' | 'ready' | 'failed'
+      syncPending: false,
+      lastSync: null
+    };
+  }
+
+  /**
+   * Check whether the browser supports service workers
+   * @returns {boolean} True if navigator.serviceWorker exists
+   */
+  static isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  }
+
+  /**
+   * Register the service worker
+   * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unavailable
+   */
+  async register() {
+    if (!OfflineManager.isSupported()) {
+      return null;
+    }
+
+    this.update({ worker: 'installing' });
+    navigator.serviceWorker.addEventListener('message', this.handleMessage);
+
+    try {
+      this.registration = await navigator.serviceWorker.register(OFFLINE_CONFIG.scriptURL);
+      await navigator.serviceWorker.ready;
+      this.update({ worker: 'ready' });
+    } catch (error) {
+      console.warn('Service worker registration failed:', error);
+      this.update({ worker: 'failed' });
+    }
+
+    return this.registration;
+  }
+
+  /**
+   * Check whether previously viewed results can be served without a network
+   * @returns {boolean} True once an active worker controls the page
+   */
+  canServeOffline() {
+    return this.state.worker === 'ready' && Boolean(navigator.serviceWorker.controller);
+  }
+
+  /**
+   * Record a connectivity change. Going offline queues a background sync
+   * so today's results are fetched as soon as the connection returns.
+   * @param {boolean} online - Whether the browser is online
+   */
+  setOnline(online) {
+    this.update({ online });
+    if (!online) {
+      this.requestSync();
+    }
+  }
+
+  /**
+   * Ask the worker to fetch today's results once connectivity returns
+   * @returns {Promise<boolean>} False if background sync is unavailable
+   */
+  async requestSync() {
+    if (!this.registration || !('sync' in this.registration)) {
+      return false;
+    }
+
+    try {
+      await this.registration.sync.register(OFFLINE_CONFIG.syncTag);
+      this.update({ syncPending: true });
+      return true;
+    } catch (error) {
+      console.warn('Background sync registration failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Handle messages posted by the worker
+   * @param {MessageEvent} event - Message event
+   */
+  handleMessage(event) {
+    const message = event.data || {};
+    if (message.type === 'sync-complete') {
+      this.update({ syncPending: false, lastSync: message.date });
+      this.onSync(message.date);
+    }
+  }
+
+  /**
+   * Summarize the connection for display
+   * @returns {string} 'online' | 'syncing' | 'offline-cached' | 'offline'
+   */
+  getStatus() {
+    if (this.state.online) {
+      return this.state.syncPending ? 'syncing' : 'online';
+    }
+    return this.canServeOffline() ? 'offline-cached' : 'offline';
+  }
+
+  /**
+   * Merge a state change and notify the listener
+   * @param {Object} patch - Changed state fields
+   */
+  update(patch) {
+    this.state = { ...this.state, ...patch };
+    this.onChange({ ...this.state, status: this.getStatus() });
+  }
+
+  /**
+   * Stop listening to the worker
+   */
+  destroy() {
+    if (OfflineManager.isSupported()) {
+      navigator.serviceWorker.removeEventListener('message', this.handleMessage);
+    }
+  }
+}
+
+// ================================================== //
+// NOTIFICATION MODULE                                //
+// ================================================== //
+
+const NOTIFY_CONFIG = {
+  storageKey: 'kqxs-notify',              // Saved preferences
+  deliveredKey: 'kqxs-notify-delivered',  // Tags already shown, so reloads stay quiet
+  deliveredLimit: 200,
+  retryMinutes: 5,                        // Re-check while results are still incomplete
+  maxRetries: 12,
+  maxTimer: 24 * 60 * 60 * 1000           // Longer waits are split (setTimeout overflows ~24.8 days)
+};
+
+/**
+ * Turns final results into notification messages: { tag, title, body, url }.
+ * Both the in-page backend and a push server build the same messages.
+ */
+const ResultAlerts = {
+  /**
+   * Format a date key as DD/MM
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {string} Short date
+   */
+  formatShortDate(date) {
+    const [, month, day] = date.split('-');
+    return `${day}/${month}`;
+  },
+
+  /**
+   * Describe where a saved number came out, e.g. "Số 27 về 2 nháy ở Giải ba"
+   * @param {string} number - Saved number
+   * @param {Array<Object>} matches - Output of ResultArchive.searchNumber for one draw
+   * @param {boolean} withProvince - Name the province of each tier (multi-station regions)
+   * @returns {string} Summary sentence
+   */
+  describeHits(number, matches, withProvince = false) {
+    const groups = new Map();
+    matches.forEach(match => {
+      const label = withProvince
+        ? `${match.tierName} (${PROVINCES[match.province]?.name || match.province})`
+        : match.tierName;
+      groups.set(label, (groups.get(label) || 0) + 1);
+    });
+
+    if (groups.size === 1) {
+      return `Số ${number} về ${matches.length} nháy ở ${[...groups.keys()][0]}`;
+    }
+
+    const parts = [...groups].map(([label, count]) => `${count} ở ${label}`);
+    return `Số ${number} về ${matches.length} nháy: ${parts.join(', ')}`;
+  },
+
+  /**
+   * Build the notifications a final region result triggers
+   * @param {Object} regionData - Normalized, complete region result
+   * @param {Object} preferences - { regions, provinces, numberAlerts }
+   * @param {Array<Object>} savedNumbers - { number, region?, province? }
+   * @returns {Array<Object>} Messages: { tag, title, body, url }, url opening the draw
+   */
+  build(regionData, preferences, savedNumbers = []) {
+    const { region, date, provinces } = regionData;
+    const shortDate = this.formatShortDate(date);
+    const url = `./index.html${Router.toQuery({ date, region })}`;
+    const messages = [];
+
+    if (preferences.regions.includes(region)) {
+      messages.push({
+        tag: `results:${region}:${date}`,
+        title: `Kết quả ${regionData.code} ngày ${shortDate} đã có`,
+        body: provinces.map(province => province.name).join(', '),
+        url
+      });
+    }
+
+    provinces
+      .filter(province => preferences.provinces.includes(province.code))
+      .forEach(province => {
+        const special = province.prizes.find(prize => prize.tier === 'special');
+        messages.push({
+          tag: `results:${province.code}:${date}`,
+          title: `Kết quả XS ${province.name} ngày ${shortDate} đã có`,
+          body: special ? `${special.name}: ${special.numbers.join(', ')}` : '',
+          url: `./index.html${Router.toQuery({ date, region, province: province.code })}`
+        });
+      });
+
+    if (preferences.numberAlerts) {
+      savedNumbers
+        .filter(item => !item.region || item.region === region)
+        .forEach(item => {
+          const matches = ResultArchive.searchNumber([regionData], {
+            number: item.number,
+            province: item.province || null
+          });
+          if (matches.length === 0) return;
+
+          messages.push({
+            tag: `hit:${item.number}:${item.province || item.region || 'all'}:${date}`,
+            title: `${regionData.code} ${shortDate}: số ${item.number} đã về`,
+            body: this.describeHits(item.number, matches, provinces.length > 1),
+            url
+          });
+        });
+    }
+
+    return messages;
+  }
+};
+
+/*
+ * A push backend decides when final results are announced. Every backend
+ * implements:
+ *
+ *   name                              - Backend label ('local', 'webpush', ...)
+ *   subscribe(subscription, deliver)  - Start alerts; Promise
+ *   unsubscribe()                     - Cancel alerts for good; Promise
+ *   stop()                            - Page is closing; stop local work only
+ *
+ * `subscription` is { regions, preferences, savedNumbers, drawTimes }, where
+ * `regions` lists every region to watch and `drawTimes` comes from
+ * THEME_CONFIG via DrawSchedule.getDrawTime. In-page backends call
+ * `deliver(regionData)` with a complete result; server backends push
+ * ResultAlerts messages that sw.js displays.
+ */
+
+/**
+ * In-page backend: checks results once each watched region's live window
+ * closes. Works without a push server, but only while a page is open.
+ */
+class LocalPushBackend {
+  /**
+   * @param {APIService} apiService - Source of results
+   * @param {Object} options - Overrides for NOTIFY_CONFIG
+   */
+  constructor(apiService, options = {}) {
+    this.name = 'local';
+    this.apiService = apiService;
+    this.options = { ...NOTIFY_CONFIG, ...options };
+    this.timers = new Map();
+    this.deliver = null;
+  }
+
+  async subscribe(subscription, deliver) {
+    this.stop();
+    this.deliver = deliver;
+    subscription.regions.forEach(region => this.schedule(region));
+  }
+
+  async unsubscribe() {
+    this.stop();
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.deliver = null;
+  }
+
+  /**
+   * Find when a region's next result should be final
+   * @param {string} region - Region code
+   * @param {Date} now - Reference time
+   * @param {string} after - Skip draws on or before this date key
+   * @returns {Object|null} { date, at: Date } or null within two months
+   */
+  getNextCheck(region, now = new Date(), after = '') {
+    const today = DrawSchedule.today(now);
+
+    for (let offset = 0; offset < 60; offset++) {
+      const date = DrawSchedule.addDays(today, offset);
+      if (date <= after || DrawSchedule.getProvinces(region, date).length === 0) {
+        continue;
+      }
+
+      const drawStart = DrawSchedule.getDrawStart(region, date);
+      return { date, at: new Date(drawStart.getTime() + LIVE_CONFIG.durationMinutes * 60000) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Arm the timer for a region's next final result
+   * @param {string} region - Region code
+   * @param {string} after - Last date already handled
+   */
+  schedule(region, after = '') {
+    const next = this.getNextCheck(region, new Date(), after);
+    if (!next) return;
+
+    const delay = Math.max(0, next.at.getTime() - Date.now());
+    const timer = delay > this.options.maxTimer
+      ? setTimeout(() => this.schedule(region, after), this.options.maxTimer)
+      : setTimeout(() => this.check(region, next.date), delay);
+
+    this.timers.set(region, timer);
+  }
+
+  /**
+   * Fetch a result and deliver it once complete and authoritative
+   * @param {string} region - Region code
+   * @param {string} date - Draw date
+   * @param {number} attempt - Retries so far
+   */
+  async check(region, date, attempt = 0) {
+    const { deliver } = this;
+    let regionData = null;
+
+    try {
+      const results = await this.apiService.getLotteryResults(date, region);
+      regionData = results[region];
+    } catch (error) {
+      console.warn(`Notification check failed for ${region} ${date}:`, error);
+    }
+
+    // Stopped or resubscribed while loading
+    if (this.deliver !== deliver) return;
+
+    // Demo or stale numbers must never be announced as results
+    const final = regionData && !regionData.partial && !regionData.suspended &&
+      ResultProvenance.isAuthoritative(regionData);
+
+    if (final) {
+      try {
+        await deliver(regionData);
+      } catch (error) {
+        console.warn(`Notification delivery failed for ${region} ${date}:`, error);
+      }
+      if (this.deliver !== deliver) return;
+    } else if (attempt < this.options.maxRetries) {
+      this.timers.set(region, setTimeout(
+        () => this.check(region, date, attempt + 1),
+        this.options.retryMinutes * 60000
+      ));
+      return;
+    }
+
+    this.schedule(region, date);
+  }
+}
+
+/**
+ * Web Push backend: registers a PushManager subscription with a push server
+ * that sends ResultAlerts messages after each draw, even with the site
+ * closed. Point `endpoint` at a local stub server for testing.
+ *
+ *   PUT    {endpoint}/subscriptions   { push, regions, preferences, savedNumbers, drawTimes }
+ *   DELETE {endpoint}/subscriptions   { endpoint }
+ */
+class WebPushBackend {
+  /**
+   * @param {string} endpoint - Push server root
+   * @param {Object} options - { publicKey } VAPID application server key (base64url)
+   */
+  constructor(endpoint = '/api/push', { publicKey } = {}) {
+    this.name = 'webpush';
+    this.endpoint = endpoint;
+    this.publicKey = publicKey;
+  }
+
+  /**
+   * Decode a base64url VAPID key
+   * @param {string} key - base64url string
+   * @returns {Uint8Array} Raw key bytes
+   */
+  static decodeKey(key) {
+    const base64 = (key + '='.repeat((4 - key.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+
+  async subscribe(subscription) {
+    const registration = await navigator.serviceWorker.ready;
+    const push = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: WebPushBackend.decodeKey(this.publicKey)
+      });
+
+    await this.send('PUT', { push: push.toJSON(), ...subscription });
+  }
+
+  async unsubscribe() {
+    const registration = await navigator.serviceWorker.ready;
+    const push = await registration.pushManager.getSubscription();
+    if (push) {
+      await this.send('DELETE', { endpoint: push.endpoint });
+      await push.unsubscribe();
+    }
+  }
+
+  stop() {
+    // The server keeps pushing after the page closes
+  }
+
+  /**
+   * Call the push server's subscription endpoint
+   * @param {string} method - HTTP method
+   * @param {Object} body - JSON body
+   */
+  async send(method, body) {
+    const response = await fetch(`${this.endpoint}/subscriptions`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new RequestError(`HTTP ${response.status}: ${response.statusText}`, { status: response.status });
+    }
+  }
+}
+
+/**
+ * Opt-in result notifications per region, per province and for saved
+ * numbers. Preferences live in localStorage; a push backend decides when
+ * results are final.
+ */
+class NotificationManager {
+  /**
+   * @param {Object} options - { backend, getSavedNumbers, storage }
+   *   `getSavedNumbers()` returns [{ number, region?, province? }], usually
+   *   the Watchlist items
+   */
+  constructor({ backend, getSavedNumbers = () => [], storage = Utils.getStorage() } = {}) {
+    this.backend = backend;
+    this.storage = storage;
+    this.getSavedNumbers = getSavedNumbers;
+    this.preferences = this.loadPreferences();
+  }
+
+  /**
+   * Check whether the browser can show notifications
+   * @returns {boolean} True if the Notification API exists
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+  }
+
+  /**
+   * Read saved preferences
+   * @returns {Object} { enabled, regions, provinces, numberAlerts }
+   */
+  loadPreferences() {
+    const defaults = { enabled: false, regions: [], provinces: [], numberAlerts: false };
+    try {
+      const saved = JSON.parse(this.storage?.getItem(NOTIFY_CONFIG.storageKey) || 'null');
+      return { ...defaults, ...saved };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  /**
+   * Merge and persist preferences
+   * @param {Object} preferences - Changed fields
+   */
+  savePreferences(preferences) {
+    this.preferences = { ...this.preferences, ...preferences };
+    this.storage?.setItem(NOTIFY_CONFIG.storageKey, JSON.stringify(this.preferences));
+  }
+
+  /**
+   * Build the backend subscription for the current preferences
+   * @returns {Object} { regions, preferences, savedNumbers, drawTimes }
+   */
+  getSubscription() {
+    const { regions, provinces, numberAlerts } = this.preferences;
+    const savedNumbers = numberAlerts ? this.getSavedNumbers() : [];
+    const watched = new Set(regions);
+
+    provinces.forEach(code => PROVINCES[code] && watched.add(PROVINCES[code].region));
+    savedNumbers.forEach(item => {
+      const region = item.region || PROVINCES[item.province]?.region;
+      (region ? [region] : Object.keys(PRIZE_SCHEMAS)).forEach(key => watched.add(key));
+    });
+
+    return {
+      regions: [...watched],
+      preferences: { regions, provinces, numberAlerts },
+      savedNumbers,
+      drawTimes: Object.fromEntries(Object.keys(PRIZE_SCHEMAS).map(key => [key, DrawSchedule.getDrawTime(key)]))
+    };
+  }
+
+  /**
+   * Ask for permission and start alerts
+   * @param {Object} preferences - { regions, provinces, numberAlerts }
+   * @returns {Promise<boolean>} False if permission was refused
+   */
+  async enable(preferences) {
+    if (!NotificationManager.isSupported()) {
+      return false;
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      return false;
+    }
+
+    this.savePreferences({ ...preferences, enabled: true });
+    await this.backend.subscribe(this.getSubscription(), (regionData) => this.handleResults(regionData));
+    return true;
+  }
+
+  /**
+   * Stop alerts and remember the choice
+   */
+  async disable() {
+    this.savePreferences({ enabled: false });
+    await this.backend.unsubscribe();
+  }
+
+  /**
+   * Resume alerts on page load if previously enabled
+   */
+  async start() {
+    if (!this.preferences.enabled || !NotificationManager.isSupported() || Notification.permission !== 'granted') {
+      return;
+    }
+
+    try {
+      await this.backend.subscribe(this.getSubscription(), (regionData) => this.handleResults(regionData));
+    } catch (error) {
+      console.warn('Failed to resume notifications:', error);
+    }
+  }
+
+  /**
+   * Show every not-yet-delivered message for a final result
+   * @param {Object} regionData - Complete region result
+   */
+  async handleResults(regionData) {
+    const delivered = this.loadDelivered();
+    const messages = ResultAlerts.build(regionData, this.preferences, this.getSubscription().savedNumbers)
+      .filter(message => !delivered.includes(message.tag));
+
+    // Record what was shown even when a later message fails, so it is not repeated
+    try {
+      for (const message of messages) {
+        await this.show(message);
+        delivered.push(message.tag);
+      }
+    } finally {
+      this.storage?.setItem(
+        NOTIFY_CONFIG.deliveredKey,
+        JSON.stringify(delivered.slice(-NOTIFY_CONFIG.deliveredLimit))
+      );
+    }
+  }
+
+  /**
+   * Read the tags of messages already shown
+   * @returns {Array<string>} Tags, oldest first
+   */
+  loadDelivered() {
+    try {
+      return JSON.parse(this.storage?.getItem(NOTIFY_CONFIG.deliveredKey) || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Display one message, through the service worker whenever one is
+   * registered: mobile browsers reject `new Notification`, and the worker's
+   * notification survives the tab
+   * @param {Object} message - { tag, title, body, url }
+   */
+  async show({ tag, title, body, url }) {
+    const options = { tag, body, data: { url }, lang: 'vi' };
+
+    // `ready` never settles without a registration
+    const registration = OfflineManager.isSupported() && await navigator.serviceWorker.getRegistration();
+    if (registration) {
+      await navigator.serviceWorker.ready.then(ready => ready.showNotification(title, options));
+    } else {
+      new Notification(title, options);
+    }
+  }
+
+  /**
+   * Stop in-page work without cancelling the subscription
+   */
+  destroy() {
+    this.backend.stop();
+  }
+}
+
+// ================================================== //
+// ROUTER MODULE                                      //
+// ================================================== //
+
+/**
+ * Keeps the viewed date, region and province in the URL.
+ *
+ * The address bar uses query strings (`?date=2025-07-30&region=north&province=HCM`),
+ * which work on any static host. Pretty links such as `/xsmb/30-07-2025` or
+ * `/xsmn/hcm/30-07-2025` are accepted too: either as the page path, or handed
+ * over as `?path=` by a server redirect or 404.html.
+ */
+class Router {
+  /**
+   * @param {Object} options - { onChange(state) } called on back/forward
+   */
+  constructor({ onChange = () => {} } = {}) {
+    this.onChange = onChange;
+    this.current = null;
+    this.handlePopState = this.handlePopState.bind(this);
+  }
+
+  /**
+   * Default route: today, every region
+   * @returns {Object} { date, region, province }
+   */
+  static getDefaultState() {
+    return { date: DrawSchedule.today(), region: 'all', province: null };
+  }
+
+  /**
+   * Read a date in YYYY-MM-DD or DD-MM-YYYY form
+   * @param {string} value - Date text
+   * @returns {string|null} Date key, or null if invalid or in the future
+   */
+  static parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '') ||
+      /^(\d{2})-(\d{2})-(\d{4})$/.exec(value || '');
+    if (!match) return null;
+
+    const [year, month, day] = match[1].length === 4 ? match.slice(1) : match.slice(1).reverse();
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    const key = `${year}-${month}-${day}`;
+
+    if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== key) return null;
+    return key <= DrawSchedule.today() ? key : null;
+  }
+
+  /**
+   * Parse a pretty path: /{xsmb|xsmt|xsmn}[/{province}][/{DD-MM-YYYY}]
+   * @param {string} path - URL path
+   * @returns {Object|null} Partial state, or null if the path is not a route
+   */
+  static parsePrettyPath(path) {
+    const segments = path.split('/').filter(Boolean);
+    const slugs = Object.fromEntries(
+      Object.keys(PRIZE_SCHEMAS).map(region => [ResultModel.getSchema(region).code.toLowerCase(), region])
+    );
+
+    const start = segments.findIndex(segment => slugs[segment.toLowerCase()]);
+    if (start === -1) return null;
+
+    const region = slugs[segments[start].toLowerCase()];
+    const state = { region };
+
+    segments.slice(start + 1).forEach(segment => {
+      const code = segment.toUpperCase();
+      if (PROVINCES[code]?.region === region) {
+        state.province = code;
+      } else if (Router.parseDate(segment)) {
+        state.date = Router.parseDate(segment);
+      }
+    });
+
+    return state;
+  }
+
+  /**
+   * Find where the site lives under a pretty path, e.g. '/kqxs/' for
+   * /kqxs/xsmb/30-07-2025 on a GitHub Pages project site
+   * @param {string} path - URL path
+   * @returns {string|null} Base path ending in '/', or null if the path is not a route
+   */
+  static getBasePath(path) {
+    const segments = path.split('/');
+    const codes = Object.keys(PRIZE_SCHEMAS).map(region => ResultModel.getSchema(region).code.toLowerCase());
+    const start = segments.findIndex(segment => codes.includes(segment.toLowerCase()));
+
+    return start === -1 ? null : `${segments.slice(0, start).join('/')}/`;
+  }
+
+  /**
+   * Read route state from a URL, ignoring invalid values
+   * @param {URL|Location|string} url - Page URL
+   * @returns {Object} Partial state: any of { date, region, province }
+   */
+  static parse(url) {
+    const { pathname, searchParams } = new URL(String(url), 'http://localhost');
+    const state = Router.parsePrettyPath(searchParams.get('path') || '') ||
+      Router.parsePrettyPath(pathname) || {};
+
+    const date = Router.parseDate(searchParams.get('date'));
+    const region = searchParams.get('region');
+    const province = (searchParams.get('province') || '').toUpperCase();
+
+    if (date) state.date = date;
+    if (region === 'all' || PRIZE_SCHEMAS[region]) state.region = region;
+    if (PROVINCES[province]) state.province = province;
+
+    // A province always belongs to its region
+    if (state.province) {
+      state.region = PROVINCES[state.province].region;
+    }
+
+    return state;
+  }
+
+  /**
+   * Build the query string of a state
+   * @param {Object} state - { date, region, province }
+   * @returns {string} Query string starting with '?'
+   */
+  static toQuery({ date, region, province }) {
+    const params = new URLSearchParams({ date, region });
+    if (province) params.set('province', province);
+    return `?${params}`;
+  }
+
+  /**
+   * Build the shareable pretty path of a state
+   * @param {Object} state - { date, region, province }
+   * @returns {string} Path such as /xsmb/30-07-2025; '/' plus query for all regions
+   */
+  static toPrettyPath({ date, region, province }) {
+    if (region === 'all') {
+      return `/${Router.toQuery({ date, region })}`;
+    }
+
+    const [year, month, day] = date.split('-');
+    const slug = ResultModel.getSchema(region).code.toLowerCase();
+    return `/${slug}${province ? `/${province.toLowerCase()}` : ''}/${day}-${month}-${year}`;
+  }
+
+  static isSame(a, b) {
+    return Boolean(a && b) && a.date === b.date && a.region === b.region && a.province === b.province;
+  }
+
+  /**
+   * Read the initial route and start listening for back/forward
+   * @returns {Object} Full state: { date, region, province }
+   */
+  start() {
+    const parsed = Router.parse(window.location.href);
+    this.current = { ...Router.getDefaultState(), ...parsed };
+
+    // Normalize pretty or partial links to the canonical query URL
+    if (Object.keys(parsed).length > 0) {
+      history.replaceState(this.current, '', this.getURL(this.current));
+    }
+
+    window.addEventListener('popstate', this.handlePopState);
+    return { ...this.current };
+  }
+
+  /**
+   * Record a new view in history; no-op if nothing changed
+   * @param {Object} state - { date, region, province }
+   */
+  navigate(state) {
+    if (Router.isSame(state, this.current)) return;
+
+    this.current = { ...state };
+    history.pushState(this.current, '', this.getURL(this.current));
+  }
+
+  /**
+   * URL of the current page for a state
+   * @param {Object} state - { date, region, province }
+   * @returns {string} Path plus query string
+   */
+  getURL(state) {
+    // Pretty paths are not real files; fall back to the page that handles them
+    const base = Router.getBasePath(window.location.pathname);
+    const path = base === null ? window.location.pathname : `${base}index.html`;
+    return `${path}${Router.toQuery(state)}${window.location.hash}`;
+  }
+
+  handlePopState(event) {
+    this.current = event.state && event.state.date
+      ? { ...event.state }
+      : { ...Router.getDefaultState(), ...Router.parse(window.location.href) };
+    this.onChange({ ...this.current });
+  }
+
+  destroy() {
+    window.removeEventListener('popstate', this.handlePopState);
+  }
+}
+
+// ================================================== //
+// SEO METADATA MODULE                                //
+// ================================================== //
+
+const SEO_CONFIG = {
+  siteName: 'KQXS 3 Miền',
+  siteURL: 'https://kqxs.example.com',
+  image: 'https://kqxs.example.com/og-image.jpg',
+  timezone: '+07:00',
+  jsonLDId: 'result-jsonld'
+};
+
+/**
+ * Page metadata describing loaded results: title, description, canonical
+ * URL, Open Graph tags and JSON-LD. Numbers only appear in titles and
+ * snippets when the result is authoritative.
+ */
+const ResultMetadata = {
+  /**
+   * Build the metadata of a results view
+   * @param {Object} results - Results keyed by region
+   * @param {Object} view - { date, region, province, url }: url is the canonical URL
+   * @returns {Object} { title, description, canonical, og, jsonLD }
+   */
+  build(results, { date, region, province = null, url }) {
+    const cards = LotteryRenderer.getCards(results, region, { province })
+      .filter(card => card.type === 'region' || card.type === 'suspended');
+    const shown = cards.map(card => card.data);
+    const displayDate = date.split('-').reverse().join('/');
+    const provenance = ResultProvenance.summarize(shown);
+
+    const { title, description } = cards.length === 1 && region !== 'all'
+      ? this.describeRegion(shown[0], displayDate, provenance)
+      : this.describeDay(shown, displayDate, provenance);
+
+    return {
+      title: `${title} | ${SEO_CONFIG.siteName}`,
+      description,
+      canonical: url,
+      og: {
+        type: 'article',
+        title,
+        description,
+        url,
+        site_name: SEO_CONFIG.siteName,
+        image: SEO_CONFIG.image,
+        locale: 'vi_VN'
+      },
+      jsonLD: this.toJSONLD(shown, { url, description, authoritative: !provenance })
+    };
+  },
+
+  /**
+   * Title and description of one region, e.g. "XSMB 30/07/2025 – Đặc biệt 95847"
+   * @param {Object} regionData - Region result (possibly narrowed to one province)
+   * @param {string} displayDate - DD/MM/YYYY
+   * @param {string|null} provenance - Non-authoritative PROVENANCE key, if any
+   * @returns {Object} { title, description }
+   */
+  describeRegion(regionData, displayDate, provenance) {
+    // A single southern or central station is named, e.g. "XSMN TP. HCM 26/07/2025"
+    const station = regionData.region !== 'north' && regionData.provinces.length === 1
+      ? ` ${regionData.provinces[0].name}`
+      : '';
+    const heading = `${regionData.code}${station} ${displayDate}`;
+    const specials = this.getSpecialPrizes(regionData);
+
+    if (regionData.suspended) {
+      return { title: `${heading} – Tạm ngưng quay thưởng`, description: `${heading}: tạm ngưng quay thưởng${regionData.reason ? ` - ${regionData.reason}` : ''}.` };
+    }
+
+    const names = regionData.provinces.map(item => item.name).join(', ');
+    const summary = specials.map(({ name, number }) => (specials.length > 1 ? `${name} ${number}` : number)).join(', ');
+
+    if (provenance) {
+      return {
+        title: `${heading} – ${names}`,
+        description: `${PROVENANCE[provenance].label}: kết quả xổ số ${regionData.name} ngày ${displayDate} (${names}).`
+      };
+    }
+
+    return {
+      title: specials.length === 1 ? `${heading} – Đặc biệt ${summary}` : `${heading} – ${names}`,
+      description: `Kết quả xổ số ${regionData.name} ngày ${displayDate}. Đặc biệt: ${summary}.`
+    };
+  },
+
+  /**
+   * Title and description of several regions on one day
+   * @param {Array<Object>} list - Region results
+   * @param {string} displayDate - DD/MM/YYYY
+   * @param {string|null} provenance - Non-authoritative PROVENANCE key, if any
+   * @returns {Object} { title, description }
+   */
+  describeDay(list, displayDate, provenance) {
+    const title = `Kết quả xổ số 3 miền ngày ${displayDate}`;
+
+    if (provenance || list.length === 0) {
+      return { title, description: `${provenance ? `${PROVENANCE[provenance].label}: ` : ''}${title}.` };
+    }
+
+    const parts = list.map(regionData => regionData.suspended
+      ? `${regionData.code}: tạm ngưng`
+      : `${regionData.code}: ${this.getSpecialPrizes(regionData).map(({ number }) => number).join(', ')}`);
+
+    return { title, description: `${title}. Đặc biệt ${parts.join('; ')}.` };
+  },
+
+  /**
+   * @param {Object} regionData - Region result
+   * @returns {Array<Object>} [{ name, number }]; number is 'đang quay' until drawn
+   */
+  getSpecialPrizes(regionData) {
+    return (regionData.provinces || []).map(province => ({
+      name: province.name,
+      number: province.prizes.find(prize => prize.tier === 'special')?.numbers[0] ?? 'đang quay'
+    }));
+  },
+
+  /**
+   * Schema.org description: an Event per draw, plus a Dataset of the
+   * numbers when they are authoritative
+   * @param {Array<Object>} list - Region results
+   * @param {Object} options - { url, description, authoritative }
+   * @returns {Object} JSON-LD document
+   */
+  toJSONLD(list, { url, description, authoritative }) {
+    const events = list.map(regionData => ({
+      '@type': 'Event',
+      name: `Xổ số ${regionData.code} ${regionData.date.split('-').reverse().join('/')}`,
+      startDate: `${regionData.date}T${DrawSchedule.getDrawTime(regionData.region)}:00${SEO_CONFIG.timezone}`,
+      eventStatus: `https://schema.org/${regionData.suspended ? 'EventCancelled' : 'EventScheduled'}`,
+      eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+      location: (regionData.provinces.length > 0 ? regionData.provinces : [{ name: regionData.name }])
+        .map(province => ({ '@type': 'Place', name: province.name, address: { '@type': 'PostalAddress', addressCountry: 'VN' } })),
+      organizer: { '@type': 'Organization', name: 'Công ty Xổ số kiến thiết' },
+      url
+    }));
+
+    const graph = authoritative && list.some(regionData => !regionData.suspended)
+      ? [...events, {
+        '@type': 'Dataset',
+        name: `Kết quả ${list.map(regionData => regionData.code).join(', ')} ngày ${list[0].date.split('-').reverse().join('/')}`,
+        description,
+        url,
+        temporalCoverage: list[0].date,
+        spatialCoverage: { '@type': 'Place', name: 'Việt Nam' },
+        isAccessibleForFree: true,
+        creator: { '@type': 'Organization', name: SEO_CONFIG.siteName, url: SEO_CONFIG.siteURL }
+      }]
+      : events;
+
+    return { '@context': 'https://schema.org', '@graph': graph };
+  },
+
+  /**
+   * File name of the static page generate-pages.js writes for a day, with
+   * every region (results-30-07-2025.html) or one (results-xsmb-30-07-2025.html)
+   * @param {Object} state - { date, region }
+   * @returns {string} Page file name
+   */
+  getPageName({ date, region }) {
+    const day = date.split('-').reverse().join('-');
+    return region === 'all'
+      ? `results-${day}.html`
+      : `results-${ResultModel.getSchema(region).code.toLowerCase()}-${day}.html`;
+  },
+
+  /**
+   * Canonical URL of a view: its static results page, so the page and
+   * index.html?date=... do not both claim the same draw. Province views
+   * have no static page and keep the home page query.
+   * @param {Object} state - Router state
+   * @returns {string} Absolute URL
+   */
+  getViewURL(state) {
+    return state.province
+      ? `${SEO_CONFIG.siteURL}/index.html${Router.toQuery(state)}`
+      : `${SEO_CONFIG.siteURL}/${this.getPageName(state)}`;
+  },
+
+  /**
+   * Markup of the metadata, for pages built without a DOM
+   * @param {Object} meta - See build(); jsonLD is optional
+   * @returns {string} <title>, meta, link and JSON-LD tags
+   */
+  renderHead(meta) {
+    const escape = (value) => Utils.escapeAttribute(value);
+    return [
+      `<title>${escape(meta.title)}</title>`,
+      `<meta name="description" content="${escape(meta.description)}">`,
+      `<link rel="canonical" href="${escape(meta.canonical)}">`,
+      ...Object.entries(meta.og).map(([key, value]) => `<meta property="og:${key}" content="${escape(value)}">`),
+      ...(meta.jsonLD ? [`<script type="application/ld+json" id="${SEO_CONFIG.jsonLDId}">${this.serializeJSONLD(meta.jsonLD)}</script>`] : [])
+    ].join('\n    ');
+  },
+
+  // Keep "</script>" inside strings from closing the tag
+  serializeJSONLD(jsonLD) {
+    return JSON.stringify(jsonLD).replace(/</g, '\\u003c');
+  },
+
+  /**
+   * Write the metadata into the current document
+   * @param {Document} doc - Document to update
+   * @param {Object} meta - See build()
+   */
+  apply(doc, meta) {
+    const upsert = (selector, tag, attributes) => {
+      let element = doc.head.querySelector(selector);
+      if (!element) {
+        element = doc.createElement(tag);
+        doc.head.appendChild(element);
+      }
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      return element;
+    };
+
+    doc.title = meta.title;
+    upsert('meta[name="description"]', 'meta', { name: 'description', content: meta.description });
+    upsert('link[rel="canonical"]', 'link', { rel: 'canonical', href: meta.canonical });
+    Object.entries(meta.og).forEach(([key, value]) => {
+      upsert(`meta[property="og:${key}"]`, 'meta', { property: `og:${key}`, content: value });
+    });
+
+    const script = upsert(`#${SEO_CONFIG.jsonLDId}`, 'script', { type: 'application/ld+json', id: SEO_CONFIG.jsonLDId });
+    script.textContent = this.serializeJSONLD(meta.jsonLD);
+  }
+};
+
+// ================================================== //
 // THEME MANAGER MODULE                               //
 // ================================================== //
 
 // ================================================== //
-// ACCESSIBILITY MANAGER MODULE                       //
+// ACCESSIBILITY MANAGER MODULE                       //
+// ================================================== //
+
+class AccessibilityManager {
+  constructor() {
+    this.announcer = null;
+    this.disposables = new Disposables();
+  }
+
+  init() {
+    this.setupSkipLinks();
+    this.setupFocusManagement();
+    this.setupKeyboardNavigation();
+    this.setupScreenReaderAnnouncements();
+  }
+
+  /**
+   * Setup skip to content links
+   */
+  setupSkipLinks() {
+    const skipLink = document.querySelector('.skip-link');
+    if (skipLink) {
+      this.disposables.listen(skipLink, 'click', (e) => {
+        e.preventDefault();
+        const target = document.querySelector(skipLink.getAttribute('href'));
+        if (target) {
+          target.focus();
+          target.scrollIntoView({ behavior: 'smooth' });
+        }
+      });
+    }
+  }
+
+  /**
+   * Setup focus management
+   */
+  setupFocusManagement() {
+    // Trap focus in mobile menu
+    this.disposables.listen(document, 'keydown', (e) => {
+      if (e.key === 'Tab') {
+        const mobileMenu = document.querySelector('#mobile-menu');
+        if (mobileMenu && !mobileMenu.classList.contains('hidden')) {
+          this.trapFocus(e, mobileMenu);
+        }
+      }
+    });
+  }
+
+  /**
+   * Trap focus within an element
+   * @param {KeyboardEvent} e - Keyboard event
+   * @param {HTMLElement} container - Container element
+   */
+  trapFocus(e, container) {
+    const focusableElements = container.querySelectorAll(
+      'a[href], button, textarea, input[type="text"], input[type="radio"], input[type="checkbox"], select'
+    );
+    
+    const firstFocusable = focusableElements[0];
+    const lastFocusable = focusableElements[focusableElements.length - 1];
+
+    if (e.shiftKey) {
+      if (document.activeElement === firstFocusable) {
+        lastFocusable.focus();
+        e.preventDefault();
+      }
+    } else {
+      if (document.activeElement === lastFocusable) {
+        firstFocusable.focus();
+        e.preventDefault();
+      }
+    }
+  }
+
+  /**
+   * Setup keyboard navigation
+   */
+  setupKeyboardNavigation() {
+    this.disposables.listen(document, 'keydown', (e) => {
+      // Escape key handling
+      if (e.key === 'Escape') {
+        this.handleEscape();
+      }
+      
+      // Arrow key navigation
+      if (e.target.matches('.nav__link')) {
+        this.handleArrowNavigation(e);
+      }
+    });
+  }
+
+  /**
+   * Handle escape key press
+   */
+  handleEscape() {
+    // Close mobile menu
+    const mobileMenu = document.querySelector('#mobile-menu');
+    const mobileMenuBtn = document.querySelector('#mobile-menu-btn');
+    
+    if (mobileMenu && !mobileMenu.classList.contains('hidden')) {
+      mobileMenu.classList.add('hidden');
+      mobileMenuBtn?.focus();
+    }
+
+    // Close any open modals or dropdowns
+    const openModals = document.querySelectorAll('.modal:not(.hidden)');
+    openModals.forEach(modal => {
+      modal.classList.add('hidden');
+    });
+  }
+
+  /**
+   * Handle arrow key navigation
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleArrowNavigation(e) {
+    const links = Array.from(document.querySelectorAll('.nav__link'));
+    const currentIndex = links.indexOf(e.target);
+    
+    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      const nextIndex = (currentIndex + 1) % links.length;
+      links[nextIndex].focus();
+    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const prevIndex = currentIndex === 0 ? links.length - 1 : currentIndex - 1;
+      links[prevIndex].focus();
+    }
+  }
+
+  /**
+   * Setup screen reader announcements
+   */
+  setupScreenReaderAnnouncements() {
+    this.announcer = document.createElement('div');
+    this.announcer.setAttribute('aria-live', 'polite');
+    this.announcer.setAttribute('aria-atomic', 'true');
+    this.announcer.className = 'sr-only';
+    document.body.appendChild(this.announcer);
+    this.disposables.element(this.announcer);
+  }
+
+  /**
+   * Announce message to screen readers
+   * @param {string} message - Message to announce
+   */
+  announce(message) {
+    if (this.announcer) {
+      this.announcer.textContent = message;
+    }
+  }
+
+  destroy() {
+    this.disposables.dispose();
+    this.announcer = null;
+  }
+}
+
+// ================================================== //
+// RESULT EXPORT MODULE                               //
+// ================================================== //
+
+const EXPORT_CONFIG = {
+  columns: ['date', 'region', 'province', 'provinceName', 'tier', 'tierName', 'index', 'number', 'provenance'],
+  // Written as ="01234" in CSV so Excel keeps the leading zeros
+  textColumns: ['number'],
+  formats: {
+    csv: { label: 'CSV', icon: 'file-csv', type: 'text/csv;charset=utf-8' },
+    json: { label: 'JSON', icon: 'file-code', type: 'application/json' },
+    pdf: { label: 'PDF', icon: 'file-pdf' },
+    png: { label: 'Ảnh', icon: 'image', type: 'image/png' }
+  },
+  image: {
+    width: 720,
+    padding: 24,
+    headerHeight: 88,
+    labelWidth: 64,
+    lineHeight: 30,
+    font: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif'
+  }
+};
+
+/**
+ * Result downloads: CSV/JSON with one row per prize number, a PNG card drawn
+ * on a canvas and a printable card (saved as PDF from the print dialog).
+ * Rows and files are plain data and also work in Node; download, image and
+ * print need a browser.
+ */
+const ResultExport = {
+  /**
+   * One row per drawn number; numbers still pending in a live draw are skipped.
+   * `provenance` is 'official' or the PROVENANCE key of unconfirmed data.
+   * @param {Array<Object>} list - Normalized region results
+   * @returns {Array<Object>} Rows with the EXPORT_CONFIG.columns keys
+   */
+  toRows(list) {
+    return list.flatMap(regionData => regionData.provinces.flatMap(province =>
+      ResultModel.getSchema(regionData.region).tiers.flatMap(tier => {
+        const prize = province.prizes.find(item => item.tier === tier.key);
+        return (prize?.numbers || [])
+          .map((number, index) => ({
+            date: regionData.date,
+            region: regionData.code,
+            province: province.code,
+            provinceName: province.name,
+            tier: tier.key,
+            tierName: tier.name,
+            index: index + 1,
+            number,
+            provenance: ResultProvenance.isAuthoritative(regionData) ? 'official' : ResultProvenance.get(regionData)
+          }))
+          .filter(row => row.number !== null);
+      })
+    ));
+  },
+
+  /**
+   * CSV for spreadsheets (Excel, Google Sheets, LibreOffice): a plain RFC 4180
+   * reader sees EXPORT_CONFIG.textColumns as the literal ="01234" and has to
+   * unwrap them. Programs should read toJSON instead.
+   * @param {Array<Object>} rows - See toRows
+   * @returns {string} CSV with a header line; EXPORT_CONFIG.textColumns are
+   *   written as ="value" formulas so spreadsheets keep them as text
+   */
+  toCSV(rows) {
+    const escape = (value) => {
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const cell = (row, column) => (EXPORT_CONFIG.textColumns.includes(column) ? `="${row[column]}"` : row[column]);
+
+    return [
+      EXPORT_CONFIG.columns,
+      ...rows.map(row => EXPORT_CONFIG.columns.map(column => cell(row, column)))
+    ]
+      .map(values => values.map(escape).join(','))
+      .join('\r\n');
+  },
+
+  /**
+   * @param {Array<Object>} rows - See toRows
+   * @returns {string} JSON array
+   */
+  toJSON(rows) {
+    return JSON.stringify(rows, null, 2);
+  },
+
+  /**
+   * Download name such as kqxs-xsmb-30-07-2025.csv or
+   * kqxs-all-01-07-2025_31-07-2025.json
+   * @param {Object} options - { region: region code or 'all', from, to: date keys }
+   * @param {string} extension - File extension
+   * @returns {string} File name
+   */
+  getFileName({ region, from, to = from }, extension) {
+    const slug = region === 'all' ? 'all' : ResultModel.getSchema(region).code.toLowerCase();
+    const day = (date) => date.split('-').reverse().join('-');
+    const dates = from === to ? day(from) : `${day(from)}_${day(to)}`;
+    return `kqxs-${slug}-${dates}.${extension}`;
+  },
+
+  /**
+   * Save rows as a CSV or JSON file
+   * @param {Array<Object>} list - Normalized region results
+   * @param {string} format - 'csv' or 'json'
+   * @param {string} fileName - File name
+   * @returns {number} Rows written
+   */
+  downloadData(list, format, fileName) {
+    const rows = ResultExport.toRows(list);
+    // The byte order mark makes Excel read Vietnamese province names as UTF-8
+    const content = format === 'csv' ? `\uFEFF${ResultExport.toCSV(rows)}` : ResultExport.toJSON(rows);
+    ResultExport.download(new Blob([content], { type: EXPORT_CONFIG.formats[format].type }), fileName);
+    return rows.length;
+  },
+
+  /**
+   * Let the browser save a blob
+   * @param {Blob} blob - File content
+   * @param {string} fileName - File name
+   */
+  download(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = Utils.createElement('a', { href: url, download: fileName });
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  },
+
+  /**
+   * Export one region's result in a format
+   * @param {Object} regionData - Normalized region result (as shown in the card)
+   * @param {string} format - 'csv', 'json', 'pdf' or 'png'
+   * @param {HTMLElement} card - Rendered card, for 'pdf'
+   * @returns {Promise} Resolves once the file is handed to the browser
+   */
+  async exportRegion(regionData, format, card) {
+    const fileName = ResultExport.getFileName({ region: regionData.region, from: regionData.date }, format);
+
+    if (format === 'pdf') {
+      ResultExport.print(card, fileName);
+    } else if (format === 'png') {
+      ResultExport.download(await ResultExport.toImageBlob(regionData), fileName);
+    } else {
+      ResultExport.downloadData([regionData], format, fileName);
+    }
+  },
+
+  /**
+   * Print a single card; "Save as PDF" in the print dialog produces the PDF.
+   * The print styles in design-system.css hide everything else.
+   * @param {HTMLElement} card - Card element
+   * @param {string} fileName - Suggested PDF name (browsers use the title)
+   */
+  print(card, fileName) {
+    const title = document.title;
+    document.title = fileName.replace(/\.pdf$/, '');
+    document.body.classList.add('printing-card');
+    card.classList.add('lottery-card--printing');
+
+    const restore = () => {
+      document.title = title;
+      document.body.classList.remove('printing-card');
+      card.classList.remove('lottery-card--printing');
+      window.removeEventListener('afterprint', restore);
+    };
+    window.addEventListener('afterprint', restore);
+    window.print();
+  },
+
+  /**
+   * Split numbers into lines that fit a width
+   * @param {CanvasRenderingContext2D} context - Context with the font set
+   * @param {Array<string>} numbers - Numbers of one prize
+   * @param {number} width - Available width
+   * @returns {Array<string>} Lines
+   */
+  wrapNumbers(context, numbers, width) {
+    return numbers.reduce((lines, number) => {
+      const last = lines[lines.length - 1];
+      if (last && context.measureText(`${last}   ${number}`).width <= width) {
+        lines[lines.length - 1] = `${last}   ${number}`;
+      } else {
+        lines.push(number);
+      }
+      return lines;
+    }, []);
+  },
+
+  /**
+   * Draw a shareable result card in the region's theme colors
+   * @param {Object} regionData - Normalized region result
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on; resized to fit
+   * @returns {HTMLCanvasElement} The canvas
+   */
+  drawImage(regionData, canvas = document.createElement('canvas')) {
+    const { width, padding, headerHeight, labelWidth, lineHeight, font } = EXPORT_CONFIG.image;
+    const { colors } = THEME_CONFIG[regionData.region];
+    const schema = ResultModel.getSchema(regionData.region);
+    const tiers = schema.displayFromLowest ? [...schema.tiers].reverse() : schema.tiers;
+    const provenance = PROVENANCE[ResultProvenance.get(regionData)];
+    const provinces = regionData.provinces;
+    const columnWidth = (width - padding * 2 - labelWidth) / provinces.length;
+    const numberFont = (tier) => `${tier.key === 'special' ? 'bold 26px' : '600 20px'} ${font}`;
+
+    // Lay out first: the canvas height depends on how the numbers wrap
+    const context = canvas.getContext('2d');
+    const rows = tiers.map(tier => {
+      context.font = numberFont(tier);
+      const cells = provinces.map(province => ResultExport.wrapNumbers(
+        context,
+        province.prizes.find(item => item.tier === tier.key).numbers.map(number => number ?? '•'.repeat(tier.digits)),
+        columnWidth - 8
+      ));
+      return { tier, cells, height: Math.max(...cells.map(lines => lines.length)) * lineHeight + 10 };
+    });
+    const provinceRow = provinces.length > 1 ? lineHeight + 10 : 0;
+    const footerHeight = provenance.authoritative ? 40 : 64;
+    canvas.width = width;
+    canvas.height = headerHeight + provinceRow + rows.reduce((sum, row) => sum + row.height, 0) + footerHeight + padding;
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const gradient = context.createLinearGradient(0, 0, width, headerHeight);
+    gradient.addColorStop(0, colors.primary);
+    gradient.addColorStop(1, colors.accent);
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, width, headerHeight);
+
+    context.fillStyle = '#ffffff';
+    context.textBaseline = 'middle';
+    context.textAlign = 'left';
+    context.font = `bold 28px ${font}`;
+    context.fillText(`${regionData.code} - ${regionData.name}`, padding, 32);
+    context.font = `18px ${font}`;
+    context.fillText(Utils.formatDate(DrawSchedule.toDate(regionData.date)), padding, 64);
+
+    let y = headerHeight;
+    const columnCenter = (index) => padding + labelWidth + columnWidth * (index + 0.5);
+    context.textAlign = 'center';
+
+    if (provinceRow) {
+      context.fillStyle = colors.light;
+      context.fillRect(0, y, width, provinceRow);
+      context.fillStyle = colors.accent;
+      context.font = `bold 16px ${font}`;
+      provinces.forEach((province, index) => context.fillText(province.name, columnCenter(index), y + provinceRow / 2));
+      y += provinceRow;
+    }
+
+    rows.forEach(({ tier, cells, height }, rowIndex) => {
+      if (rowIndex % 2 === 1) {
+        context.fillStyle = colors.light;
+        context.fillRect(0, y, width, height);
+      }
+
+      context.textAlign = 'left';
+      context.fillStyle = colors.primary;
+      context.font = `bold 18px ${font}`;
+      context.fillText(tier.shortName, padding, y + height / 2);
+
+      context.textAlign = 'center';
+      context.font = numberFont(tier);
+      context.fillStyle = tier.key === 'special' ? colors.primary : '#374151';
+      cells.forEach((lines, index) => {
+        const top = y + (height - lines.length * lineHeight) / 2 + lineHeight / 2;
+        lines.forEach((line, lineIndex) => context.fillText(line, columnCenter(index), top + lineIndex * lineHeight));
+      });
+
+      y += height;
+    });
+
+    // Demo or unconfirmed numbers stay labelled when shared as an image
+    context.textAlign = 'center';
+    if (!provenance.authoritative) {
+      context.fillStyle = '#b91c1c';
+      context.font = `bold 16px ${font}`;
+      context.fillText(`${provenance.label}: ${provenance.message}`, width / 2, y + 22, width - padding * 2);
+      y += 24;
+    }
+    context.fillStyle = '#6b7280';
+    context.font = `14px ${font}`;
+    context.fillText(SEO_CONFIG.siteName, width / 2, y + 24);
+
+    return canvas;
+  },
+
+  /**
+   * @param {Object} regionData - Normalized region result
+   * @returns {Promise<Blob>} PNG image
+   */
+  toImageBlob(regionData) {
+    const canvas = ResultExport.drawImage(regionData);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Canvas export failed'))), 'image/png');
+    });
+  }
+};
+
+// ================================================== //
+// LOTTERY RESULTS RENDERER MODULE                    //
+// ================================================== //
+
+class LotteryRenderer {
+  /**
+   * @param {HTMLElement} container - Results container
+   * @param {Object} options - { onRetry, watchlist, exports }: onRetry is called
+   *   by the retry buttons of error and non-authoritative result cards; numbers
+   *   of the optional Watchlist are highlighted; exports adds download actions
+   *   (see ResultExport) to result cards
+   */
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onRetry = options.onRetry || null;
+    this.watchlist = options.watchlist || null;
+    this.exports = Boolean(options.exports);
+    this.results = null;
+    this.disposables = new Disposables();
+
+    // Delegated, so server-rendered buttons work without re-rendering
+    if (this.container && (this.onRetry || this.exports)) {
+      this.disposables.listen(this.container, 'click', (e) => {
+        if (this.onRetry && e.target.closest('.result-retry')) {
+          this.onRetry();
+        }
+
+        const action = this.exports && e.target.closest('.result-export__action');
+        if (action) {
+          this.exportCard(action.closest('.lottery-card'), action.dataset.export);
+        }
+      });
+    }
+  }
+
+  /**
+   * Stop listening to the container and cancel pending animations. The
+   * rendered cards stay on the page.
+   */
+  destroy() {
+    this.disposables.dispose();
+  }
+
+  /**
+   * Show or hide a provenance notice for views aggregating many results
+   * (statistics, search, ticket checks)
+   * @param {HTMLElement} element - Notice element
+   * @param {Array<Object>} list - Region results the view was computed from
+   */
+  static renderProvenanceNotice(element, list) {
+    const key = ResultProvenance.summarize(list);
+
+    element.hidden = !key;
+    element.className = key ? `provenance-banner provenance-banner--${key}` : 'provenance-banner';
+    element.setAttribute('role', 'status');
+    element.innerHTML = key ? LotteryRenderer.provenanceMessageHTML(key) : '';
+  }
+
+  /**
+   * Markup of a provenance notice, for pages built without a DOM
+   * @param {Array<Object>} list - Region results the view was computed from
+   * @returns {string} Notice element, or '' when every result is authoritative
+   */
+  static provenanceNoticeHTML(list) {
+    const key = ResultProvenance.summarize(list);
+    return key
+      ? Utils.renderTag('div', {
+        className: `provenance-banner provenance-banner--${key}`,
+        role: 'status'
+      }, LotteryRenderer.provenanceMessageHTML(key))
+      : '';
+  }
+
+  static provenanceMessageHTML(key) {
+    return `<i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+         <span><strong>${PROVENANCE[key].label}:</strong> ${PROVENANCE[key].message}</span>`;
+  }
+
+  /**
+   * Find result cards that show non-authoritative data without a banner.
+   * Tests use this to assert demo numbers are never displayed unlabelled.
+   * @param {HTMLElement} root - Element to search
+   * @returns {Array<HTMLElement>} Offending cards (empty when all are labelled)
+   */
+  static findUnlabelledCards(root) {
+    return [...root.querySelectorAll('.lottery-card')].filter(card => {
+      if (card.classList.contains('lottery-card--invalid') || card.classList.contains('lottery-card--error')) {
+        return false;
+      }
+      const provenance = PROVENANCE[card.dataset.provenance];
+      return !provenance || (!provenance.authoritative && !card.querySelector('.provenance-banner'));
+    });
+  }
+
+  // ================================================== //
+  // MARKUP (no DOM: runs in browsers and in Node)      //
+  // ================================================== //
+
+  /**
+   * Decide which card each requested region gets
+   * @param {Object} results - Results data
+   * @param {string} region - Region code
+   * @param {Object} options - { province }: show only this province's ticket
+   * @returns {Array<Object>} [{ type, region, data, errors, province }] where
+   *   type is 'region', 'suspended', 'province-off-day' or 'invalid'
+   */
+  static getCards(results, region, { province = null } = {}) {
+    const regions = province
+      ? [PROVINCES[province].region]
+      : region === 'all' ? Object.keys(results) : [region];
+
+    return regions.map(regionKey => {
+      const regionData = results[regionKey];
+      const errors = ResultModel.validateRegion(regionKey, regionData, {
+        partial: Boolean(regionData?.partial)
+      });
+
+      if (errors.length > 0) {
+        return { type: 'invalid', region: regionKey, errors };
+      }
+
+      if (regionData.suspended) {
+        return { type: 'suspended', region: regionKey, data: regionData };
+      }
+
+      // Filter after validation, which expects the region's full ticket count
+      const shown = province ? LotteryRenderer.selectProvince(regionData, province) : regionData;
+      return shown
+        ? { type: 'region', region: regionKey, data: shown }
+        : { type: 'province-off-day', region: regionKey, data: regionData, province };
+    });
+  }
+
+  /**
+   * Render results to an HTML string, e.g. on a server or in generate-pages.js.
+   * LotteryRenderer#render produces the same markup and hydrates it.
+   * @param {Object} results - Results data
+   * @param {string} region - Region code
+   * @param {Object} options - { province, retry, exports }: retry and exports
+   *   add the buttons a renderer with onRetry or exports shows
+   * @returns {string} Result cards
+   */
+  static renderToString(results, region, { province = null, retry = false, exports = false } = {}) {
+    return LotteryRenderer.getCards(results, region, { province })
+      .map(card => LotteryRenderer.cardHTML(card, { retry, exports }))
+      .join('');
+  }
+
+  static cardHTML(card, options) {
+    switch (card.type) {
+      case 'invalid':
+        console.warn(`Refusing to render malformed ${card.region} results:`, card.errors);
+        return LotteryRenderer.invalidCardHTML(card.region, card.errors);
+      case 'suspended':
+        return LotteryRenderer.suspendedCardHTML(card.region, card.data, options);
+      case 'province-off-day':
+        return LotteryRenderer.provinceOffDayCardHTML(card.region, card.data, card.province, options);
+      default:
+        return LotteryRenderer.regionCardHTML(card.region, card.data, options);
+    }
+  }
+
+  /**
+   * Narrow region data to one province's ticket
+   * @param {Object} regionData - Validated region data
+   * @param {string} province - Province code
+   * @returns {Object|null} Region data with that province only, or null if it did not draw
+   */
+  static selectProvince(regionData, province) {
+    const provinces = regionData.provinces.filter(item => item.code === province);
+    return provinces.length > 0 ? { ...regionData, provinces } : null;
+  }
+
+  /**
+   * Build a result card. Non-authoritative data gets a banner and distinct styling.
+   * @param {string} className - Card classes
+   * @param {Object} regionData - Region result
+   * @param {string} content - Card header and body
+   * @param {Object} options - { retry }
+   * @returns {string} Card markup
+   */
+  static resultCardHTML(className, regionData, content, { retry = false } = {}) {
+    const key = ResultProvenance.get(regionData);
+    const provenance = PROVENANCE[key];
+    const banner = provenance.authoritative ? '' : Utils.renderTag('div', {
+      className: `provenance-banner provenance-banner--${key}`,
+      role: 'status'
+    }, `
+      <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+      <span><strong>${provenance.label}:</strong> ${provenance.message}</span>
+    ${retry ? LotteryRenderer.retryButtonHTML() : ''}`);
+
+    return Utils.renderTag('div', {
+      className: provenance.authoritative ? className : `${className} lottery-card--unverified lottery-card--${key}`,
+      dataset: { region: regionData.region, date: regionData.date, provenance: key }
+    }, banner + content);
+  }
+
+  /**
+   * Download actions of a result card
+   * @returns {string} Button group markup
+   */
+  static exportActionsHTML() {
+    const buttons = Object.entries(EXPORT_CONFIG.formats).map(([format, { label, icon }]) => Utils.renderTag('button', {
+      className: 'result-export__action',
+      type: 'button',
+      dataset: { export: format },
+      title: format === 'pdf' ? 'In hoặc lưu PDF' : `Tải ${label}`
+    }, `<i class="fas fa-${icon} mr-1" aria-hidden="true"></i>${label}`)).join('');
+
+    return Utils.renderTag('div', {
+      className: 'result-export',
+      role: 'group',
+      'aria-label': 'Tải kết quả'
+    }, buttons);
+  }
+
+  static retryButtonHTML() {
+    return Utils.renderTag('button', {
+      className: 'result-retry',
+      type: 'button'
+    }, '<i class="fas fa-redo mr-1" aria-hidden="true"></i>Thử lại');
+  }
+
+  /**
+   * Placeholder card for a province with no draw on the date
+   * @param {string} regionKey - Region key
+   * @param {Object} regionData - Region data
+   * @param {string} province - Province code
+   * @param {Object} options - { retry }
+   * @returns {string} Card markup
+   */
+  static provinceOffDayCardHTML(regionKey, regionData, province, options) {
+    const { name, drawDays } = PROVINCES[province];
+    const days = drawDays.map(day => WEEKDAY_NAMES[day]).join(', ');
+
+    return LotteryRenderer.resultCardHTML(`card lottery-card lottery-card--suspended theme-${regionKey}`, { ...regionData, region: regionKey }, `
+      <div class="card__header">
+        <h3 class="card__title">
+          <i class="fas fa-${LotteryRenderer.getRegionIcon(regionKey)} mr-2"></i>
+          ${ResultModel.getSchema(regionKey).code} - ${name}
+        </h3>
+        <p class="card__subtitle">${Utils.formatDate(DrawSchedule.toDate(regionData.date))}</p>
+      </div>
+      <div class="card__body">
+        <p class="result-error">
+          <i class="fas fa-calendar-times mr-2"></i>
+          Đài ${name} không quay thưởng ngày này (quay vào ${days})
+        </p>
+      </div>
+    `, options);
+  }
+
+  /**
+   * Placeholder card for region data that failed validation
+   * @param {string} regionKey - Region key
+   * @param {Array<string>} errors - Validation errors
+   * @returns {string} Card markup
+   */
+  static invalidCardHTML(regionKey, errors) {
+    const schema = ResultModel.getSchema(regionKey);
+    return Utils.renderTag('div', {
+      className: `card lottery-card lottery-card--invalid theme-${regionKey}`,
+      dataset: { region: regionKey, errorCount: errors.length },
+      role: 'alert'
+    }, `
+      <div class="card__header">
+        <h3 class="card__title">
+          <i class="fas fa-${LotteryRenderer.getRegionIcon(regionKey)} mr-2"></i>
+          ${schema ? schema.name : regionKey}
+        </h3>
+      </div>
+      <div class="card__body">
+        <p class="result-error">
+          <i class="fas fa-exclamation-triangle mr-2"></i>
+          Dữ liệu kết quả không hợp lệ, vui lòng thử lại sau.
+        </p>
+      </div>
+    `);
+  }
+
+  /**
+   * Notice card for a day without draws
+   * @param {string} regionKey - Region key
+   * @param {Object} regionData - Suspended region data
+   * @param {Object} options - { retry }
+   * @returns {string} Card markup
+   */
+  static suspendedCardHTML(regionKey, regionData, options) {
+    return LotteryRenderer.resultCardHTML(`card lottery-card lottery-card--suspended theme-${regionKey}`, { ...regionData, region: regionKey }, `
+      <div class="card__header">
+        <h3 class="card__title">
+          <i class="fas fa-${LotteryRenderer.getRegionIcon(regionKey)} mr-2"></i>
+          ${regionData.code} - ${regionData.name}
+        </h3>
+        <p class="card__subtitle">${Utils.formatDate(DrawSchedule.toDate(regionData.date))}</p>
+      </div>
+      <div class="card__body">
+        <p class="result-error">
+          <i class="fas fa-calendar-times mr-2"></i>
+          Tạm ngưng quay thưởng${regionData.reason ? ` - ${Utils.escapeHTML(regionData.reason)}` : ''}
+        </p>
+      </div>
+    `, options);
+  }
+
+  /**
+   * Card with the prize table and lô tô tables of a region
+   * @param {string} regionKey - Region key
+   * @param {Object} regionData - Region data
+   * @param {Object} options - { retry, exports }
+   * @returns {string} Card markup
+   */
+  static regionCardHTML(regionKey, regionData, options = {}) {
+    const className = `card lottery-card theme-${regionKey}${regionData.partial ? ' lottery-card--live' : ''}`;
+
+    return LotteryRenderer.resultCardHTML(className, { ...regionData, region: regionKey }, `
+      <div class="card__header">
+        <h3 class="card__title">
+          <i class="fas fa-${LotteryRenderer.getRegionIcon(regionKey)} mr-2"></i>
+          ${regionData.code} - ${regionData.name}
+          <span class="live-badge">Trực tiếp</span>
+        </h3>
+        <p class="card__subtitle">${Utils.formatDate(DrawSchedule.toDate(regionData.date))}</p>${options.exports ? LotteryRenderer.exportActionsHTML() : ''}
+      </div>
+      <div class="card__body">${LotteryRenderer.resultsTableHTML(regionKey, regionData.provinces)}${LotteryRenderer.lotoSectionHTML(regionData.provinces)}</div>
+    `, options);
+  }
+
+  /**
+   * Results table with one column per province and one row per prize tier
+   * @param {string} regionKey - Region key
+   * @param {Array} provinces - Province tickets ([{ code, name, prizes }])
+   * @returns {string} Table markup
+   */
+  static resultsTableHTML(regionKey, provinces) {
+    const schema = ResultModel.getSchema(regionKey);
+    const tiers = schema.displayFromLowest ? [...schema.tiers].reverse() : schema.tiers;
+
+    const provinceHeaders = provinces.map(province => `
+      <th scope="col" data-province="${province.code}">
+        ${province.name}
+        <span class="lottery-table__province-code">${province.code}</span>
+      </th>
+    `).join('');
+
+    const rows = tiers.map(tier => {
+      const cells = provinces.map(province => {
+        const prize = province.prizes.find(item => item.tier === tier.key);
+        const numbers = prize.numbers.map(number => {
+          const pending = number === null;
+          return Utils.renderTag('span', {
+            className: `prize-number ${LotteryRenderer.getPrizeClass(tier.key)}${pending ? ' prize-number--pending' : ''}`,
+            ...(pending ? {} : { dataset: { number } })
+          }, pending ? '•'.repeat(tier.digits) : number);
+        }).join('');
+
+        return Utils.renderTag('td', {
+          className: 'lottery-table__cell',
+          dataset: { province: province.code }
+        }, Utils.renderTag('div', { className: 'prize-numbers' }, numbers));
+      }).join('');
+
+      return Utils.renderTag('tr', {
+        className: 'lottery-table__row',
+        dataset: { tier: tier.key }
+      }, Utils.renderTag('th', {
+        className: 'lottery-table__cell lottery-table__prize',
+        scope: 'row',
+        title: tier.name
+      }, tier.shortName) + cells);
+    }).join('');
+
+    return Utils.renderTag('table', {
+      className: `lottery-table lottery-table--provinces-${provinces.length}`,
+      role: 'table'
+    }, `<thead class="lottery-table__header"><tr>
+      <th scope="col">Giải</th>
+      ${provinceHeaders}
+    </tr></thead><tbody>${rows}</tbody>`);
+  }
+
+  /**
+   * Lô tô tables of a region, one per province
+   * @param {Array} provinces - Province tickets ([{ code, name, prizes }])
+   * @returns {string} Loto section markup
+   */
+  static lotoSectionHTML(provinces) {
+    return Utils.renderTag('div', {
+      className: `loto-grid loto-grid--${provinces.length}`
+    }, provinces.map(province => LotteryRenderer.lotoTableHTML(province)).join(''));
+  }
+
+  /**
+   * Đầu/đuôi lô tô table of a province ticket
+   * @param {Object} province - Province ticket ({ code, name, prizes })
+   * @returns {string} Table markup
+   */
+  static lotoTableHTML(province) {
+    const { special, total, heads, tails } = LotoAnalyzer.buildTable(province.prizes);
+
+    const formatLotos = (lotos) => lotos.map(loto => (
+      loto === special
+        ? `<span class="loto loto--special">${loto}</span>`
+        : `<span class="loto">${loto}</span>`
+    )).join(' ');
+
+    const rows = heads.map((headLotos, digit) => `
+      <tr>
+        <th scope="row" class="loto-table__digit">${digit}</th>
+        <td class="loto-table__lotos">${formatLotos(headLotos)}</td>
+        <td class="loto-table__lotos">${formatLotos(tails[digit])}</td>
+        <th scope="row" class="loto-table__digit">${digit}</th>
+      </tr>
+    `).join('');
+
+    return Utils.renderTag('table', {
+      className: 'loto-table',
+      dataset: { province: province.code }
+    }, `
+      <caption class="loto-table__caption">
+        Lô tô ${province.name}
+        <span class="loto-table__total">${total} số</span>
+      </caption>
+      <thead>
+        <tr>
+          <th scope="col">Đầu</th>
+          <th scope="col">Lô tô</th>
+          <th scope="col">Lô tô</th>
+          <th scope="col">Đuôi</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    `);
+  }
+
+  /**
+   * Get region icon
+   * @param {string} region - Region key
+   * @returns {string} Icon class
+   */
+  static getRegionIcon(region) {
+    const icons = {
+      north: 'pagoda',
+      central: 'crown',
+      south: 'palm-tree'
+    };
+    return icons[region] || 'dice';
+  }
+
+  /**
+   * Get prize CSS class
+   * @param {string} tier - Prize tier key
+   * @returns {string} CSS class
+   */
+  static getPrizeClass(tier) {
+    const classes = ['special', 'first', 'second', 'third'];
+    return classes.includes(tier) ? `prize--${tier}` : 'prize--normal';
+  }
+
+  // ================================================== //
+  // BROWSER RENDERING                                  //
+  // ================================================== //
+
+  /**
+   * Render lottery results. Markup a server rendered from the same data
+   * (marked `data-ssr` with its hash) is kept and only hydrated.
+   * @param {Object} results - Results data
+   * @param {string} region - Region code
+   * @param {Object} options - { province }: show only this province's ticket
+   * @returns {Array<Object>} Watchlist hits shown (see Watchlist.findHits)
+   */
+  render(results, region, { province = null } = {}) {
+    const cards = LotteryRenderer.getCards(results, region, { province });
+    const html = cards.map(card => LotteryRenderer.cardHTML(card, {
+      retry: Boolean(this.onRetry),
+      exports: this.exports
+    })).join('');
+
+    // Regions with prize tables, for highlightWatchlist
+    this.results = Object.fromEntries(
+      cards.filter(card => card.type === 'region').map(card => [card.region, card.data])
+    );
+
+    if (!this.isServerRendered() || this.container.dataset.ssr !== Utils.hashString(html)) {
+      this.container.innerHTML = html;
+      this.container.querySelectorAll('.lottery-card:not(.lottery-card--invalid):not(.lottery-card--suspended)').forEach(card => {
+        this.disposables.requestAnimationFrame(() => card.classList.add('animate-fade-in'));
+      });
+    }
+    delete this.container.dataset.ssr;
+
+    return this.highlightWatchlist();
+  }
+
+  /**
+   * Check whether the container still holds server-rendered markup
+   * @returns {boolean} True until the first render
+   */
+  isServerRendered() {
+    return Boolean(this.container?.dataset.ssr);
+  }
+
+  /**
+   * Mark the displayed prize numbers that end with a saved number. Called
+   * after each render and whenever the watchlist changes.
+   * @returns {Array<Object>} Watchlist hits among the displayed results
+   */
+  highlightWatchlist() {
+    this.container.querySelectorAll('.prize-number--watched').forEach(element => {
+      element.classList.remove('prize-number--watched');
+      element.removeAttribute('title');
+    });
+
+    if (!this.watchlist || !this.results) {
+      return [];
+    }
+
+    const hits = this.watchlist.findHits(this.results);
+    hits.forEach(({ item, region, matches }) => {
+      const card = this.container.querySelector(`.lottery-card[data-region="${region}"]`);
+      if (!card) return;
+
+      matches.forEach(match => {
+        const selector = `tr[data-tier="${match.tier}"] td[data-province="${match.province}"] .prize-number[data-number="${match.number}"]`;
+        card.querySelectorAll(selector).forEach(element => {
+          element.classList.add('prize-number--watched');
+          element.title = `Số theo dõi: ${item.number}`;
+        });
+      });
+    });
+
+    return hits;
+  }
+
+  /**
+   * Download a card's result as shown (province filter included)
+   * @param {HTMLElement} card - Region card element
+   * @param {string} format - EXPORT_CONFIG.formats key
+   */
+  async exportCard(card, format) {
+    const regionData = this.results?.[card?.dataset.region];
+    if (!regionData) return;
+
+    try {
+      await ResultExport.exportRegion(regionData, format, card);
+    } catch (error) {
+      console.error(`Failed to export ${regionData.region} results as ${format}:`, error);
+      Utils.showToast('Không thể xuất kết quả', 'error', { disposables: this.disposables });
+    }
+  }
+
+  /**
+   * Render an error card when no result could be loaded
+   * @param {string} message - Error message
+   */
+  renderError(message) {
+    delete this.container.dataset.ssr;
+    this.container.innerHTML = Utils.renderTag('div', {
+      className: 'card lottery-card lottery-card--error',
+      role: 'alert'
+    }, `
+      <div class="card__body">
+        <p class="result-error">
+          <i class="fas fa-exclamation-triangle mr-2"></i>
+          ${message}
+        </p>
+      ${this.onRetry ? LotteryRenderer.retryButtonHTML() : ''}</div>
+    `);
+  }
+
+  /**
+   * Rebuild a province's lô tô table from the numbers currently shown in its card
+   * @param {HTMLElement} card - Region card element
+   * @param {string} provinceCode - Province code
+   */
+  refreshLotoTable(card, provinceCode) {
+    const current = card.querySelector(`.loto-table[data-province="${provinceCode}"]`);
+    if (!current) return;
+
+    const prizes = Array.from(card.querySelectorAll('tr[data-tier]')).map(row => ({
+      tier: row.dataset.tier,
+      numbers: Array.from(
+        row.querySelectorAll(`td[data-province="${provinceCode}"] .prize-number`)
+      ).map(slot => slot.dataset.number || null)
+    }));
+
+    current.outerHTML = LotteryRenderer.lotoTableHTML({
+      code: provinceCode,
+      name: PROVINCES[provinceCode].name,
+      prizes
+    });
+  }
+
+  /**
+   * Reveal one freshly drawn number in the rendered table
+   * @param {Object} update - { region, date, province, tier, index, number }
+   * @returns {boolean} Whether a matching slot was found and updated
+   */
+  revealNumber({ region, date, province, tier, index, number }) {
+    const cell = this.container.querySelector(
+      `.lottery-card[data-region="${region}"][data-date="${date}"] ` +
+      `tr[data-tier="${tier}"] td[data-province="${province}"]`
+    );
+    const slot = cell?.querySelectorAll('.prize-number')[index];
+
+    if (!slot || slot.textContent === number) {
+      return false;
+    }
+
+    slot.classList.remove('prize-number--pending');
+    slot.dataset.number = number;
+    this.animateRollingDigits(slot, number);
+
+    const card = cell.closest('.lottery-card');
+    this.refreshLotoTable(card, province);
+
+    // Leave live styling once the last pending slot of the card is filled
+    if (!card.querySelector('.prize-number--pending')) {
+      card.classList.remove('lottery-card--live');
+    }
+
+    return true;
+  }
+
+  /**
+   * Roll random digits and settle them left to right on the drawn number
+   * @param {HTMLElement} element - Number element
+   * @param {string} number - Final number
+   * @param {number} duration - Animation duration in milliseconds
+   */
+  animateRollingDigits(element, number, duration = 1200) {
+    const reduceMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    if (reduceMotion) {
+      element.textContent = number;
+      return;
+    }
+
+    const digits = number.split('');
+    const start = performance.now();
+    element.classList.add('prize-number--rolling');
+
+    const step = (now) => {
+      const progress = Math.min((now - start) / duration, 1);
+      const settled = Math.floor(progress * digits.length);
+
+      element.textContent = digits
+        .map((digit, i) => (i < settled ? digit : Math.floor(Math.random() * 10)))
+        .join('');
+
+      if (progress < 1) {
+        this.disposables.requestAnimationFrame(step);
+      } else {
+        element.textContent = number;
+        element.classList.remove('prize-number--rolling');
+      }
+    };
+
+    this.disposables.requestAnimationFrame(step);
+  }
+}
+
+// ================================================== //
+// TICKET CHECKER FORM MODULE                         //
+// ================================================== //
+
+class TicketCheckerForm {
+  /**
+   * @param {HTMLFormElement} form - #ticket-checker form
+   * @param {APIService} apiService - Source of draw results
+   */
+  constructor(form, apiService) {
+    this.form = form;
+    this.apiService = apiService;
+    this.dateInput = form.querySelector('[name="date"]');
+    this.provinceSelect = form.querySelector('[name="province"]');
+    this.ticketsInput = form.querySelector('[name="tickets"]');
+    this.output = document.getElementById('ticket-checker-result');
+    this.disposables = new Disposables();
+
+    const today = DrawSchedule.today();
+    this.dateInput.max = today;
+    this.dateInput.value = today;
+    this.populateProvinces(today);
+
+    this.disposables.listen(this.dateInput, 'change', () => this.populateProvinces(this.dateInput.value));
+    this.disposables.listen(this.form, 'submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+  }
+
+  destroy() {
+    this.disposables.dispose();
+  }
+
+  /**
+   * Offer only the provinces drawing on the chosen date
+   * @param {string} date - Date key
+   */
+  populateProvinces(date) {
+    const draws = DrawSchedule.getDrawsOn(date).filter(draw => draw.provinces.length > 0);
+
+    this.provinceSelect.innerHTML = draws.map(draw => `
+      <optgroup label="${ResultModel.getSchema(draw.region).name}">
+        ${draw.provinces.map(province => `<option value="${province.code}">${province.name}</option>`).join('')}
+      </optgroup>
+    `).join('');
+    this.provinceSelect.disabled = draws.length === 0;
+  }
+
+  async submit() {
+    const date = this.dateInput.value;
+    const tickets = TicketChecker.parseTickets(this.ticketsInput.value, this.provinceSelect.value);
+
+    if (tickets.length === 0) {
+      Utils.showToast('Vui lòng nhập số vé cần dò', 'warning', { disposables: this.disposables });
+      return;
+    }
+
+    const regions = [...new Set(tickets.map(ticket => PROVINCES[ticket.province]?.region).filter(Boolean))];
+    const results = {};
+
+    try {
+      await Promise.all(regions.map(async region => {
+        const data = await this.apiService.getLotteryResults(date, region);
+        if (data[region]) {
+          results[region] = data[region];
+        }
+      }));
+    } catch (error) {
+      console.error('Failed to load results for ticket check:', error);
+      Utils.showToast('Không thể tải kết quả để dò vé', 'error', { disposables: this.disposables });
+      return;
+    }
+
+    const batch = TicketChecker.checkBatch(tickets, results);
+    this.renderResults(batch, Object.values(results));
+
+    if (batch.results.some(result => result.unverified)) {
+      Utils.showToast('Kết quả chưa được xác nhận nên chưa tính tiền thưởng', 'warning', { disposables: this.disposables });
+    }
+  }
+
+  /**
+   * Render batch outcome
+   * @param {Object} batch - Output of TicketChecker.checkBatch
+   * @param {Array<Object>} sources - Region results the tickets were checked against
+   */
+  renderResults(batch, sources) {
+    const rows = batch.results.map(result => {
+      let outcome;
+
+      if (result.error) {
+        outcome = `<span class="ticket-result__error">${result.error}</span>`;
+      } else if (result.wins.length === 0) {
+        outcome = 'Không trúng';
+      } else {
+        outcome = result.wins.map(win => `${win.name} (${win.number}): ${Utils.formatCurrency(win.amount)}`).join('<br>');
+      }
+
+      const note = result.partial ? ' <span class="ticket-result__note">(đang quay, chưa đủ giải)</span>' : '';
+
+      return `
+        <tr class="ticket-result${result.wins.length > 0 ? ' ticket-result--win' : ''}">
+          <td class="ticket-result__number">${result.ticket}</td>
+          <td>${PROVINCES[result.province]?.name || result.province}</td>
+          <td>${outcome}${note}</td>
+        </tr>
+      `;
+    }).join('');
+
+    this.output.innerHTML = `
+      <div class="ticket-results__provenance" hidden></div>
+      <table class="ticket-results">
+        <thead>
+          <tr><th scope="col">Vé</th><th scope="col">Đài</th><th scope="col">Kết quả</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="ticket-results__summary">
+        Trúng ${batch.winningCount}/${batch.results.length} vé — tổng thưởng ${Utils.formatCurrency(batch.totalAmount)}
+      </p>
+    `;
+
+    LotteryRenderer.renderProvenanceNotice(this.output.querySelector('.ticket-results__provenance'), sources);
+  }
+}
+
+// ================================================== //
+// WATCHLIST PANEL MODULE                             //
+// ================================================== //
+
+class WatchlistPanel {
+  /**
+   * @param {HTMLElement} section - #watchlist-section
+   * @param {Watchlist} watchlist - Saved numbers
+   * @param {APIService} apiService - Source of the history view's results
+   */
+  constructor(section, watchlist, apiService) {
+    this.watchlist = watchlist;
+    this.apiService = apiService;
+    this.form = section.querySelector('#watchlist-form');
+    this.numberInput = this.form.querySelector('[name="number"]');
+    this.scopeSelect = this.form.querySelector('[name="scope"]');
+    this.list = section.querySelector('#watchlist-items');
+    this.drawsSelect = section.querySelector('#watchlist-draws');
+    this.historyOutput = section.querySelector('#watchlist-history');
+    this.disposables = new Disposables();
+    // Aborted when a newer history load starts, or on destroy
+    this.historyController = null;
+
+    this.populateScopes();
+    this.drawsSelect.innerHTML = WATCHLIST_CONFIG.historyDraws
+      .map(draws => `<option value="${draws}">${draws} kỳ gần nhất</option>`)
+      .join('');
+    this.renderItems();
+
+    this.disposables.listen(this.form, 'submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    this.disposables.listen(this.list, 'click', (e) => {
+      const button = e.target.closest('[data-remove]');
+      if (button) {
+        this.watchlist.remove(button.dataset.remove);
+      }
+    });
+    this.disposables.listen(section.querySelector('#watchlist-history-btn'), 'click', () => this.loadHistory());
+  }
+
+  destroy() {
+    if (this.historyController) {
+      this.historyController.abort();
+      this.historyController = null;
+    }
+    this.disposables.dispose();
+  }
+
+  /**
+   * Offer every region and province as a scope, values 'region:north' / 'province:HCM'
+   */
+  populateScopes() {
+    this.scopeSelect.innerHTML = '<option value="">Cả 3 miền</option>' +
+      Object.keys(PRIZE_SCHEMAS).map(region => `
+        <optgroup label="${ResultModel.getSchema(region).name}">
+          <option value="region:${region}">Tất cả đài ${ResultModel.getSchema(region).name}</option>
+          ${Object.values(PROVINCES)
+            .filter(province => province.region === region)
+            .map(province => `<option value="province:${province.code}">${province.name}</option>`)
+            .join('')}
+        </optgroup>
+      `).join('');
+  }
+
+  submit() {
+    const [type, code] = this.scopeSelect.value.split(':');
+    const errors = this.watchlist.add({
+      number: this.numberInput.value,
+      region: type === 'region' ? code : null,
+      province: type === 'province' ? code : null
+    });
+
+    if (errors.length > 0) {
+      Utils.showToast(errors[0], 'warning', { disposables: this.disposables });
+      return;
+    }
+
+    this.numberInput.value = '';
+    this.numberInput.focus();
+  }
+
+  /**
+   * List the saved numbers with remove buttons
+   */
+  renderItems() {
+    const items = this.watchlist.getItems();
+
+    this.list.innerHTML = items.length === 0
+      ? '<li class="watchlist__empty">Chưa có số theo dõi</li>'
+      : items.map(item => `
+        <li class="watchlist__item">
+          <span class="watchlist__number">${item.number}</span>
+          <span class="watchlist__scope">${Watchlist.describeScope(item)}</span>
+          <button type="button" class="watchlist__remove" data-remove="${Watchlist.getKey(item)}"
+            aria-label="Bỏ theo dõi số ${item.number} (${Watchlist.describeScope(item)})">
+            <i class="fas fa-times" aria-hidden="true"></i>
+          </button>
+        </li>
+      `).join('');
+  }
+
+  /**
+   * Load the last N draws of the regions in use and show how each number did.
+   * A newer load (or destroy) cancels this one; days that fail to load are
+   * skipped and listed under the table.
+   */
+  async loadHistory() {
+    if (this.watchlist.getItems().length === 0) {
+      Utils.showToast('Danh sách số theo dõi đang trống', 'warning', { disposables: this.disposables });
+      return;
+    }
+
+    if (this.historyController) {
+      this.historyController.abort();
+    }
+    const controller = new AbortController();
+    this.historyController = controller;
+
+    const draws = Number(this.drawsSelect.value);
+    const to = DrawSchedule.addDays(DrawSchedule.today(), -1);
+    const ranges = this.watchlist.getHistoryRanges(draws);
+    const historyByRegion = {};
+    const missing = [];
+
+    this.historyOutput.innerHTML = '<p class="watchlist__empty">Đang tải...</p>';
+
+    try {
+      await Promise.all(Object.entries(ranges).map(async ([region, from]) => {
+        historyByRegion[region] = await this.apiService.getResultsRange(region, from, to, {
+          signal: controller.signal,
+          onMissing: date => missing.push({ region, date })
+        });
+      }));
+    } catch (error) {
+      if (Utils.isAbortError(error)) {
+        return;
+      }
+      console.error('Failed to load watchlist history:', error);
+      this.historyOutput.innerHTML = '';
+      Utils.showToast('Không thể tải lịch sử kết quả', 'error', { disposables: this.disposables });
+      return;
+    } finally {
+      if (this.historyController === controller) {
+        this.historyController = null;
+      }
+    }
+
+    this.renderHistory(this.watchlist.getHistory(historyByRegion, draws), Object.values(historyByRegion).flat(), missing);
+  }
+
+  /**
+   * Render the history table
+   * @param {Array<Object>} history - Output of Watchlist.getHistory
+   * @param {Array<Object>} sources - Region results the history was computed from
+   * @param {Array<Object>} missing - { region, date } of the days that failed to load
+   */
+  renderHistory(history, sources, missing = []) {
+    const rows = history.map(({ item, entries, hitDraws, totalHits, lastHit }) => {
+      // Oldest first, so the strip reads left to right
+      const strip = [...entries].reverse().map(entry => `
+        <span class="watchlist-history__draw${entry.count > 0 ? ' watchlist-history__draw--hit' : ''}"
+          title="${ResultAlerts.formatShortDate(entry.date)}: ${entry.count} nháy"></span>
+      `).join('');
+
+      return `
+        <tr>
+          <td class="watchlist-history__number">${item.number}</td>
+          <td>${Watchlist.describeScope(item)}</td>
+          <td>${hitDraws}/${entries.length} kỳ · ${totalHits} nháy</td>
+          <td>${lastHit ? Utils.formatDate(DrawSchedule.toDate(lastHit)) : '—'}</td>
+        </tr>
+        <tr class="watchlist-history__strip-row">
+          <td colspan="4"><div class="watchlist-history__strip" aria-hidden="true">${strip}</div></td>
+        </tr>
+      `;
+    }).join('');
+
+    this.historyOutput.innerHTML = `
+      <div class="watchlist-history__provenance" hidden></div>
+      <table class="watchlist-history">
+        <thead>
+          <tr><th scope="col">Số</th><th scope="col">Phạm vi</th><th scope="col">Đã về</th><th scope="col">Lần gần nhất</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${missing.length > 0 ? `
+        <p class="watchlist-history__missing">
+          Không tải được ${missing.length} ngày, chưa tính vào thống kê:
+          ${missing.map(({ region, date }) => `${ResultModel.getSchema(region).code} ${ResultAlerts.formatShortDate(date)}`).join(', ')}
+        </p>
+      ` : ''}
+      <p class="watchlist-history__note">Mỗi miền xét tối đa ${WATCHLIST_CONFIG.historyMaxDays} ngày gần nhất.</p>
+    `;
+
+    LotteryRenderer.renderProvenanceNotice(this.historyOutput.querySelector('.watchlist-history__provenance'), sources);
+  }
+}
+
+// ================================================== //
+// NOTIFICATION SETTINGS FORM MODULE                  //
+// ================================================== //
+
+class NotificationSettingsForm {
+  /**
+   * @param {HTMLFormElement} form - #notification-settings form
+   * @param {NotificationManager} notifications - Manager the form configures
+   */
+  constructor(form, notifications) {
+    this.form = form;
+    this.notifications = notifications;
+    this.provinceSelect = form.querySelector('[name="provinces"]');
+    this.numberAlertsInput = form.querySelector('[name="numberAlerts"]');
+    this.status = document.getElementById('notification-status');
+    this.disposables = new Disposables();
+
+    this.populateProvinces();
+    this.fill(notifications.preferences);
+
+    if (!NotificationManager.isSupported()) {
+      [...form.elements].forEach(element => { element.disabled = true; });
+      this.setStatus('Trình duyệt này không hỗ trợ thông báo');
+      return;
+    }
+
+    this.disposables.listen(this.form, 'submit', (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+    const disableButton = this.form.querySelector('[data-action="disable"]');
+    if (disableButton) {
+      this.disposables.listen(disableButton, 'click', () => this.disable());
+    }
+  }
+
+  destroy() {
+    this.disposables.dispose();
+  }
+
+  /**
+   * List every province, grouped by region
+   */
+  populateProvinces() {
+    this.provinceSelect.innerHTML = Object.keys(PRIZE_SCHEMAS).map(region => `
+      <optgroup label="${ResultModel.getSchema(region).name}">
+        ${Object.values(PROVINCES)
+          .filter(province => province.region === region)
+          .map(province => `<option value="${province.code}">${province.name}</option>`)
+          .join('')}
+      </optgroup>
+    `).join('');
+  }
+
+  /**
+   * Show saved preferences in the form
+   * @param {Object} preferences - NotificationManager preferences
+   */
+  fill(preferences) {
+    this.form.querySelectorAll('[name="regions"]').forEach(input => {
+      input.checked = preferences.regions.includes(input.value);
+    });
+    [...this.provinceSelect.options].forEach(option => {
+      option.selected = preferences.provinces.includes(option.value);
+    });
+    this.numberAlertsInput.checked = preferences.numberAlerts;
+
+    this.setStatus(preferences.enabled ? 'Thông báo đang bật' : '');
+  }
+
+  /**
+   * Read the form
+   * @returns {Object} { regions, provinces, numberAlerts }
+   */
+  read() {
+    return {
+      regions: [...this.form.querySelectorAll('[name="regions"]:checked')].map(input => input.value),
+      provinces: [...this.provinceSelect.selectedOptions].map(option => option.value),
+      numberAlerts: this.numberAlertsInput.checked
+    };
+  }
+
+  async submit() {
+    const preferences = this.read();
+
+    if (preferences.numberAlerts && this.notifications.getSavedNumbers().length === 0) {
+      Utils.showToast('Danh sách số theo dõi đang trống', 'warning', { disposables: this.disposables });
+      return;
+    }
+    if (preferences.regions.length === 0 && preferences.provinces.length === 0 && !preferences.numberAlerts) {
+      Utils.showToast('Vui lòng chọn miền, đài hoặc số cần theo dõi', 'warning', { disposables: this.disposables });
+      return;
+    }
+
+    try {
+      const enabled = await this.notifications.enable(preferences);
+      if (!enabled) {
+        this.setStatus('Bạn chưa cho phép hiển thị thông báo trong trình duyệt');
+        return;
+      }
+      this.setStatus('Thông báo đang bật');
+      Utils.showToast('Đã bật thông báo kết quả', 'success', { disposables: this.disposables });
+    } catch (error) {
+      console.error('Failed to enable notifications:', error);
+      Utils.showToast('Không thể bật thông báo', 'error', { disposables: this.disposables });
+    }
+  }
+
+  async disable() {
+    try {
+      await this.notifications.disable();
+      this.setStatus('Thông báo đã tắt');
+    } catch (error) {
+      console.error('Failed to disable notifications:', error);
+      Utils.showToast('Không thể tắt thông báo', 'error', { disposables: this.disposables });
+    }
+  }
+
+  setStatus(message) {
+    if (this.status) {
+      this.status.textContent = message;
+    }
+  }
+}
+
+// ================================================== //
+// APP STATE MODULE                                   //
+// ================================================== //
+
+/**
+ * State shared through the "store" manager:
+ * - date, region, province: the view, recorded in the URL (see Router)
+ * - loading, refreshing: a load is running, and whether it is a background refresh
+ * - results, error: outcome of the last finished load
+ */
+const AppState = {
+  /**
+   * @returns {Store} Store holding the default view
+   */
+  createStore() {
+    return new Store({
+      ...Router.getDefaultState(),
+      loading: false,
+      refreshing: false,
+      results: null,
+      error: null
+    });
+  },
+
+  /**
+   * @param {Object} state - Store state
+   * @returns {Object} { date, region, province }
+   */
+  getView({ date, region, province }) {
+    return { date, region, province };
+  }
+};
+
+// ================================================== //
+// RESULTS MANAGER MODULE                             //
 // ================================================== //
 
-class AccessibilityManager {
-  constructor() {
-    this.init();
+/**
+ * The results page: pickers, URL, result cards, live draws and the tools
+ * around them. Registered as the "results" manager of KQXSApp.
+ */
+class ResultsManager {
+  /**
+   * @param {Object} managers - { api: APIService, accessibility: AccessibilityManager, store: Store }
+   */
+  constructor({ api, accessibility, store }) {
+    this.apiService = api;
+    this.accessibilityManager = accessibility;
+    // Date, region, province, loading state and results (see AppState)
+    this.store = store;
+    this.watchlist = new Watchlist({ onChange: () => this.handleWatchlistChange() });
+    this.renderer = null;
+    this.router = new Router({ onChange: (state) => this.handleRouteChange(state) });
+    
+    // AbortController of the load in progress (see loadResults)
+    this.loadController = null;
+    // Everything init() sets up, released by destroy()
+    this.disposables = new Disposables();
+    this.running = false;
+  }
+
+  async init() {
+    this.running = true;
+    this.renderer = this.own(new LotteryRenderer(document.getElementById('results-container'), {
+      onRetry: () => this.loadResults(),
+      watchlist: this.watchlist,
+      exports: true
+    }));
+
+    try {
+      this.setupEventListeners();
+      this.setupDatePicker();
+      this.setupRouter();
+      this.setupStateListeners();
+      this.setupTicketChecker();
+      this.setupWatchlist();
+      this.setupOfflineSupport();
+      this.setupNotifications();
+      
+      // Load initial results
+      await this.loadResults();
+      
+      // Setup auto-refresh, unless destroyed while loading
+      if (this.running) {
+        this.setupAutoRefresh();
+      }
+    } catch (error) {
+      console.error('Failed to initialize results:', error);
+      Utils.showToast('Không thể khởi tạo ứng dụng', 'error', { disposables: this.disposables });
+    }
+  }
+
+  /**
+   * Destroy a helper together with this manager
+   * @param {Object} helper - Object with a destroy() method
+   * @returns {Object} The helper
+   */
+  own(helper) {
+    this.disposables.add(() => helper.destroy());
+    return helper;
+  }
+
+  setupEventListeners() {
+    // Disposables#listen also cancels a debounced call still waiting, so no
+    // change handler runs after destroy()
+
+    // Date picker
+    const datePicker = document.getElementById('date-picker');
+    if (datePicker) {
+      this.disposables.listen(datePicker, 'change',
+        Utils.debounce((e) => this.handleDateChange(e), 300)
+      );
+    }
+
+    // Region selector
+    const regionSelector = document.getElementById('region-selector');
+    if (regionSelector) {
+      this.disposables.listen(regionSelector, 'change',
+        Utils.debounce((e) => this.handleRegionChange(e), 200)
+      );
+    }
+
+    // Province selector
+    const provinceSelector = document.getElementById('province-selector');
+    if (provinceSelector) {
+      this.disposables.listen(provinceSelector, 'change',
+        Utils.debounce((e) => this.handleProvinceChange(e), 200)
+      );
+    }
+
+    // View results button
+    const viewBtn = document.getElementById('view-results-btn');
+    if (viewBtn) {
+      this.disposables.listen(viewBtn, 'click', (e) => this.handleViewResults(e));
+    }
+
+    // Online/offline events
+    this.disposables.listen(window, 'online', () => this.handleOnline());
+    this.disposables.listen(window, 'offline', () => this.handleOffline());
+  }
+
+  setupDatePicker() {
+    const datePicker = document.getElementById('date-picker');
+    if (!datePicker) return;
+
+    const today = new Date();
+    datePicker.max = Utils.formatDateForAPI(today);
+    datePicker.value = Utils.formatDateForAPI(today);
+
+    // Validate date selection
+    this.disposables.listen(datePicker, 'input', (e) => {
+      const selectedDate = new Date(e.target.value);
+      if (selectedDate > today) {
+        e.target.value = Utils.formatDateForAPI(today);
+        Utils.showToast('Không thể chọn ngày trong tương lai', 'warning', { disposables: this.disposables });
+      }
+    });
+  }
+
+  /**
+   * Restore the view from the URL; the store subscription records later changes
+   */
+  setupRouter() {
+    this.store.setState(this.router.start());
+    this.own(this.router);
+    this.showView(AppState.getView(this.store.getState()));
+  }
+
+  /**
+   * React to the store: the URL, pickers and result cards follow the state,
+   * whoever changed it
+   */
+  setupStateListeners() {
+    const { disposables, store } = this;
+
+    disposables.add(store.select(AppState.getView, (view) => {
+      this.router.navigate(view);
+      this.showView(view);
+      this.loadResults();
+    }));
+
+    disposables.add(store.select(
+      state => state.loading && !state.refreshing,
+      (loading) => this.renderLoading(loading)
+    ));
+
+    // Every finished load renders, even when the cache returns the same results
+    disposables.add(store.select(
+      state => (state.loading ? null : { results: state.results, error: state.error }),
+      (loaded) => {
+        if (loaded?.error) {
+          this.renderer.renderError(loaded.error);
+        } else if (loaded?.results) {
+          this.renderResults(loaded.results);
+        }
+      }
+    ));
+  }
+
+  /**
+   * Show a view in the pickers and the draw list
+   * @param {Object} view - { date, region, province }
+   */
+  showView({ date, region }) {
+    const datePicker = document.getElementById('date-picker');
+    const regionSelector = document.getElementById('region-selector');
+    if (datePicker) datePicker.value = date;
+    if (regionSelector) regionSelector.value = region;
+    this.populateProvinceSelector();
+    this.renderDrawStations();
+  }
+
+  /**
+   * List the stations that actually draw on the selected date (see DrawSchedule)
+   */
+  renderDrawStations() {
+    const container = document.getElementById('draw-stations');
+    if (!container) return;
+
+    const { date } = this.store.getState();
+    const items = DrawSchedule.getDrawsOn(date).map(({ region, provinces, suspension }) => {
+      const label = `<strong>${PRIZE_SCHEMAS[region].code}</strong>`;
+      if (suspension) {
+        return `<li data-region="${region}" class="draw-stations__item draw-stations__item--suspended">${label}: Tạm ngưng (${suspension.reason})</li>`;
+      }
+      const names = provinces.map(province => province.name).join(', ');
+      return `<li data-region="${region}" class="draw-stations__item">${label}: ${names}</li>`;
+    });
+
+    container.innerHTML = `
+      <span class="draw-stations__title">${WEEKDAY_NAMES[DrawSchedule.getWeekday(date)]}:</span>
+      <ul class="draw-stations__list">${items.join('')}</ul>
+    `;
+  }
+
+  /**
+   * Offer the provinces drawing on the selected date and region. A province
+   * opened from a link stays listed even if it does not draw that day.
+   */
+  populateProvinceSelector() {
+    const selector = document.getElementById('province-selector');
+    if (!selector) return;
+
+    const { date, region, province } = this.store.getState();
+    const draws = DrawSchedule.getDrawsOn(date)
+      .filter(draw => region === 'all' || draw.region === region)
+      .map(draw => ({ region: draw.region, provinces: [...draw.provinces] }));
+
+    const selected = PROVINCES[province];
+    if (selected) {
+      const draw = draws.find(item => item.region === selected.region);
+      if (!draw) {
+        draws.push({ region: selected.region, provinces: [selected] });
+      } else if (!draw.provinces.some(province => province.code === selected.code)) {
+        draw.provinces.push(selected);
+      }
+    }
+
+    selector.innerHTML = '<option value="">Tất cả đài</option>' + draws
+      .filter(draw => draw.provinces.length > 0)
+      .map(draw => `
+        <optgroup label="${ResultModel.getSchema(draw.region).name}">
+          ${draw.provinces.map(province => `<option value="${province.code}">${province.name}</option>`).join('')}
+        </optgroup>
+      `).join('');
+    selector.value = province || '';
+  }
+
+  setupTicketChecker() {
+    const form = document.getElementById('ticket-checker');
+    if (!form) return;
+
+    this.ticketChecker = this.own(new TicketCheckerForm(form, this.apiService));
+  }
+
+  setupWatchlist() {
+    const section = document.getElementById('watchlist-section');
+    if (!section) return;
+
+    this.watchlistPanel = this.own(new WatchlistPanel(section, this.watchlist, this.apiService));
+  }
+
+  handleWatchlistChange() {
+    this.renderer.highlightWatchlist();
+    this.watchlistPanel?.renderItems();
+    // Saved-number alerts may now need other regions
+    this.notifications?.start();
+  }
+
+  setupNotifications() {
+    // No push server yet: alerts are checked in-page while a tab is open
+    this.notifications = this.own(new NotificationManager({
+      backend: new LocalPushBackend(this.apiService),
+      getSavedNumbers: () => this.watchlist.getItems()
+    }));
+    this.notifications.start();
+
+    const form = document.getElementById('notification-settings');
+    if (form) {
+      this.notificationSettings = this.own(new NotificationSettingsForm(form, this.notifications));
+    }
+  }
+
+  setupAutoRefresh() {
+    // Results only change during the draw, so stream then and stay idle otherwise
+    this.liveDraw = new LiveDrawService(this.apiService);
+    this.liveTimers = [];
+    this.disposables.add(() => {
+      this.liveTimers.forEach(timer => clearTimeout(timer));
+      this.liveDraw.unsubscribeAll();
+    });
+    this.scheduleLiveMode();
+  }
+
+  /**
+   * Arm timers for today's live windows and re-plan after midnight in Vietnam
+   * @param {Date} now - Reference time
+   */
+  scheduleLiveMode(now = new Date()) {
+    this.liveTimers.forEach(timer => clearTimeout(timer));
+    this.liveTimers = [];
+
+    const today = DrawSchedule.today(now);
+    Object.keys(PRIZE_SCHEMAS).forEach(region => {
+      if (DrawSchedule.getProvinces(region, today).length === 0) return;
+
+      const { start, end } = this.liveDraw.getLiveWindow(region, now);
+      if (now >= end) return;
+
+      if (now >= start) {
+        this.startLiveMode(region);
+      } else {
+        this.liveTimers.push(setTimeout(() => this.startLiveMode(region), start - now));
+      }
+      this.liveTimers.push(setTimeout(() => this.stopLiveMode(region), end - now));
+    });
+
+    const nextDay = DrawSchedule.getVietnamTime(DrawSchedule.addDays(today, 1), '00:01');
+    this.liveTimers.push(setTimeout(() => this.scheduleLiveMode(), nextDay - now));
+  }
+
+  /**
+   * Enter "trực tiếp" mode for a region: reload partial results and stream updates
+   * @param {string} region - Region code
+   */
+  async startLiveMode(region) {
+    const { liveDraw } = this;
+    const today = DrawSchedule.today();
+
+    Utils.showToast(`Đang quay trực tiếp ${PRIZE_SCHEMAS[region].code}`, 'info', { disposables: this.disposables });
+    if (this.isShowing(region, today)) {
+      await this.loadResults(true);
+    }
+
+    // Destroyed or restarted while loading
+    if (this.running && this.liveDraw === liveDraw) {
+      liveDraw.subscribe(region, today, (update) => this.handleLiveUpdate(update));
+    }
+  }
+
+  /**
+   * Leave live mode for a region and load its final results
+   * @param {string} region - Region code
+   */
+  async stopLiveMode(region) {
+    this.liveDraw.unsubscribe(region);
+
+    if (this.isShowing(region, DrawSchedule.today())) {
+      await this.loadResults(true);
+    }
   }
 
-  init() {
-    this.setupSkipLinks();
-    this.setupFocusManagement();
-    this.setupKeyboardNavigation();
-    this.setupScreenReaderAnnouncements();
+  /**
+   * Check whether the current view includes a region on a date
+   * @param {string} region - Region code
+   * @param {string} date - Date string (YYYY-MM-DD)
+   * @returns {boolean} Whether visible
+   */
+  isShowing(region, date) {
+    const state = this.store.getState();
+    return state.date === date && (state.region === 'all' || state.region === region);
   }
 
   /**
-   * Setup skip to content links
+   * Reveal a streamed number and announce it to screen readers
+   * @param {Object} update - Prize update from LiveDrawService
    */
-  setupSkipLinks() {
-    const skipLink = document.querySelector('.skip-link');
-    if (skipLink) {
-      skipLink.addEventListener('click', (e) => {
-        e.preventDefault();
-        const target = document.querySelector(skipLink.getAttribute('href'));
-        if (target) {
-          target.focus();
-          target.scrollIntoView({ behavior: 'smooth' });
-        }
+  handleLiveUpdate(update) {
+    if (!this.renderer.revealNumber(update)) return;
+
+    const tier = ResultModel.getSchema(update.region).tiers.find(item => item.key === update.tier);
+    this.accessibilityManager.announce(
+      `${PROVINCES[update.province].name} ${tier.name}: ${update.number.split('').join(' ')}`
+    );
+  }
+
+  /**
+   * Fetch the results of the current view into the store
+   * @param {boolean} isRefresh - Keep the loading indicator hidden and confirm with a toast
+   */
+  async loadResults(isRefresh = false) {
+    // Only the latest load may update the store: cancel the one for the date
+    // or region the user just navigated away from
+    if (this.loadController) {
+      this.loadController.abort();
+    }
+    const controller = new AbortController();
+    this.loadController = controller;
+    const isCurrent = () => this.loadController === controller;
+
+    const { date, region } = this.store.getState();
+    this.store.setState({ loading: true, refreshing: isRefresh });
+
+    try {
+      const results = await this.apiService.getLotteryResults(date, region, {
+        signal: controller.signal
       });
+
+      if (!isCurrent()) {
+        return;
+      }
+      
+      this.store.setState({ loading: false, results, error: null });
+      
+      if (isRefresh) {
+        Utils.showToast('Đã cập nhật kết quả mới nhất', 'success', { disposables: this.disposables });
+      }
+    } catch (error) {
+      if (Utils.isAbortError(error) || !isCurrent()) {
+        return;
+      }
+      console.error('Failed to load results:', error);
+      this.store.setState({ loading: false, error: 'Không thể tải kết quả. Vui lòng thử lại sau.' });
+      Utils.showToast('Không thể tải kết quả. Vui lòng thử lại sau.', 'error', { disposables: this.disposables });
+    } finally {
+      if (isCurrent()) {
+        this.loadController = null;
+      }
     }
   }
 
   /**
-   * Setup focus management
+   * Show loaded results, describe them in the page head and announce them
+   * @param {Object} results - Results keyed by region
    */
-  setupFocusManagement() {
-    // Trap focus in mobile menu
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Tab') {
-        const mobileMenu = document.querySelector('#mobile-menu');
-        if (mobileMenu && !mobileMenu.classList.contains('hidden')) {
-          this.trapFocus(e, mobileMenu);
+  renderResults(results) {
+    const state = this.store.getState();
+    const hits = this.renderer.render(results, state.region, {
+      province: state.province
+    });
+    this.updateMetadata(results);
+
+    // One announcement, since each call replaces the previous one
+    this.accessibilityManager.announce([
+      `Đã tải kết quả xổ số ngày ${Utils.formatDate(DrawSchedule.toDate(state.date))}`,
+      Watchlist.summarize(hits, results)
+    ].filter(Boolean).join('. '));
+  }
+
+  /**
+   * Server-rendered results are already on screen while they are fetched again
+   * @param {boolean} loading - Whether a non-refresh load is running
+   */
+  renderLoading(loading) {
+    const loadingIndicator = document.getElementById('loading-indicator');
+    if (!loadingIndicator) return;
+
+    loadingIndicator.classList.toggle('hidden', !loading || this.renderer.isServerRendered());
+  }
+
+  /**
+   * Describe the loaded results in the title, meta tags and JSON-LD
+   * @param {Object} results - Results keyed by region
+   */
+  updateMetadata(results) {
+    const state = AppState.getView(this.store.getState());
+    ResultMetadata.apply(document, ResultMetadata.build(results, {
+      ...state,
+      url: ResultMetadata.getViewURL(state)
+    }));
+  }
+
+  // Event Handlers
+  handleDateChange(e) {
+    this.store.setState({ date: e.target.value });
+  }
+
+  handleRegionChange(e) {
+    const region = e.target.value;
+    const { province } = this.store.getState();
+    this.store.setState({
+      region,
+      province: province && PROVINCES[province].region !== region ? null : province
+    });
+  }
+
+  handleProvinceChange(e) {
+    const province = e.target.value || null;
+    this.store.setState(province
+      ? { province, region: PROVINCES[province].region }
+      : { province });
+  }
+
+  /**
+   * Back/forward: show the view recorded in history
+   * @param {Object} state - { date, region, province }
+   */
+  handleRouteChange(state) {
+    this.store.setState(state);
+  }
+
+  async handleViewResults(e) {
+    e.preventDefault();
+    await this.loadResults();
+  }
+
+  setupOfflineSupport() {
+    this.offline = this.own(new OfflineManager({
+      onChange: (state) => this.renderConnectionStatus(state),
+      onSync: (date) => {
+        // The worker fetched today's results; show them if still on today
+        if (date === this.store.getState().date) {
+          this.loadResults(true);
         }
       }
-    });
+    }));
+    this.offline.register();
   }
 
   /**
-   * Trap focus within an element
-   * @param {KeyboardEvent} e - Keyboard event
-   * @param {HTMLElement} container - Container element
+   * Reflect the connection and service worker state in the status pill
+   * @param {Object} state - OfflineManager state plus `status`
    */
-  trapFocus(e, container) {
-    const focusableElements = container.querySelectorAll(
-      'a[href], button, textarea, input[type="text"], input[type="radio"], input[type="checkbox"], select'
+  renderConnectionStatus(state) {
+    const messages = {
+      'offline-cached': 'Đang ngoại tuyến · Hiển thị kết quả đã xem trước đó',
+      offline: 'Đang ngoại tuyến · Kết quả chưa xem sẽ không tải được',
+      syncing: 'Đang đồng bộ kết quả hôm nay...'
+    };
+
+    document.documentElement.dataset.connection = state.status;
+
+    let element = document.getElementById('connection-status');
+    if (!element) {
+      element = Utils.createElement('div', {
+        id: 'connection-status',
+        role: 'status',
+        'aria-live': 'polite'
+      });
+      document.body.appendChild(element);
+      this.disposables.element(element);
+    }
+
+    element.className = `connection-status connection-status--${state.status}`;
+    element.classList.toggle('hidden', state.status === 'online');
+    element.textContent = messages[state.status] || '';
+  }
+
+  handleOnline() {
+    this.offline?.setOnline(true);
+    Utils.showToast(
+      this.offline?.state.syncPending ? 'Đã kết nối lại, đang đồng bộ kết quả' : 'Đã kết nối internet',
+      'success', { disposables: this.disposables }
     );
-    
-    const firstFocusable = focusableElements[0];
-    const lastFocusable = focusableElements[focusableElements.length - 1];
+    this.loadResults(true);
+  }
 
-    if (e.shiftKey) {
-      if (document.activeElement === firstFocusable) {
-        lastFocusable.focus();
-        e.preventDefault();
-      }
-    } else {
-      if (document.activeElement === lastFocusable) {
-        firstFocusable.focus();
-        e.preventDefault();
+  handleOffline() {
+    this.offline?.setOnline(false);
+    Utils.showToast(
+      this.offline?.canServeOffline()
+        ? 'Mất kết nối internet, đang dùng kết quả đã lưu'
+        : 'Mất kết nối internet',
+      'warning', { disposables: this.disposables }
+    );
+  }
+
+  /**
+   * Release listeners, timers, live connections and helpers, and drop the
+   * load in progress. The rendered results stay on the page.
+   */
+  destroy() {
+    this.running = false;
+    this.loadController?.abort();
+    this.loadController = null;
+    this.disposables.dispose();
+  }
+}
+
+// ================================================== //
+// REGION PAGE MODULE                                 //
+// ================================================== //
+
+/**
+ * Latest draw of a single-region page (north.html, central.html, south.html):
+ * the result card with its lô tô tables, rendered into
+ * #region-results[data-region], and the draw date in [data-region-date]. Registered as the "region" manager of
+ * KQXSApp.
+ */
+class RegionResultsManager {
+  /**
+   * @param {Object} managers - { api: APIService }
+   */
+  constructor({ api }) {
+    this.apiService = api;
+    this.region = null;
+    this.renderer = null;
+    // AbortController of the load in progress
+    this.loadController = null;
+    this.disposables = new Disposables();
+  }
+
+  async init() {
+    const container = document.getElementById('region-results');
+    if (!container) return;
+
+    this.region = container.dataset.region;
+    this.renderer = new LotteryRenderer(container, { onRetry: () => this.load(), exports: true });
+    this.disposables.add(() => this.renderer.destroy());
+
+    await this.load();
+  }
+
+  /**
+   * Date of a region's latest draw: today once the draw has started, otherwise yesterday
+   * @param {string} region - Region code
+   * @param {Date} now - Reference time
+   * @returns {string} Date key
+   */
+  static getLatestDate(region, now = new Date()) {
+    const today = DrawSchedule.today(now);
+    return now >= DrawSchedule.getDrawStart(region, today) ? today : DrawSchedule.addDays(today, -1);
+  }
+
+  async load() {
+    const date = RegionResultsManager.getLatestDate(this.region);
+
+    this.loadController?.abort();
+    const controller = new AbortController();
+    this.loadController = controller;
+
+    document.querySelectorAll('[data-region-date]').forEach(element => {
+      element.textContent = `${WEEKDAY_NAMES[DrawSchedule.getWeekday(date)]}, ${date.split('-').reverse().join('/')}`;
+    });
+
+    try {
+      const results = await this.apiService.getLotteryResults(date, this.region, { signal: controller.signal });
+      this.renderer.render(results, this.region);
+    } catch (error) {
+      if (Utils.isAbortError(error)) return;
+      console.error('Failed to load region results:', error);
+      this.renderer.renderError('Không thể tải kết quả. Vui lòng thử lại sau.');
+    } finally {
+      if (this.loadController === controller) {
+        this.loadController = null;
       }
     }
   }
 
+  destroy() {
+    this.loadController?.abort();
+    this.loadController = null;
+    this.disposables.dispose();
+  }
+}
+
+// ================================================== //
+// STATISTICS PAGE MODULE                             //
+// ================================================== //
+
+/**
+ * Frequency charts and summaries of statistics.html. Registered as the
+ * "statistics" manager of KQXSApp; needs Chart.js on the page.
+ */
+class StatisticsManager {
   /**
-   * Setup keyboard navigation
+   * @param {Object} managers - { api: APIService }
    */
-  setupKeyboardNavigation() {
-    document.addEventListener('keydown', (e) => {
-      // Escape key handling
-      if (e.key === 'Escape') {
-        this.handleEscape();
+  constructor({ api }) {
+    this.apiService = api;
+    this.frequencyChart = null;
+    this.trendChart = null;
+    // AbortController of the update in progress (see update)
+    this.updateController = null;
+    this.disposables = new Disposables();
+  }
+
+  async init() {
+    this.button = document.getElementById('update-stats');
+    this.regionFilter = document.getElementById('region-filter');
+    this.periodFilter = document.getElementById('period-filter');
+    this.createCharts();
+
+    this.disposables.listen(this.button, 'click', () => this.update());
+    this.disposables.listen(this.regionFilter, 'change', () => this.update());
+    this.disposables.listen(this.periodFilter, 'change', () => this.update());
+
+    await this.update();
+  }
+
+  createCharts() {
+    // Frequency Chart: lô tô 00–99
+    this.frequencyChart = new Chart(document.getElementById('frequencyChart').getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: Array.from({ length: 100 }, (_, i) => String(i).padStart(2, '0')),
+        datasets: [{
+          label: 'Tần suất xuất hiện',
+          data: [],
+          backgroundColor: 'rgba(220, 38, 38, 0.7)',
+          borderColor: 'rgba(220, 38, 38, 1)',
+          borderWidth: 1
+        }]
+      },
+      options: {
+        responsive: true,
+        scales: { y: { beginAtZero: true } }
       }
-      
-      // Arrow key navigation
-      if (e.target.matches('.nav__link')) {
-        this.handleArrowNavigation(e);
+    });
+
+    // Trend Chart: đầu/đuôi 0–9
+    this.trendChart = new Chart(document.getElementById('trendChart').getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'],
+        datasets: [{
+          label: 'Đầu',
+          data: [],
+          borderColor: 'rgb(75, 192, 192)',
+          tension: 0.1,
+          fill: false
+        }, {
+          label: 'Đuôi',
+          data: [],
+          borderColor: 'rgb(255, 99, 132)',
+          tension: 0.1,
+          fill: false
+        }]
+      },
+      options: {
+        responsive: true,
+        scales: { y: { beginAtZero: true } }
       }
     });
+
+    this.disposables.add(() => {
+      this.frequencyChart.destroy();
+      this.trendChart.destroy();
+    });
   }
 
   /**
-   * Handle escape key press
+   * Recompute statistics for the selected region and period
    */
-  handleEscape() {
-    // Close mobile menu
-    const mobileMenu = document.querySelector('#mobile-menu');
-    const mobileMenuBtn = document.querySelector('#mobile-menu-btn');
-    
-    if (mobileMenu && !mobileMenu.classList.contains('hidden')) {
-      mobileMenu.classList.add('hidden');
-      mobileMenuBtn?.focus();
-    }
+  async update() {
+    // Only the latest update may render: stop loading the period or region
+    // the user just changed away from
+    this.updateController?.abort();
+    const controller = new AbortController();
+    this.updateController = controller;
 
-    // Close any open modals or dropdowns
-    const openModals = document.querySelectorAll('.modal:not(.hidden)');
-    openModals.forEach(modal => {
-      modal.classList.add('hidden');
-    });
+    const region = this.regionFilter.value;
+    const period = Number(this.periodFilter.value);
+    const to = DrawSchedule.today();
+    const from = DrawSchedule.addDays(to, -(period - 1));
+
+    this.button.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Đang cập nhật...';
+
+    try {
+      const history = await this.apiService.getResultsRange(region, from, to, { signal: controller.signal });
+      this.renderStatistics(LotteryStatistics.compute(history), region);
+      LotteryRenderer.renderProvenanceNotice(document.getElementById('stats-provenance'), history);
+      this.renderGan(LotoGanAnalyzer.compute(history));
+    } catch (error) {
+      if (Utils.isAbortError(error)) return;
+      console.error('Failed to update statistics:', error);
+      Utils.showToast('Không thể cập nhật thống kê', 'error', { disposables: this.disposables });
+    } finally {
+      if (this.updateController === controller) {
+        this.updateController = null;
+        this.button.innerHTML = '<i class="fas fa-sync mr-2"></i>Cập nhật';
+      }
+    }
   }
 
   /**
-   * Handle arrow key navigation
-   * @param {KeyboardEvent} e - Keyboard event
+   * Push computed statistics into the charts and summary blocks
+   * @param {Object} stats - Output of LotteryStatistics.compute
+   * @param {string} region - Region code
    */
-  handleArrowNavigation(e) {
-    const links = Array.from(document.querySelectorAll('.nav__link'));
-    const currentIndex = links.indexOf(e.target);
-    
-    if (e.key === 'ArrowRight' || e.key === 'ArrowDown') {
-      e.preventDefault();
-      const nextIndex = (currentIndex + 1) % links.length;
-      links[nextIndex].focus();
-    } else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') {
-      e.preventDefault();
-      const prevIndex = currentIndex === 0 ? links.length - 1 : currentIndex - 1;
-      links[prevIndex].focus();
-    }
+  renderStatistics(stats, region) {
+    const { percent, rank } = LotteryStatistics;
+    const formatDay = date => date.split('-').reverse().join('/');
+
+    this.frequencyChart.data.datasets[0].data = stats.frequency;
+    this.frequencyChart.update();
+
+    this.trendChart.data.datasets[0].data = stats.heads;
+    this.trendChart.data.datasets[1].data = stats.tails;
+    this.trendChart.update();
+
+    document.getElementById('stats-range').textContent = stats.days > 0
+      ? `${ResultModel.getSchema(region).code}: ${stats.total} lô tô từ ${formatDay(stats.from)} đến ${formatDay(stats.to)}`
+      : 'Không có kỳ quay nào trong khoảng thời gian đã chọn';
+
+    const [top] = rank(stats.frequency, 1);
+    document.getElementById('stat-draws').textContent = stats.draws.toLocaleString('vi-VN');
+    document.getElementById('stat-days').textContent = `${stats.days} ngày quay`;
+    document.getElementById('stat-top-number').textContent = stats.total > 0 ? top.number : '–';
+    document.getElementById('stat-top-count').textContent = stats.total > 0 ? `Xuất hiện ${top.count} lần` : '';
+
+    const rankRow = (item, index, color) => `
+      <div class="flex items-center justify-between p-3 bg-${color}-50 rounded-lg">
+        <div class="flex items-center space-x-3">
+          <span class="w-8 h-8 bg-${color}-600 text-white rounded-full flex items-center justify-center text-sm font-bold">${index + 1}</span>
+          <span class="text-xl font-bold text-${color}-600">${item.number}</span>
+        </div>
+        <div class="text-right">
+          <div class="text-lg font-bold">${item.count} lần</div>
+          <div class="text-sm text-gray-600">${percent(item.count, stats.total)}%</div>
+        </div>
+      </div>
+    `;
+    document.getElementById('most-frequent-list').innerHTML =
+      rank(stats.frequency, 3).map((item, index) => rankRow(item, index, 'green')).join('');
+    document.getElementById('least-frequent-list').innerHTML =
+      rank(stats.frequency, 3, 'asc').map((item, index) => rankRow(item, index, 'red')).join('');
+
+    const ratioRow = (label, value, color) => `
+      <div class="flex justify-between">
+        <span class="font-bold">${label}</span>
+        <span class="text-${color}-600">${value}</span>
+      </div>
+    `;
+    document.getElementById('doubles-list').innerHTML = LotteryStatistics.getDoubles(stats.frequency).slice(0, 3)
+      .map(item => ratioRow(item.number, `${item.count} lần`, 'blue')).join('');
+    document.getElementById('big-small-list').innerHTML =
+      ratioRow('Lớn (50–99)', `${percent(stats.bigSmall.big, stats.total)}%`, 'yellow') +
+      ratioRow('Nhỏ (00–49)', `${percent(stats.bigSmall.small, stats.total)}%`, 'yellow');
+    document.getElementById('even-odd-list').innerHTML =
+      ratioRow('Chẵn', `${percent(stats.evenOdd.even, stats.total)}%`, 'purple') +
+      ratioRow('Lẻ', `${percent(stats.evenOdd.odd, stats.total)}%`, 'purple');
   }
 
   /**
-   * Setup screen reader announcements
+   * Show the longest-absent loto of the period
+   * @param {Object} gan - Output of LotoGanAnalyzer.compute
    */
-  setupScreenReaderAnnouncements() {
-    this.announcer = document.createElement('div');
-    this.announcer.setAttribute('aria-live', 'polite');
-    this.announcer.setAttribute('aria-atomic', 'true');
-    this.announcer.className = 'sr-only';
-    document.body.appendChild(this.announcer);
+  renderGan(gan) {
+    const [top] = LotoGanAnalyzer.sort(gan.numbers, 'currentGan');
+    document.getElementById('stat-gan-number').textContent = gan.draws > 0 ? top.number : '–';
+    document.getElementById('stat-gan-count').textContent = gan.draws > 0 ? `${top.currentGan} kỳ chưa về` : '';
+  }
+
+  destroy() {
+    this.updateController?.abort();
+    this.updateController = null;
+    this.disposables.dispose();
   }
+}
+
+// ================================================== //
+// LÔ GAN PAGE MODULE                                 //
+// ================================================== //
 
+/**
+ * Lô gan / đề gan table of soi-cau.html. Registered as the "gan" manager
+ * of KQXSApp.
+ */
+class GanManager {
   /**
-   * Announce message to screen readers
-   * @param {string} message - Message to announce
+   * @param {Object} managers - { api: APIService }
    */
-  announce(message) {
-    if (this.announcer) {
-      this.announcer.textContent = message;
-    }
+  constructor({ api }) {
+    this.apiService = api;
+    // Last computation and the table's sort order
+    this.result = null;
+    this.sortKey = 'currentGan';
+    this.direction = 'desc';
+    // AbortController of the update in progress (see update)
+    this.updateController = null;
+    this.disposables = new Disposables();
+  }
+
+  async init() {
+    const form = document.getElementById('gan-filters');
+    this.form = form;
+
+    document.querySelectorAll('[data-gan-region]').forEach(card => {
+      this.disposables.listen(card, 'click', () => this.selectRegion(card.dataset.ganRegion));
+    });
+
+    document.querySelectorAll('#gan-table th[data-sort] button').forEach(button => {
+      this.disposables.listen(button, 'click', () => {
+        const key = button.parentElement.dataset.sort;
+        this.direction = this.sortKey === key && this.direction === 'desc' ? 'asc' : 'desc';
+        this.sortKey = key;
+        this.render();
+      });
+    });
+
+    this.disposables.listen(form.region, 'change', () => {
+      this.populateProvinces();
+      this.update();
+    });
+    ['province', 'type', 'period'].forEach(name => this.disposables.listen(form[name], 'change', () => this.update()));
+    ['minGan', 'search'].forEach(name => this.disposables.listen(form[name], 'input', () => this.render()));
+    this.disposables.listen(form, 'submit', (e) => e.preventDefault());
+
+    this.populateProvinces();
+    await this.update();
   }
-}
 
-// ================================================== //
-// LOTTERY RESULTS RENDERER MODULE                    //
-// ================================================== //
+  selectRegion(region) {
+    this.form.region.value = region;
+    this.populateProvinces();
+    this.update();
+    document.getElementById('lo-gan').scrollIntoView({ behavior: 'smooth' });
+  }
 
-class LotteryRenderer {
-  constructor(container) {
-    this.container = container;
+  /**
+   * List the selected region's provinces; XSMB has a single draw so it needs no choice
+   */
+  populateProvinces() {
+    const region = this.form.region.value;
+    const provinces = Object.values(PROVINCES).filter(province => province.region === region);
+
+    this.form.province.innerHTML = '<option value="">Tất cả đài</option>' +
+      provinces.map(province => `<option value="${province.code}">${province.name}</option>`).join('');
+    this.form.province.disabled = region === 'north';
   }
 
   /**
-   * Render lottery results
-   * @param {Object} results - Results data
-   * @param {string} region - Region code
+   * Reload history and recompute gan for the current filters
    */
-  render(results, region) {
-    this.container.innerHTML = '';
-    
-    if (region === 'all') {
-      Object.entries(results).forEach(([regionKey, regionData]) => {
-        this.renderRegion(regionKey, regionData);
+  async update() {
+    // A newer filter change supersedes this one: stop loading its history
+    this.updateController?.abort();
+    const controller = new AbortController();
+    this.updateController = controller;
+
+    const { form } = this;
+    const region = form.region.value;
+    const to = DrawSchedule.today();
+    const from = DrawSchedule.addDays(to, -(Number(form.period.value) - 1));
+
+    document.getElementById('gan-summary').textContent = 'Đang tính toán...';
+
+    try {
+      const history = await this.apiService.getResultsRange(region, from, to, { signal: controller.signal });
+      this.result = LotoGanAnalyzer.compute(history, {
+        province: form.province.value || null,
+        type: form.type.value
       });
-    } else {
-      this.renderRegion(region, results[region]);
+      this.render();
+      LotteryRenderer.renderProvenanceNotice(document.getElementById('gan-provenance'), history);
+    } catch (error) {
+      if (Utils.isAbortError(error)) return;
+      console.error('Failed to compute lô gan:', error);
+      Utils.showToast('Không thể tính lô gan', 'error', { disposables: this.disposables });
+    } finally {
+      if (this.updateController === controller) {
+        this.updateController = null;
+      }
     }
   }
 
   /**
-   * Render single region results
-   * @param {string} regionKey - Region key
-   * @param {Object} regionData - Region data
+   * Render the gan table from the last computation, applying sort and filters
    */
-  renderRegion(regionKey, regionData) {
-    const regionCard = Utils.createElement('div', {
-      className: `card lottery-card theme-${regionKey}`,
-      dataset: { region: regionKey }
+  render() {
+    const { result, sortKey, direction, form } = this;
+    if (!result) return;
+
+    const formatDay = date => date ? date.split('-').reverse().join('/') : 'Chưa về';
+    const label = form.type.value === 'special' ? 'Đề gan' : 'Lô gan';
+    const rows = LotoGanAnalyzer.filter(LotoGanAnalyzer.sort(result.numbers, sortKey, direction), {
+      minGan: Number(form.minGan.value) || 0,
+      search: form.search.value.trim()
     });
 
-    const header = Utils.createElement('div', {
-      className: 'card__header'
-    }, `
-      <h3 class="card__title">
-        <i class="fas fa-${this.getRegionIcon(regionKey)} mr-2"></i>
-        ${regionData.name}
-      </h3>
-      <p class="card__subtitle">${regionData.date}</p>
-    `);
+    document.querySelector('#gan-table tbody').innerHTML = rows.map(entry => `
+      <tr class="border-b hover:bg-gray-50">
+        <td class="px-4 py-2 font-bold">${entry.number}</td>
+        <td class="px-4 py-2">${entry.currentGan}</td>
+        <td class="px-4 py-2">${entry.maxGan}</td>
+        <td class="px-4 py-2">${formatDay(entry.lastSeen)}</td>
+        <td class="px-4 py-2">${entry.count}</td>
+      </tr>
+    `).join('');
 
-    const body = Utils.createElement('div', {
-      className: 'card__body'
+    document.querySelectorAll('#gan-table th[data-sort]').forEach(th => {
+      th.setAttribute('aria-sort', th.dataset.sort === sortKey
+        ? (direction === 'asc' ? 'ascending' : 'descending')
+        : 'none');
     });
 
-    const table = this.createResultsTable(regionData.prizes);
-    body.appendChild(table);
+    document.getElementById('gan-summary').textContent = result.draws > 0
+      ? `${label} qua ${result.draws} kỳ quay (${formatDay(result.from)} – ${formatDay(result.to)}), hiển thị ${rows.length}/100 số`
+      : 'Không có kỳ quay nào trong khoảng thời gian đã chọn';
 
-    regionCard.appendChild(header);
-    regionCard.appendChild(body);
-    this.container.appendChild(regionCard);
+    const [top] = LotoGanAnalyzer.sort(result.numbers, 'currentGan');
+    document.getElementById('gan-max-badge').textContent = `${top.number}: ${top.currentGan} kỳ`;
+  }
 
-    // Add fade-in animation
-    requestAnimationFrame(() => {
-      regionCard.classList.add('animate-fade-in');
-    });
+  destroy() {
+    this.updateController?.abort();
+    this.updateController = null;
+    this.disposables.dispose();
   }
+}
 
+// ================================================== //
+// ARCHIVE PAGE MODULE                                //
+// ================================================== //
+
+/**
+ * Calendar, number search and bulk export of archive.html. Registered as
+ * the "archive" manager of KQXSApp.
+ */
+class ArchiveManager {
   /**
-   * Create results table
-   * @param {Array} prizes - Prize data
-   * @returns {HTMLElement} Table element
+   * @param {Object} managers - { api: APIService }
    */
-  createResultsTable(prizes) {
-    const table = Utils.createElement('table', {
-      className: 'lottery-table',
-      role: 'table'
+  constructor({ api }) {
+    this.apiService = api;
+    this.year = new Date().getFullYear();
+    this.month = new Date().getMonth() + 1;
+    // Search matches, the query they answer and the days that failed to
+    // load, paged by renderSearchPage
+    this.matches = [];
+    this.query = null;
+    this.missing = [];
+    // Aborted when a newer search starts, or on destroy
+    this.searchController = null;
+    // Day shown below the calendar
+    this.day = null;
+    this.renderer = null;
+    this.disposables = new Disposables();
+  }
+
+  init() {
+    this.renderer = new LotteryRenderer(document.getElementById('archive-day-results'), {
+      onRetry: () => this.loadDay(this.day),
+      watchlist: new Watchlist(),
+      exports: true
     });
+    this.disposables.add(() => this.renderer.destroy());
+
+    this.renderYearButtons();
+    this.renderCalendar();
+    this.setupSearchForm();
+    this.setupExportForm();
 
-    const thead = Utils.createElement('thead', {
-      className: 'lottery-table__header'
+    const { disposables } = this;
+    disposables.listen(document.getElementById('prev-month'), 'click', () => this.changeMonth(-1));
+    disposables.listen(document.getElementById('next-month'), 'click', () => this.changeMonth(1));
+    disposables.listen(document.getElementById('year-buttons'), 'click', (e) => {
+      const button = e.target.closest('[data-year]');
+      if (button) this.updateCalendar(button.dataset.year);
+    });
+    disposables.listen(document.getElementById('archive-calendar'), 'click', (e) => {
+      const button = e.target.closest('.archive-day:not([disabled])');
+      if (button) this.loadDay(button.dataset.date);
+    });
+    disposables.listen(document.getElementById('search-results'), 'click', (e) => {
+      const page = e.target.closest('[data-page]');
+      const day = e.target.closest('tbody [data-date]');
+      if (page) this.renderSearchPage(Number(page.dataset.page));
+      if (day) this.loadDay(day.dataset.date);
     });
+  }
 
-    const headerRow = Utils.createElement('tr', {}, `
-      <th scope="col">Giải thưởng</th>
-      <th scope="col">Kết quả</th>
-    `);
+  renderYearButtons() {
+    const currentYear = new Date().getFullYear();
+    const container = document.getElementById('year-buttons');
+
+    container.innerHTML = '';
+    for (let year = currentYear; year >= ARCHIVE_CONFIG.firstYear; year--) {
+      container.appendChild(Utils.createElement('button', { type: 'button', dataset: { year } }, String(year)));
+    }
+    this.highlightYear();
+  }
 
-    thead.appendChild(headerRow);
-    table.appendChild(thead);
+  highlightYear() {
+    document.querySelectorAll('[data-year]').forEach(button => {
+      const active = Number(button.dataset.year) === this.year;
+      button.className = active
+        ? 'px-4 py-2 bg-primary-600 text-white rounded-lg font-medium'
+        : 'px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-700 rounded-lg transition-colors';
+      button.setAttribute('aria-pressed', active);
+    });
+  }
 
-    const tbody = Utils.createElement('tbody');
+  updateCalendar(year) {
+    const now = new Date();
+    this.year = Number(year);
+    // Jump to the latest month that has results in the chosen year
+    this.month = this.year === now.getFullYear() ? now.getMonth() + 1 : 12;
+    this.highlightYear();
+    this.renderCalendar();
+  }
 
-    prizes.forEach((prize, index) => {
-      const row = Utils.createElement('tr', {
-        className: 'lottery-table__row'
-      });
+  changeMonth(offset) {
+    const now = new Date();
+    const target = new Date(this.year, this.month - 1 + offset, 1);
 
-      const prizeCell = Utils.createElement('td', {
-        className: 'lottery-table__cell lottery-table__prize'
-      }, prize.name);
+    if (target > now || target.getFullYear() < ARCHIVE_CONFIG.firstYear) return;
 
-      const numbersCell = Utils.createElement('td', {
-        className: 'lottery-table__cell'
-      });
+    this.year = target.getFullYear();
+    this.month = target.getMonth() + 1;
+    this.highlightYear();
+    this.renderCalendar();
+  }
 
-      const numbersList = Utils.createElement('div', {
-        className: 'prize-numbers'
-      });
+  renderCalendar() {
+    const { year, month } = this;
+    const headers = ['CN', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7']
+      .map(label => `<div class="text-center text-sm font-medium text-gray-500 py-2">${label}</div>`);
 
-      prize.numbers.forEach(number => {
-        const numberSpan = Utils.createElement('span', {
-          className: `prize-number ${this.getPrizeClass(index)}`
-        }, number);
-        numbersList.appendChild(numberSpan);
-      });
+    const cells = ResultArchive.getMonthCalendar(year, month).map(cell => {
+      if (!cell) return '<div></div>';
+
+      const regions = cell.draws.filter(draw => draw.provinces.length > 0);
+      const available = regions.length > 0 && !cell.isFuture;
+      // Scheduled draws only: whether results exist is known once the day is loaded
+      const title = ['Lịch quay:', ...cell.draws
+        .map(draw => draw.suspension
+          ? `${ResultModel.getSchema(draw.region).code}: ${draw.suspension.reason}`
+          : `${ResultModel.getSchema(draw.region).code}: ${draw.provinces.map(p => p.name).join(', ')}`)]
+        .join('\n');
+      const dots = regions
+        .map(draw => `<span class="archive-day__region archive-day__region--${draw.region}"></span>`)
+        .join('');
 
-      numbersCell.appendChild(numbersList);
-      row.appendChild(prizeCell);
-      row.appendChild(numbersCell);
-      tbody.appendChild(row);
+      return `
+        <div class="text-center">
+          <button type="button" class="archive-day${cell.isToday ? ' archive-day--today' : ''}"
+            data-date="${cell.date}" title="${Utils.escapeAttribute(title)}" ${available ? '' : 'disabled'}>
+            ${cell.day}
+            <span class="archive-day__regions">${available ? dots : ''}</span>
+          </button>
+        </div>
+      `;
     });
 
-    table.appendChild(tbody);
-    return table;
+    document.getElementById('calendar-title').textContent = `📆 Tháng ${month}/${year}`;
+    document.getElementById('archive-calendar').innerHTML = headers.concat(cells).join('');
   }
 
   /**
-   * Get region icon
-   * @param {string} region - Region key
-   * @returns {string} Icon class
+   * Load and render every region's result of a day
+   * @param {string} date - Date key
    */
-  getRegionIcon(region) {
-    const icons = {
-      north: 'pagoda',
-      central: 'crown',
-      south: 'palm-tree'
+  async loadDay(date) {
+    const container = document.getElementById('archive-day-results');
+    this.day = date;
+    container.innerHTML = '<div class="text-center text-gray-500 py-4"><i class="fas fa-spinner fa-spin mr-2"></i>Đang tải...</div>';
+
+    try {
+      const results = await this.apiService.getLotteryResults(date, 'all');
+      this.renderer.render(results, 'all');
+      container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+      console.error('Failed to load archived results:', error);
+      this.renderer.renderError('Không thể tải kết quả ngày này. Vui lòng thử lại sau.');
+    }
+  }
+
+  setupSearchForm() {
+    const form = document.getElementById('archive-search');
+    const today = DrawSchedule.today();
+
+    form.to.max = today;
+    form.from.max = today;
+    form.to.value = today;
+    form.from.value = DrawSchedule.addDays(today, -29);
+    form.from.min = `${ARCHIVE_CONFIG.firstYear}-01-01`;
+
+    const populate = () => {
+      const region = form.region.value;
+      const provinces = Object.values(PROVINCES).filter(p => region === 'all' || p.region === region);
+      const tiers = region === 'all'
+        ? PRIZE_SCHEMAS.south.tiers
+        : ResultModel.getSchema(region).tiers;
+
+      form.province.innerHTML = '<option value="">Tất cả</option>' +
+        provinces.map(p => `<option value="${p.code}">${p.name}</option>`).join('');
+      form.tier.innerHTML = '<option value="all">Tất cả giải</option>' +
+        tiers.map(tier => `<option value="${tier.key}">${tier.name}</option>`).join('');
     };
-    return icons[region] || 'dice';
+
+    populate();
+    this.disposables.listen(form.region, 'change', populate);
+    this.disposables.listen(form, 'submit', (e) => {
+      e.preventDefault();
+      this.search(form);
+    });
+  }
+
+  setupExportForm() {
+    const form = document.getElementById('archive-export');
+    const today = DrawSchedule.today();
+
+    form.to.max = today;
+    form.from.max = today;
+    form.to.value = today;
+    form.from.value = DrawSchedule.addDays(today, -6);
+    form.from.min = `${ARCHIVE_CONFIG.firstYear}-01-01`;
+
+    this.disposables.listen(form, 'submit', (e) => {
+      e.preventDefault();
+      this.exportRange(form);
+    });
   }
 
   /**
-   * Get prize CSS class
-   * @param {number} index - Prize index
-   * @returns {string} CSS class
+   * Download every result of a date range, one row per prize number. Days
+   * that fail to load are skipped and listed; unconfirmed results (demo,
+   * offline copies) are left out unless the form's includeUnverified box is ticked.
+   * @param {HTMLFormElement} form - Export form
    */
-  getPrizeClass(index) {
-    const classes = ['prize--special', 'prize--first', 'prize--second', 'prize--third'];
-    return classes[index] || 'prize--normal';
-  }
-}
+  async exportRange(form) {
+    const range = { from: form.from.value, to: form.to.value };
+    const region = form.region.value;
+    const format = form.format.value;
+    const includeUnverified = form.includeUnverified.checked;
+    const status = document.getElementById('export-status');
 
-// ================================================== //
-// MAIN APPLICATION CLASS                             //
-// ================================================== //
+    const errors = ResultArchive.validateRange(range);
+    if (errors.length > 0) {
+      Utils.showToast(errors[0], 'warning', { disposables: this.disposables });
+      return;
+    }
 
-class KQXSApp {
-  constructor() {
-    this.apiService = new APIService();
-    this.themeManager = new ThemeManager();
-    this.accessibilityManager = new AccessibilityManager();
-    this.renderer = new LotteryRenderer(document.getElementById('results-container'));
-    
-    this.currentDate = new Date();
-    this.selectedRegion = 'all';
-    
-    this.init();
-  }
+    const regions = region === 'all' ? Object.keys(PRIZE_SCHEMAS) : [region];
+    const button = form.querySelector('[type="submit"]');
+    button.disabled = true;
+    status.textContent = 'Đang tải kết quả...';
 
-  async init() {
     try {
-      this.setupEventListeners();
-      this.setupMobileMenu();
-      this.setupDatePicker();
-      this.setupThemeSwitcher();
-      this.setupIntersectionObserver();
-      
-      // Load initial results
-      await this.loadResults();
-      
-      // Setup auto-refresh
-      this.setupAutoRefresh();
-      
-      console.log('KQXS App initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize KQXS App:', error);
-      Utils.showToast('Không thể khởi tạo ứng dụng', 'error');
-    }
-  }
+      const missing = [];
+      const histories = await Promise.all(regions.map(key =>
+        this.apiService.getResultsRange(key, range.from, range.to, {
+          onMissing: date => missing.push({ region: key, date })
+        })
+      ));
+      const loaded = histories.flat().sort((a, b) => b.date.localeCompare(a.date));
+      const list = includeUnverified ? loaded : loaded.filter(regionData => ResultProvenance.isAuthoritative(regionData));
 
-  setupEventListeners() {
-    // Date picker
-    const datePicker = document.getElementById('date-picker');
-    if (datePicker) {
-      datePicker.addEventListener('change', 
-        Utils.debounce((e) => this.handleDateChange(e), 300)
-      );
-    }
+      const notes = [];
+      if (missing.length > 0) {
+        notes.push(ArchiveManager.describeMissing(missing));
+      }
+      if (list.length < loaded.length) {
+        notes.push(`Bỏ qua ${loaded.length - list.length} kết quả chưa xác nhận (số minh hoạ, bản lưu ngoại tuyến); đánh dấu "Gồm cả kết quả chưa xác nhận" để xuất cả những kết quả này.`);
+      }
 
-    // Region selector
-    const regionSelector = document.getElementById('region-selector');
-    if (regionSelector) {
-      regionSelector.addEventListener('change', 
-        Utils.debounce((e) => this.handleRegionChange(e), 200)
-      );
-    }
+      if (list.length === 0) {
+        status.textContent = ['Không có kết quả trong khoảng ngày đã chọn.', ...notes].join(' ');
+        return;
+      }
 
-    // View results button
-    const viewBtn = document.getElementById('view-results-btn');
-    if (viewBtn) {
-      viewBtn.addEventListener('click', (e) => this.handleViewResults(e));
+      const count = ResultExport.downloadData(list, format, ResultExport.getFileName({ region, ...range }, format));
+      status.textContent = [`Đã xuất ${list.length} kết quả (${count} số).`, ...notes].join(' ');
+    } catch (error) {
+      console.error('Archive export failed:', error);
+      status.textContent = '';
+      Utils.showToast('Không thể tải kết quả để xuất', 'error', { disposables: this.disposables });
+    } finally {
+      button.disabled = false;
     }
+  }
 
-    // Scroll events
-    window.addEventListener('scroll', 
-      Utils.throttle(() => this.handleScroll(), 16)
-    );
+  /**
+   * Sentence listing the days of a range that failed to load
+   * @param {Array<Object>} missing - { region, date } of the skipped days
+   * @returns {string} Note for the user
+   */
+  static describeMissing(missing) {
+    const days = [...missing]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(({ region, date }) => `${PRIZE_SCHEMAS[region].code} ${ResultAlerts.formatShortDate(date)}`);
+    return `Không tải được ${missing.length} ngày: ${days.join(', ')}.`;
+  }
 
-    // Resize events
-    window.addEventListener('resize',
-      Utils.debounce(() => this.handleResize(), 250)
-    );
+  /**
+   * Search a number over the form's date range. Days that fail to load are
+   * skipped and listed under the matches; a newer search cancels this one.
+   * @param {HTMLFormElement} form - Search form
+   */
+  async search(form) {
+    const query = {
+      number: form.number.value.trim(),
+      from: form.from.value,
+      to: form.to.value,
+      tier: form.tier.value,
+      province: form.province.value || null
+    };
+    const output = document.getElementById('search-results');
 
-    // Online/offline events
-    window.addEventListener('online', () => this.handleOnline());
-    window.addEventListener('offline', () => this.handleOffline());
-  }
+    const errors = ResultArchive.validateSearch(query);
+    if (errors.length > 0) {
+      Utils.showToast(errors[0], 'warning', { disposables: this.disposables });
+      return;
+    }
 
-  setupMobileMenu() {
-    const mobileMenuBtn = document.getElementById('mobile-menu-btn');
-    const mobileMenu = document.getElementById('mobile-menu');
+    const region = query.province ? PROVINCES[query.province].region : form.region.value;
+    const regions = region === 'all' ? Object.keys(PRIZE_SCHEMAS) : [region];
 
-    if (!mobileMenuBtn || !mobileMenu) return;
+    this.searchController?.abort();
+    const controller = new AbortController();
+    this.searchController = controller;
 
-    mobileMenuBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      this.toggleMobileMenu();
-    });
+    output.innerHTML = '<div class="text-center text-gray-500 py-4"><i class="fas fa-spinner fa-spin mr-2"></i>Đang tìm kiếm...</div>';
 
-    // Close on outside click
-    document.addEventListener('click', (e) => {
-      if (!mobileMenu.contains(e.target) && !mobileMenuBtn.contains(e.target)) {
-        this.closeMobileMenu();
+    try {
+      const missing = [];
+      const histories = await Promise.all(regions.map(key =>
+        this.apiService.getResultsRange(key, query.from, query.to, {
+          signal: controller.signal,
+          onMissing: date => missing.push({ region: key, date })
+        })
+      ));
+      this.matches = ResultArchive.searchNumber(histories.flat(), query);
+      this.query = query;
+      this.missing = missing;
+      this.renderSearchPage(1);
+      LotteryRenderer.renderProvenanceNotice(document.getElementById('search-provenance'), histories.flat());
+    } catch (error) {
+      if (Utils.isAbortError(error)) return;
+      console.error('Archive search failed:', error);
+      output.innerHTML = '';
+      Utils.showToast('Không thể tìm kiếm kết quả', 'error', { disposables: this.disposables });
+    } finally {
+      if (this.searchController === controller) {
+        this.searchController = null;
       }
-    });
+    }
   }
 
-  toggleMobileMenu() {
-    const mobileMenu = document.getElementById('mobile-menu');
-    const mobileMenuBtn = document.getElementById('mobile-menu-btn');
-    const isHidden = mobileMenu.classList.contains('hidden');
-
-    mobileMenu.classList.toggle('hidden', !isHidden);
-    mobileMenuBtn.setAttribute('aria-expanded', isHidden);
+  /**
+   * Render one page of search matches
+   * @param {number} page - 1-based page number
+   */
+  renderSearchPage(page) {
+    const output = document.getElementById('search-results');
+    const result = ResultArchive.paginate(this.matches, page);
+    const formatDay = date => date.split('-').reverse().join('/');
+    const { number } = this.query;
+    const missingNote = this.missing.length > 0
+      ? `<p class="text-sm text-orange-700 my-2">${ArchiveManager.describeMissing(this.missing)} Kết quả tìm kiếm không gồm những ngày này.</p>`
+      : '';
 
-    const icon = mobileMenuBtn.querySelector('i');
-    if (icon) {
-      icon.classList.toggle('fa-bars', !isHidden);
-      icon.classList.toggle('fa-times', isHidden);
+    if (result.total === 0) {
+      output.innerHTML = `<p class="text-center text-gray-600">Số <strong>${number}</strong> không xuất hiện trong khoảng thời gian đã chọn.</p>${missingNote}`;
+      return;
     }
 
-    // Focus management
-    if (isHidden) {
-      const firstLink = mobileMenu.querySelector('a');
-      firstLink?.focus();
-    }
+    const rows = result.items.map(match => `
+      <tr class="border-b hover:bg-gray-50">
+        <td class="px-4 py-2"><button type="button" class="text-primary-600 hover:underline" data-date="${match.date}">${formatDay(match.date)}</button></td>
+        <td class="px-4 py-2">${PROVINCES[match.province].name}</td>
+        <td class="px-4 py-2">${match.tierName}</td>
+        <td class="px-4 py-2 font-bold">${match.number.slice(0, -number.length)}<mark>${number}</mark></td>
+      </tr>
+    `).join('');
+
+    output.innerHTML = `
+      <p class="text-sm text-gray-600 mb-2">Tìm thấy ${result.total} lần xuất hiện của số <strong>${number}</strong></p>
+      ${missingNote}
+      <div class="overflow-x-auto">
+        <table class="w-full table-auto text-sm">
+          <thead>
+            <tr class="bg-gray-100">
+              <th class="px-4 py-2 text-left">Ngày</th>
+              <th class="px-4 py-2 text-left">Đài</th>
+              <th class="px-4 py-2 text-left">Giải</th>
+              <th class="px-4 py-2 text-left">Số</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+      <nav class="flex justify-center items-center space-x-1 mt-4" aria-label="Phân trang">
+        <button type="button" class="px-3 py-2 bg-gray-200 text-gray-600 rounded-lg disabled:opacity-50" data-page="${result.page - 1}" ${result.page === 1 ? 'disabled' : ''}>Trước</button>
+        <span class="px-3 py-2 text-sm text-gray-600">Trang ${result.page}/${result.pageCount}</span>
+        <button type="button" class="px-3 py-2 bg-gray-200 text-gray-600 rounded-lg disabled:opacity-50" data-page="${result.page + 1}" ${result.page === result.pageCount ? 'disabled' : ''}>Sau</button>
+      </nav>
+    `;
   }
 
-  closeMobileMenu() {
-    const mobileMenu = document.getElementById('mobile-menu');
-    const mobileMenuBtn = document.getElementById('mobile-menu-btn');
-    
-    if (!mobileMenu.classList.contains('hidden')) {
-      mobileMenu.classList.add('hidden');
-      mobileMenuBtn.setAttribute('aria-expanded', 'false');
-      
-      const icon = mobileMenuBtn.querySelector('i');
-      if (icon) {
-        icon.classList.add('fa-bars');
-        icon.classList.remove('fa-times');
-      }
-    }
+  destroy() {
+    this.searchController?.abort();
+    this.searchController = null;
+    this.disposables.dispose();
   }
+}
 
-  setupDatePicker() {
-    const datePicker = document.getElementById('date-picker');
-    if (!datePicker) return;
+// ================================================== //
+// APPLICATION CORE MODULE                            //
+// ================================================== //
 
-    const today = new Date();
-    datePicker.max = Utils.formatDateForAPI(today);
-    datePicker.value = Utils.formatDateForAPI(today);
+/**
+ * Managers a page can opt into. `create` receives the managers listed in
+ * `deps`, already initialized, keyed by name.
+ */
+const MANAGER_DEFINITIONS = {
+  api: { create: () => new APIService(KQXSApp.getDataSource(document)) },
+  store: { create: () => AppState.createStore() },
+  theme: { deps: ['store'], create: (managers) => new ThemeManager(managers) },
+  animation: { create: () => new AnimationManager() },
+  ui: { create: () => new UIManager() },
+  performance: { deps: ['store'], create: (managers) => new PerformanceManager(managers) },
+  accessibility: { create: () => new AccessibilityManager() },
+  results: {
+    deps: ['api', 'accessibility', 'store'],
+    create: (managers) => new ResultsManager(managers)
+  },
+  region: { deps: ['api'], create: (managers) => new RegionResultsManager(managers) },
+  statistics: { deps: ['api'], create: (managers) => new StatisticsManager(managers) },
+  gan: { deps: ['api'], create: (managers) => new GanManager(managers) },
+  archive: { deps: ['api'], create: (managers) => new ArchiveManager(managers) }
+};
 
-    // Validate date selection
-    datePicker.addEventListener('input', (e) => {
-      const selectedDate = new Date(e.target.value);
-      if (selectedDate > today) {
-        e.target.value = Utils.formatDateForAPI(today);
-        Utils.showToast('Không thể chọn ngày trong tương lai', 'warning');
-      }
-    });
+/**
+ * Creates managers on demand, after their dependencies, and tears them down
+ * in reverse order. Managers may implement init() and destroy(); both may
+ * return a promise.
+ */
+class ManagerRegistry {
+  /**
+   * @param {Object} definitions - { name: { create, deps } }
+   */
+  constructor(definitions = MANAGER_DEFINITIONS) {
+    this.definitions = new Map(Object.entries(definitions));
+    this.instances = new Map();
+    // Names in creation order, including managers whose init() is still
+    // pending: destroy() must release what a half-done init() set up
+    this.started = [];
+    // Bumped by destroy(), so starts in flight create nothing more
+    this.generation = 0;
   }
 
-  setupThemeSwitcher() {
-    // Theme can be switched based on current page
-    const currentPath = window.location.pathname;
-    
-    if (currentPath.includes('north')) {
-      this.themeManager.switchTheme('theme-north');
-    } else if (currentPath.includes('central')) {
-      this.themeManager.switchTheme('theme-central');
-    } else if (currentPath.includes('south')) {
-      this.themeManager.switchTheme('theme-south');
+  /**
+   * Add or replace a manager definition, e.g. to inject a test double
+   * @param {string} name - Manager name
+   * @param {Object} definition - { create(managers), deps? }
+   * @returns {ManagerRegistry} This registry
+   */
+  register(name, definition) {
+    if (this.instances.has(name)) {
+      throw new Error(`Manager "${name}" is already running`);
     }
+    this.definitions.set(name, definition);
+    return this;
   }
 
-  setupIntersectionObserver() {
-    this.observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('animate-fade-in');
-        }
-      });
-    }, {
-      threshold: 0.1,
-      rootMargin: '10px'
-    });
-
-    // Observe all cards
-    document.querySelectorAll('.card').forEach(card => {
-      this.observer.observe(card);
-    });
+  /**
+   * @param {string} name - Manager name
+   * @returns {Object|null} Running manager
+   */
+  get(name) {
+    return this.instances.get(name) || null;
   }
 
-  setupAutoRefresh() {
-    // Refresh every 5 minutes
-    setInterval(async () => {
-      await this.loadResults(true);
-    }, 5 * 60 * 1000);
-  }
+  /**
+   * Create and initialize a manager and its dependencies; running managers
+   * are reused
+   * @param {string} name - Manager name
+   * @param {Array<string>} path - Managers waiting on this one (cycle detection)
+   * @returns {Promise<Object>} The manager
+   * @throws {Error} For unknown managers, dependency cycles or a failing init()
+   */
+  async start(name, path = []) {
+    if (this.instances.has(name)) {
+      return this.instances.get(name);
+    }
+    if (path.includes(name)) {
+      throw new Error(`Circular manager dependency: ${[...path, name].join(' → ')}`);
+    }
 
-  async loadResults(isRefresh = false) {
-    const loadingIndicator = document.getElementById('loading-indicator');
-    
-    if (!isRefresh && loadingIndicator) {
-      loadingIndicator.classList.remove('hidden');
+    const definition = this.definitions.get(name);
+    if (!definition) {
+      throw new Error(`Unknown manager: ${name}`);
+    }
+
+    const { generation } = this;
+    const managers = {};
+    for (const dependency of definition.deps || []) {
+      managers[dependency] = await this.start(dependency, [...path, name]);
+    }
+
+    if (this.generation !== generation) {
+      throw new Error(`Managers were destroyed while starting ${name}`);
     }
 
+    const manager = definition.create(managers);
+    this.instances.set(name, manager);
+    this.started.push(name);
+
     try {
-      const dateStr = Utils.formatDateForAPI(this.currentDate);
-      const results = await this.apiService.getLotteryResults(dateStr, this.selectedRegion);
-      
-      this.renderer.render(results, this.selectedRegion);
-      
-      if (isRefresh) {
-        Utils.showToast('Đã cập nhật kết quả mới nhất', 'success');
-      }
-      
-      this.accessibilityManager.announce(
-        `Đã tải kết quả xổ số ngày ${Utils.formatDate(this.currentDate)}`
-      );
-      
+      await manager.init?.();
     } catch (error) {
-      console.error('Failed to load results:', error);
-      Utils.showToast('Không thể tải kết quả. Vui lòng thử lại sau.', 'error');
-    } finally {
-      if (loadingIndicator) {
-        loadingIndicator.classList.add('hidden');
+      // Release whatever the failed init() already set up, unless destroy() did
+      if (this.instances.get(name) === manager) {
+        this.instances.delete(name);
+        this.started = this.started.filter(item => item !== name);
+        await manager.destroy?.();
       }
+      throw error;
     }
-  }
 
-  // Event Handlers
-  async handleDateChange(e) {
-    this.currentDate = new Date(e.target.value);
-    await this.loadResults();
+    return manager;
   }
 
-  async handleRegionChange(e) {
-    this.selectedRegion = e.target.value;
-    await this.loadResults();
+  /**
+   * Destroy every manager, dependents before their dependencies, including
+   * those still in init(). Managers check after each await of init() that
+   * they were not destroyed meanwhile.
+   */
+  async destroy() {
+    const names = [...this.started].reverse();
+    this.started = [];
+    this.generation++;
+
+    for (const name of names) {
+      try {
+        await this.instances.get(name).destroy?.();
+      } catch (error) {
+        console.error(`Failed to destroy the ${name} manager:`, error);
+      }
+      this.instances.delete(name);
+    }
   }
+}
 
-  async handleViewResults(e) {
-    e.preventDefault();
-    await this.loadResults();
+class KQXSApp {
+  /**
+   * @param {Object} options - { managers: names to start, registry }
+   */
+  constructor({ managers = [], registry = new ManagerRegistry() } = {}) {
+    this.managers = managers;
+    this.registry = registry;
+    // Bumped by destroy(), so an init() in progress starts nothing more
+    this.generation = 0;
   }
 
-  handleScroll() {
-    const header = document.querySelector('.header');
-    if (header) {
-      header.classList.toggle('header--scrolled', window.scrollY > 10);
-    }
+  /**
+   * Managers a page asks for in <body data-managers="theme ui results">
+   * @param {Document} doc - Page document
+   * @returns {Array<string>} Manager names
+   */
+  static getDeclaredManagers(doc) {
+    return (doc.body?.dataset.managers || '').split(/\s+/).filter(Boolean);
   }
 
-  handleResize() {
-    // Close mobile menu on resize to desktop
-    if (window.innerWidth >= 768) {
-      this.closeMobileMenu();
-    }
+  /**
+   * Data source a page asks for: DEMO_DATA_SOURCE with <body data-source="demo">,
+   * DEFAULT_DATA_SOURCE otherwise
+   * @param {Document} doc - Page document
+   * @returns {Object} APIService options
+   */
+  static getDataSource(doc) {
+    return doc.body?.dataset.source === 'demo' ? DEMO_DATA_SOURCE : DEFAULT_DATA_SOURCE;
   }
 
-  handleOnline() {
-    Utils.showToast('Đã kết nối internet', 'success');
-    this.loadResults(true);
+  /**
+   * Start the managers in order. One failing manager does not stop the others.
+   */
+  async init() {
+    const { generation } = this;
+
+    for (const name of this.managers) {
+      if (this.generation !== generation) return;
+
+      try {
+        await this.registry.start(name);
+      } catch (error) {
+        if (this.generation !== generation) return;
+        console.error(`Failed to start the ${name} manager:`, error);
+      }
+    }
   }
 
-  handleOffline() {
-    Utils.showToast('Mất kết nối internet', 'warning');
+  /**
+   * @param {string} name - Manager name
+   * @returns {Object|null} Running manager
+   */
+  get(name) {
+    return this.registry.get(name);
   }
 
-  // Cleanup method
-  destroy() {
-    this.observer?.disconnect();
-    
-    // Clear all event listeners and timers
-    document.removeEventListener('scroll', this.handleScroll);
-    document.removeEventListener('resize', this.handleResize);
-    window.removeEventListener('online', this.handleOnline);
-    window.removeEventListener('offline', this.handleOffline);
+  async destroy() {
+    this.generation++;
+    await this.registry.destroy();
   }
 }
 
 // ================================================== //
-// APPLICATION INITIALIZATION                         //
+// EXPORTS                                            //
 // ================================================== //
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  window.kqxsApp = new KQXSApp();
-});
-
-// Cleanup on page unload
-window.addEventListener('beforeunload', () => {
-  window.kqxsApp?.destroy();
-});
-
-// Export for external use
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    KQXSApp,
-    Utils,
-    CacheManager,
-    APIService,
-    ThemeManager,
-    AccessibilityManager,
-    LotteryRenderer
-  };
-}
+export {
+  KQXSApp,
+  ManagerRegistry,
+  MANAGER_DEFINITIONS,
+  AppState,
+  ResultsManager,
+  RegionResultsManager,
+  StatisticsManager,
+  GanManager,
+  ArchiveManager,
+  Utils,
+  CACHE_CONFIG,
+  PersistentStore,
+  IndexedDBStore,
+  LocalStorageStore,
+  createPersistentStore,
+  CacheManager,
+  RestAdapter,
+  StaticJSONAdapter,
+  FixtureAdapter,
+  MockAdapter,
+  DEFAULT_DATA_SOURCE,
+  DEMO_DATA_SOURCE,
+  REQUEST_CONFIG,
+  RequestError,
+  APIService,
+  PROVINCES,
+  WEEKDAY_NAMES,
+  DEFAULT_DRAW_TIMES,
+  DRAW_UTC_OFFSET_MINUTES,
+  DRAW_SUSPENSIONS,
+  DrawSchedule,
+  PRIZE_SCHEMAS,
+  ResultModel,
+  ResultValidationError,
+  PROVENANCE,
+  ResultProvenance,
+  LotoAnalyzer,
+  LotteryStatistics,
+  LotoGanAnalyzer,
+  ARCHIVE_CONFIG,
+  ResultArchive,
+  EXPORT_CONFIG,
+  ResultExport,
+  PRIZE_PAYOUTS,
+  TicketChecker,
+  WATCHLIST_CONFIG,
+  Watchlist,
+  LIVE_CONFIG,
+  LiveDrawService,
+  OFFLINE_CONFIG,
+  OfflineManager,
+  NOTIFY_CONFIG,
+  ResultAlerts,
+  LocalPushBackend,
+  WebPushBackend,
+  NotificationManager,
+  Router,
+  SEO_CONFIG,
+  ResultMetadata,
+  AccessibilityManager,
+  LotteryRenderer,
+  TicketCheckerForm,
+  WatchlistPanel,
+  NotificationSettingsForm
+};
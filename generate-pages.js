@@ -0,0 +1,671 @@
+/**
+ * KQXS Static Page Generator
+ * Builds dated result pages, region index pages, the results section of
+ * sitemap.html, sitemap.xml and an RSS feed from a StaticJSONAdapter file
+ * tree ({data}/YYYY/MM/DD/{region}.json).
+ *
+ * Usage: node generate-pages.js [--data fixtures/results] [--out .] [--site https://kqxs.example.com] [--demo]
+ *
+ * Result tables come from LotteryRenderer.renderToString, so static pages
+ * show the same markup as the live site.
+ */
+
+// Dates are formatted in Vietnam time whatever the build machine's zone is,
+// so the same data always gives the same pages
+process.env.TZ = 'Asia/Ho_Chi_Minh';
+
+const fs = require('fs');
+const path = require('path');
+
+// app.js is an ES module without side effects; Node loads it through require(esm)
+const {
+  APIService,
+  CacheManager,
+  CACHE_CONFIG,
+  DrawSchedule,
+  LotteryRenderer,
+  PRIZE_SCHEMAS,
+  ResultMetadata,
+  SEO_CONFIG,
+  Utils
+} = require('./app.js');
+
+// ================================================== //
+// CONFIGURATION                                      //
+// ================================================== //
+
+const GENERATOR_CONFIG = {
+  data: 'fixtures/results',
+  out: '.',
+  sitemap: 'sitemap.html',
+  // sitemap.html content between these markers is replaced on every run
+  sitemapStart: '<!-- generated:results -->',
+  sitemapEnd: '<!-- /generated:results -->',
+  sitemapLatest: 14,  // Days linked from sitemap.html
+  site: SEO_CONFIG.siteURL,
+  sitemapXML: 'sitemap.xml',
+  feed: 'rss.xml',
+  feedItems: 30,      // Region results in rss.xml
+  // Hand-written pages listed in sitemap.xml
+  sitePages: [
+    'index.html',
+    'north.html',
+    'central.html',
+    'south.html',
+    'archive.html',
+    'statistics.html',
+    'prediction.html',
+    'soi-cau.html',
+    'sitemap.html'
+  ]
+};
+
+const REGION_META = {
+  north: { icon: 'pagoda', title: 'Miền Bắc' },
+  central: { icon: 'crown', title: 'Miền Trung' },
+  south: { icon: 'palm-tree', title: 'Miền Nam' }
+};
+
+// ================================================== //
+// DATA SOURCE                                        //
+// ================================================== //
+
+class DirectoryAdapter {
+  /**
+   * Read the StaticJSONAdapter file tree from disk
+   * @param {string} root - Root of the file tree
+   * @param {Object} options - { demo }: the files hold demo numbers
+   */
+  constructor(root, { demo = false } = {}) {
+    this.name = 'directory';
+    this.root = root;
+    this.demo = demo;
+  }
+
+  getFile(date, region) {
+    const [year, month, day] = date.split('-');
+    return path.join(this.root, year, month, day, `${region}.json`);
+  }
+
+  /**
+   * List the dates present in the tree
+   * @returns {Array<string>} Date keys, oldest first
+   */
+  listDates() {
+    const list = (dir) => fs.existsSync(dir)
+      ? fs.readdirSync(dir).filter(name => /^\d+$/.test(name)).sort()
+      : [];
+
+    return list(this.root).flatMap(year =>
+      list(path.join(this.root, year)).flatMap(month =>
+        list(path.join(this.root, year, month)).map(day => `${year}-${month}-${day}`)
+      )
+    );
+  }
+
+  /**
+   * List the regions with a file on a date
+   * @param {string} date - Date key
+   * @returns {Array<string>} Region codes in PRIZE_SCHEMAS order
+   */
+  listRegions(date) {
+    return Object.keys(PRIZE_SCHEMAS).filter(region => fs.existsSync(this.getFile(date, region)));
+  }
+
+  async fetchResults(date, region) {
+    const regions = region === 'all' ? this.listRegions(date) : [region];
+    return Object.fromEntries(regions.map(key => [
+      key,
+      JSON.parse(fs.readFileSync(this.getFile(date, key), 'utf8'))
+    ]));
+  }
+}
+
+/**
+ * Load and validate every result in the tree through APIService, the same
+ * path the pages use
+ * @param {DirectoryAdapter} adapter - Data source
+ * @returns {Promise<Object>} { 'YYYY-MM-DD': { north: {...}, ... } }, oldest day first
+ * @throws {ResultValidationError} When a file does not match its prize schema
+ */
+async function loadResults(adapter) {
+  const apiService = new APIService({
+    adapter,
+    cache: new CacheManager(CACHE_CONFIG.memoryEntries, CACHE_CONFIG.defaultTTL, null)
+  });
+  const days = {};
+
+  for (const date of adapter.listDates()) {
+    const regions = adapter.listRegions(date);
+    if (regions.length === 0) continue;
+
+    days[date] = {};
+    for (const region of regions) {
+      const results = await apiService.getLotteryResults(date, region);
+      days[date][region] = results[region];
+    }
+  }
+
+  return days;
+}
+
+// ================================================== //
+// PAGE NAMES                                         //
+// ================================================== //
+
+const PageNames = {
+  /**
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {string} DD-MM-YYYY
+   */
+  toSlugDate(date) {
+    return date.split('-').reverse().join('-');
+  },
+
+  /**
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {string} DD/MM/YYYY
+   */
+  toDisplayDate(date) {
+    return date.split('-').reverse().join('/');
+  },
+
+  getSlug(region) {
+    return PRIZE_SCHEMAS[region].code.toLowerCase();
+  },
+
+  // All regions of a day: results-30-07-2025.html, the canonical URL of the
+  // day on the home page too (ResultMetadata.getViewURL)
+  day(date) {
+    return ResultMetadata.getPageName({ date, region: 'all' });
+  },
+
+  // One region of a day: results-xsmb-30-07-2025.html
+  region(region, date) {
+    return ResultMetadata.getPageName({ date, region });
+  },
+
+  // Every day of a region: results-xsmb.html
+  index(region) {
+    return `results-${this.getSlug(region)}.html`;
+  }
+};
+
+// ================================================== //
+// RENDERING                                          //
+// ================================================== //
+
+/**
+ * Metadata of a page without results, in the shape of ResultMetadata.build
+ * @param {string} name - Page file name
+ * @param {Object} text - { title, description }
+ * @param {string} site - Site URL
+ * @returns {Object} Page metadata
+ */
+function getPageMetadata(name, { title, description }, site) {
+  const url = `${site}/${name}`;
+  return {
+    title: `${title} | ${SEO_CONFIG.siteName}`,
+    description,
+    canonical: url,
+    og: {
+      type: 'website',
+      title,
+      description,
+      url,
+      site_name: SEO_CONFIG.siteName,
+      image: SEO_CONFIG.image,
+      locale: 'vi_VN'
+    }
+  };
+}
+
+/**
+ * Wrap content in the site layout
+ * @param {Object} page - { meta, theme, breadcrumb: [{ label, href }], heading, subtitle, content }
+ * @returns {string} HTML document
+ */
+function renderLayout({ meta, theme, breadcrumb, heading, subtitle, content }) {
+  const crumbs = [{ label: 'Trang chủ', href: 'index.html' }, ...breadcrumb]
+    .map(crumb => crumb.href
+      ? `<li><a href="${crumb.href}" class="text-blue-600 hover:text-blue-800">${crumb.label}</a></li>`
+      : `<li><span class="text-gray-700">${crumb.label}</span></li>`)
+    .join('\n                <li class="text-gray-500">/</li>\n                ');
+
+  return `<!DOCTYPE html>
+<html lang="vi">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    ${ResultMetadata.renderHead(meta)}
+    <link rel="alternate" type="application/rss+xml" title="${SEO_CONFIG.siteName}" href="${GENERATOR_CONFIG.feed}">
+    <!-- Generated by generate-pages.js - do not edit by hand -->
+
+    <!-- CSS -->
+    <script src="https://cdn.tailwindcss.com"></script>
+    <link rel="stylesheet" href="./design-system.css">
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+</head>
+
+<body class="theme-${theme} bg-gray-50 min-h-screen font-sans">
+    <!-- Header -->
+    <header class="gradient-primary text-white shadow-lg sticky top-0 z-40" role="banner">
+        <div class="container mx-auto px-3 sm:px-4 py-3 sm:py-4">
+            <div class="flex items-center justify-between">
+                <a href="index.html" class="flex items-center space-x-2 sm:space-x-3">
+                    <div class="bg-white text-primary p-1.5 sm:p-2 rounded-lg shadow-md">
+                        <i class="fas fa-dice text-lg sm:text-2xl" aria-hidden="true"></i>
+                    </div>
+                    <span class="text-lg sm:text-xl md:text-2xl font-bold tracking-tight">KQXS 3 MIỀN</span>
+                </a>
+
+                <nav class="hidden md:flex items-center space-x-1 lg:space-x-2" role="navigation">
+${Object.keys(PRIZE_SCHEMAS).map(region => `                    <a href="${PageNames.index(region)}" class="flex items-center px-2 lg:px-3 py-2 rounded-lg hover:bg-white/10 transition-colors">
+                        <i class="fas fa-${REGION_META[region].icon} mr-1 lg:mr-2" aria-hidden="true"></i>
+                        <span>${PRIZE_SCHEMAS[region].code}</span>
+                    </a>`).join('\n')}
+                </nav>
+            </div>
+        </div>
+    </header>
+
+    <!-- Breadcrumb -->
+    <nav class="bg-white shadow-sm py-3" aria-label="Breadcrumb">
+        <div class="container mx-auto px-3 sm:px-4">
+            <ol class="flex items-center space-x-2 text-sm">
+                ${crumbs}
+            </ol>
+        </div>
+    </nav>
+
+    <!-- Main Content -->
+    <main id="main-content" class="py-6 sm:py-8">
+        <div class="container mx-auto px-3 sm:px-4">
+            <div class="text-center mb-8">
+                <h1 class="text-2xl sm:text-3xl font-bold text-gray-800 mb-2">${heading}</h1>
+                <p class="text-gray-600">${subtitle}</p>
+            </div>
+
+${content}
+        </div>
+    </main>
+
+    <!-- Footer -->
+    <footer class="bg-gradient-to-r from-gray-900 to-gray-800 text-white py-8 mt-12">
+        <div class="container mx-auto px-3 sm:px-4 text-center">
+            <p class="text-gray-300 mb-4">© 2025 KQXS 3 Miền. Cung cấp kết quả xổ số nhanh chóng, chính xác.</p>
+            <div class="flex justify-center space-x-4">
+                <a href="index.html" class="text-gray-300 hover:text-white">Trang chủ</a>
+                <a href="archive.html" class="text-gray-300 hover:text-white">Lưu trữ</a>
+                <a href="sitemap.html" class="text-gray-300 hover:text-white">Sơ đồ trang</a>
+            </div>
+        </div>
+    </footer>
+</body>
+</html>
+`;
+}
+
+/**
+ * Previous/next day links
+ * @param {string} date - Current date key
+ * @param {Array<string>} dates - Dates that have a page, oldest first
+ * @param {Function} getHref - date => page name
+ * @returns {string} Navigation markup
+ */
+function renderDateNav(date, dates, getHref) {
+  const index = dates.indexOf(date);
+  const link = (target, label, icon, after) => target
+    ? `<a href="${getHref(target)}" class="flex items-center px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded-lg transition-colors">
+                    ${after ? '' : `<i class="fas fa-${icon} mr-2" aria-hidden="true"></i>`}${label}${after ? `<i class="fas fa-${icon} ml-2" aria-hidden="true"></i>` : ''}
+                </a>`
+    : '<span class="px-4 py-2 text-gray-400" aria-hidden="true">—</span>';
+
+  const previous = dates[index - 1];
+  const next = dates[index + 1];
+
+  return `            <nav class="flex justify-center items-center space-x-4 mb-8" aria-label="Chọn ngày">
+                ${link(previous, previous && PageNames.toDisplayDate(previous).slice(0, 5), 'chevron-left', false)}
+                <span class="px-6 py-2 bg-primary text-white rounded-lg font-medium">${PageNames.toDisplayDate(date)}</span>
+                ${link(next, next && PageNames.toDisplayDate(next).slice(0, 5), 'chevron-right', true)}
+            </nav>`;
+}
+
+/**
+ * Special prize of each province, e.g. "Hà Nội: 12345"
+ * @param {Object} regionData - Normalized region result
+ * @returns {string} Summary text
+ */
+function describeSpecialPrizes(regionData) {
+  if (regionData.suspended) {
+    return `Tạm ngưng quay thưởng${regionData.reason ? ` - ${regionData.reason}` : ''}`;
+  }
+
+  return regionData.provinces
+    .map(province => `${province.name}: ${province.prizes.find(prize => prize.tier === 'special').numbers[0] ?? '…'}`)
+    .join(', ');
+}
+
+// ================================================== //
+// PAGES                                              //
+// ================================================== //
+
+function buildDayPage(date, results, dates, site) {
+  const display = PageNames.toDisplayDate(date);
+  const regions = Object.keys(results);
+  const weekday = results[regions[0]].weekday;
+  const links = regions.map(region => `<a href="${PageNames.region(region, date)}" class="text-blue-600 hover:text-blue-800">${PRIZE_SCHEMAS[region].code} ${display}</a>`);
+
+  return renderLayout({
+    meta: ResultMetadata.build(results, { date, region: 'all', url: `${site}/${PageNames.day(date)}` }),
+    theme: 'all',
+    breadcrumb: [{ label: `Kết quả ${display}` }],
+    heading: `Kết Quả Xổ Số ngày ${display}`,
+    subtitle: weekday,
+    content: `${renderDateNav(date, dates, day => PageNames.day(day))}
+
+            <div class="static-results space-y-6">
+${LotteryRenderer.renderToString(results, 'all')}
+            </div>
+
+            <p class="mt-6 text-center text-sm text-gray-600">Xem riêng: ${links.join(' · ')}</p>`
+  });
+}
+
+function buildRegionPage(region, date, regionData, dates, site) {
+  const { code, name } = PRIZE_SCHEMAS[region];
+  const display = PageNames.toDisplayDate(date);
+
+  return renderLayout({
+    // Search snippets show the description without the page's banner, so
+    // ResultMetadata labels results that are not authoritative
+    meta: ResultMetadata.build({ [region]: regionData }, {
+      date,
+      region,
+      url: `${site}/${PageNames.region(region, date)}`
+    }),
+    theme: region,
+    breadcrumb: [
+      { label: code, href: PageNames.index(region) },
+      { label: display }
+    ],
+    heading: `${code} - Kết quả xổ số ${name} ngày ${display}`,
+    subtitle: regionData.weekday,
+    content: `${renderDateNav(date, dates, day => PageNames.region(region, day))}
+
+            <div class="static-results">
+${LotteryRenderer.renderToString({ [region]: regionData }, region)}
+            </div>
+
+            <p class="mt-6 text-center text-sm text-gray-600"><a href="${PageNames.day(date)}" class="text-blue-600 hover:text-blue-800">Kết quả 3 miền ngày ${display}</a></p>`
+  });
+}
+
+function buildRegionIndex(region, days, site) {
+  const { code, name } = PRIZE_SCHEMAS[region];
+  const dates = Object.keys(days).filter(date => days[date][region]).reverse();
+
+  const rows = dates.map(date => `                            <tr class="lottery-table__row">
+                                <td><a href="${PageNames.region(region, date)}" class="text-blue-600 hover:text-blue-800">${PageNames.toDisplayDate(date)}</a></td>
+                                <td>${days[date][region].weekday}</td>
+                                <td>${Utils.escapeHTML(describeSpecialPrizes(days[date][region]))}</td>
+                            </tr>`).join('\n');
+
+  // The table lists numbers outside the result cards, so it needs its own label
+  const notice = LotteryRenderer.provenanceNoticeHTML(dates.map(date => days[date][region]));
+
+  return renderLayout({
+    meta: getPageMetadata(PageNames.index(region), {
+      title: `${code} - Kết quả xổ số ${name} theo ngày`,
+      description: `Kết quả ${code} các ngày ${dates.map(PageNames.toDisplayDate).slice(0, 3).join(', ')}`
+    }, site),
+    theme: region,
+    breadcrumb: [{ label: code }],
+    heading: `${code} - Kết quả xổ số ${name}`,
+    subtitle: `${dates.length} kỳ quay`,
+    content: `${notice ? `            ${notice}\n` : ''}            <div class="card theme-${region}">
+                <div class="card__body">
+                    <table class="lottery-table">
+                        <thead class="lottery-table__header">
+                            <tr>
+                                <th scope="col">Ngày</th>
+                                <th scope="col">Thứ</th>
+                                <th scope="col">Giải đặc biệt</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+${rows}
+                        </tbody>
+                    </table>
+                </div>
+            </div>`
+  });
+}
+
+/**
+ * Results section of sitemap.html: region indexes and the latest days
+ * @param {Object} days - Loaded results by date
+ * @returns {string} Section markup
+ */
+function buildSitemapSection(days) {
+  const latest = Object.keys(days).reverse().slice(0, GENERATOR_CONFIG.sitemapLatest);
+
+  const regionLinks = Object.keys(PRIZE_SCHEMAS).map(region => `                    <a href="${PageNames.index(region)}" class="group bg-gray-50 hover:bg-red-50 border border-gray-200 hover:border-red-300 rounded-lg p-4 transition-all">
+                        <h4 class="font-bold text-gray-800 group-hover:text-red-600">
+                            <i class="fas fa-${REGION_META[region].icon} mr-2"></i>${PRIZE_SCHEMAS[region].code} - ${REGION_META[region].title}
+                        </h4>
+                        <p class="text-xs text-gray-600">${PageNames.index(region)}</p>
+                    </a>`).join('\n');
+
+  const dayLinks = latest.map(date => `                    <li>
+                        <a href="${PageNames.day(date)}" class="text-blue-600 hover:text-blue-800">${PageNames.toDisplayDate(date)}</a>
+                        ${Object.keys(days[date]).map(region => `<a href="${PageNames.region(region, date)}" class="ml-2 text-xs text-gray-600 hover:text-gray-800">${PRIZE_SCHEMAS[region].code}</a>`).join(' ')}
+                    </li>`).join('\n');
+
+  return `${GENERATOR_CONFIG.sitemapStart}
+        <section class="mb-8">
+            <div class="bg-white rounded-lg shadow-lg p-6">
+                <h3 class="text-2xl font-bold text-red-600 mb-6 flex items-center">
+                    <i class="fas fa-calendar-alt mr-3"></i>Kết Quả Theo Ngày
+                </h3>
+                <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+${regionLinks}
+                </div>
+                <ul class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-2 text-sm">
+${dayLinks}
+                </ul>
+            </div>
+        </section>
+        ${GENERATOR_CONFIG.sitemapEnd}`;
+}
+
+/**
+ * Replace the generated section of sitemap.html
+ * @param {string} html - Current sitemap.html
+ * @param {string} section - New section (with markers)
+ * @returns {string} Updated sitemap.html
+ */
+function updateSitemap(html, section) {
+  const start = html.indexOf(GENERATOR_CONFIG.sitemapStart);
+  const end = html.indexOf(GENERATOR_CONFIG.sitemapEnd);
+
+  if (start === -1 || end === -1) {
+    throw new Error(`${GENERATOR_CONFIG.sitemap} is missing the ${GENERATOR_CONFIG.sitemapStart} markers`);
+  }
+
+  return html.slice(0, start) + section + html.slice(end + GENERATOR_CONFIG.sitemapEnd.length);
+}
+
+/**
+ * XML sitemap of the hand-written and generated pages. Only result pages
+ * carry a lastmod, the date of their draw, so the file stays reproducible.
+ * @param {Object} days - Loaded results by date
+ * @param {string} site - Site URL
+ * @returns {string} sitemap.xml
+ */
+function buildSitemapXML(days, site = GENERATOR_CONFIG.site) {
+  const dates = Object.keys(days).reverse();
+  const entry = (name, lastmod) => `  <url>
+    <loc>${Utils.escapeAttribute(`${site}/${name}`)}</loc>${lastmod ? `
+    <lastmod>${lastmod}</lastmod>` : ''}
+  </url>`;
+
+  const entries = [
+    ...GENERATOR_CONFIG.sitePages.map(name => entry(name)),
+    ...Object.keys(PRIZE_SCHEMAS)
+      .filter(region => dates.some(date => days[date][region]))
+      .map(region => entry(PageNames.index(region), dates.find(date => days[date][region]))),
+    ...dates.flatMap(date => [
+      entry(PageNames.day(date), date),
+      ...Object.keys(days[date]).map(region => entry(PageNames.region(region, date), date))
+    ])
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * RSS feed of the latest region results, newest first. Items are dated at
+ * their draw time, so the feed only changes when results do.
+ * @param {Object} days - Loaded results by date
+ * @param {string} site - Site URL
+ * @returns {string} rss.xml
+ */
+function buildFeed(days, site = GENERATOR_CONFIG.site) {
+  const escape = (value) => Utils.escapeAttribute(value);
+  const items = Object.keys(days)
+    .flatMap(date => Object.keys(days[date]).map(region => {
+      const url = `${site}/${PageNames.region(region, date)}`;
+      return {
+        meta: ResultMetadata.build({ [region]: days[date][region] }, { date, region, url }),
+        url,
+        guid: `${PRIZE_SCHEMAS[region].code}-${date}`,
+        drawn: new Date(`${date}T${DrawSchedule.getDrawTime(region)}:00${SEO_CONFIG.timezone}`)
+      };
+    }))
+    .sort((a, b) => b.drawn - a.drawn)
+    .slice(0, GENERATOR_CONFIG.feedItems);
+
+  const itemXML = items.map(({ meta, url, guid, drawn }) => `    <item>
+      <title>${escape(meta.og.title)}</title>
+      <link>${escape(url)}</link>
+      <description>${escape(meta.description)}</description>
+      <guid isPermaLink="false">${guid}</guid>
+      <pubDate>${drawn.toUTCString()}</pubDate>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escape(SEO_CONFIG.siteName)} - Kết quả mới nhất</title>
+    <link>${escape(`${site}/index.html`)}</link>
+    <description>Kết quả xổ số Miền Bắc, Miền Trung và Miền Nam theo từng kỳ quay</description>
+    <language>vi</language>
+    <atom:link href="${escape(`${site}/${GENERATOR_CONFIG.feed}`)}" rel="self" type="application/rss+xml"/>${items.length > 0 ? `
+    <lastBuildDate>${items[0].drawn.toUTCString()}</lastBuildDate>` : ''}
+${itemXML}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Build every page. Output only depends on the data, so generating twice
+ * from the same tree gives identical files.
+ * @param {Object} days - Loaded results by date (see loadResults)
+ * @param {string} site - Site URL used in canonical links
+ * @returns {Object} { fileName: html } without sitemap.html
+ */
+function buildPages(days, site = GENERATOR_CONFIG.site) {
+  const dates = Object.keys(days);
+  const pages = {};
+
+  dates.forEach(date => {
+    pages[PageNames.day(date)] = buildDayPage(date, days[date], dates, site);
+  });
+
+  Object.keys(PRIZE_SCHEMAS).forEach(region => {
+    const regionDates = dates.filter(date => days[date][region]);
+    if (regionDates.length === 0) return;
+
+    regionDates.forEach(date => {
+      pages[PageNames.region(region, date)] = buildRegionPage(region, date, days[date][region], regionDates, site);
+    });
+    pages[PageNames.index(region)] = buildRegionIndex(region, days, site);
+  });
+
+  return pages;
+}
+
+// ================================================== //
+// COMMAND LINE                                       //
+// ================================================== //
+
+function parseArgs(argv) {
+  const options = {
+    data: GENERATOR_CONFIG.data,
+    out: GENERATOR_CONFIG.out,
+    site: GENERATOR_CONFIG.site,
+    demo: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--demo') {
+      options.demo = true;
+    } else if (argv[i] === '--data' || argv[i] === '--out') {
+      options[argv[i].slice(2)] = argv[++i];
+    } else if (argv[i] === '--site') {
+      options.site = argv[++i].replace(/\/+$/, '');
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const days = await loadResults(new DirectoryAdapter(options.data, { demo: options.demo }));
+  if (Object.keys(days).length === 0) {
+    throw new Error(`No results found in ${options.data}`);
+  }
+
+  const pages = buildPages(days, options.site);
+  fs.mkdirSync(options.out, { recursive: true });
+  Object.entries(pages).forEach(([name, html]) => {
+    fs.writeFileSync(path.join(options.out, name), html);
+  });
+
+  // Start from the output's sitemap.html if there is one, else the repo's
+  const sitemap = path.join(options.out, GENERATOR_CONFIG.sitemap);
+  const source = fs.existsSync(sitemap) ? sitemap : path.join(__dirname, GENERATOR_CONFIG.sitemap);
+  fs.writeFileSync(sitemap, updateSitemap(fs.readFileSync(source, 'utf8'), buildSitemapSection(days)));
+  fs.writeFileSync(path.join(options.out, GENERATOR_CONFIG.sitemapXML), buildSitemapXML(days, options.site));
+  fs.writeFileSync(path.join(options.out, GENERATOR_CONFIG.feed), buildFeed(days, options.site));
+
+  console.log(`Generated ${Object.keys(pages).length} pages, ${GENERATOR_CONFIG.sitemap}, ${GENERATOR_CONFIG.sitemapXML} and ${GENERATOR_CONFIG.feed} in ${options.out}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error.errors ? `${error.message}:\n- ${error.errors.join('\n- ')}` : error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  GENERATOR_CONFIG,
+  DirectoryAdapter,
+  PageNames,
+  loadResults,
+  buildPages,
+  buildSitemapSection,
+  updateSitemap,
+  buildSitemapXML,
+  buildFeed
+};
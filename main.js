@@ -0,0 +1,14 @@
+/**
+ * KQXS page entry point
+ * Starts the managers a page lists in <body data-managers="...">, e.g.
+ * "theme animation ui accessibility results". Dependencies such as the
+ * API service are started automatically (see MANAGER_DEFINITIONS in app.js).
+ */
+
+import { KQXSApp } from './app.js';
+
+const app = new KQXSApp({ managers: KQXSApp.getDeclaredManagers(document) });
+app.init();
+
+// Cleanup on page unload
+window.addEventListener('beforeunload', () => app.destroy());
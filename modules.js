@@ -1,6 +1,9 @@
 /**
  * KQXS Theme Manager - Professional Module
  * Quản lý theme và tương tác cho hệ thống KQXS 3 miền
+ *
+ * ES module: các manager không tự khởi tạo. KQXSApp (app.js) tạo chúng qua
+ * ManagerRegistry, gọi init() và destroy() theo vòng đời của trang.
  */
 
 // ==================== CONSTANTS ====================
@@ -55,11 +58,198 @@ const THEME_CONFIG = {
     }
 };
 
+// ==================== DISPOSABLES ====================
+/**
+ * Gom mọi thứ cần dọn khi một manager bị huỷ: listener, observer, timer,
+ * phần tử tạm (tooltip...). Mỗi manager giữ một Disposables và gọi dispose()
+ * trong destroy(), nên huỷ rồi khởi tạo lại không để sót listener nào.
+ */
+class Disposables {
+    constructor() {
+        this.items = new Set();
+    }
+
+    /**
+     * Đăng ký một hàm dọn dẹp
+     * @param {Function} dispose - Hàm dọn dẹp
+     * @returns {Function} Hàm dọn sớm (chạy dispose và bỏ đăng ký)
+     */
+    add(dispose) {
+        const item = () => {
+            if (!this.items.delete(item)) return;
+            dispose();
+        };
+        this.items.add(item);
+        return item;
+    }
+
+    /**
+     * Gắn listener; hàm debounce/throttle còn chờ cũng bị huỷ khi dọn
+     * @returns {Function} Hàm gỡ listener
+     */
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        return this.add(() => {
+            target.removeEventListener(type, handler, options);
+            handler.cancel?.();
+        });
+    }
+
+    /**
+     * setTimeout tự bỏ đăng ký sau khi chạy
+     * @returns {Function} Hàm huỷ timer
+     */
+    setTimeout(callback, delay) {
+        const release = this.add(() => clearTimeout(timer));
+        const timer = setTimeout(() => {
+            this.items.delete(release);
+            callback();
+        }, delay);
+        return release;
+    }
+
+    /**
+     * @returns {Function} Hàm huỷ interval
+     */
+    setInterval(callback, delay) {
+        const timer = setInterval(callback, delay);
+        return this.add(() => clearInterval(timer));
+    }
+
+    /**
+     * requestAnimationFrame tự bỏ đăng ký sau khi chạy
+     * @returns {Function} Hàm huỷ frame
+     */
+    requestAnimationFrame(callback) {
+        const release = this.add(() => cancelAnimationFrame(frame));
+        const frame = requestAnimationFrame((time) => {
+            this.items.delete(release);
+            callback(time);
+        });
+        return release;
+    }
+
+    /**
+     * Ngắt observer (IntersectionObserver, PerformanceObserver...) khi dọn
+     * @returns {Object} Chính observer đó
+     */
+    observe(observer) {
+        this.add(() => observer.disconnect());
+        return observer;
+    }
+
+    /**
+     * Gỡ phần tử khỏi trang khi dọn
+     * @returns {Function} Hàm gỡ sớm
+     */
+    element(element) {
+        return this.add(() => element.remove());
+    }
+
+    /**
+     * Dọn tất cả, theo thứ tự ngược với lúc đăng ký
+     */
+    dispose() {
+        [...this.items].reverse().forEach(item => {
+            try {
+                item();
+            } catch (error) {
+                console.error('Dispose failed:', error);
+            }
+        });
+    }
+
+    get size() {
+        return this.items.size;
+    }
+}
+
+// ==================== STORE ====================
+/**
+ * Kho trạng thái dùng chung: các manager đọc bằng getState(), đổi bằng
+ * setState() và phản ứng qua subscribe()/select() thay vì tự nghe DOM.
+ */
+class Store {
+    constructor(initialState = {}) {
+        this.state = { ...initialState };
+        this.listeners = new Set();
+    }
+
+    /**
+     * So sánh nông: giá trị giống nhau hoặc hai object có cùng các khoá và giá trị
+     */
+    static shallowEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length &&
+            keys.every(key => Object.is(a[key], b[key]));
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Gộp thay đổi vào trạng thái; chỉ báo cho listener khi có khoá thực sự đổi
+     * @param {Object} changes - Các khoá cần đổi
+     */
+    setState(changes) {
+        const previous = this.state;
+        const changed = Object.keys(changes).some(key => !Object.is(previous[key], changes[key]));
+        if (!changed) return;
+
+        this.state = { ...previous, ...changes };
+        [...this.listeners].forEach(listener => {
+            try {
+                listener(this.state, previous);
+            } catch (error) {
+                console.error('Store listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * @param {Function} listener - (state, previousState)
+     * @returns {Function} Hàm huỷ đăng ký
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Chỉ theo dõi một phần trạng thái
+     * @param {Function} selector - state => giá trị cần theo dõi
+     * @param {Function} listener - (giá trị, giá trị cũ, state), gọi khi giá trị đổi (so sánh nông)
+     * @param {Object} options - { immediate: gọi ngay với giá trị hiện tại }
+     * @returns {Function} Hàm huỷ đăng ký
+     */
+    select(selector, listener, { immediate = false } = {}) {
+        let current = selector(this.state);
+        if (immediate) listener(current, undefined, this.state);
+
+        return this.subscribe((state) => {
+            const next = selector(state);
+            if (Store.shallowEqual(next, current)) return;
+
+            const previous = current;
+            current = next;
+            listener(next, previous, state);
+        });
+    }
+}
+
 // ==================== THEME MANAGER CLASS ====================
 class ThemeManager {
-    constructor() {
-        this.currentTheme = this.detectTheme();
-        this.init();
+    /**
+     * @param {Object} options - { store: Store của trang; theme theo state.region }
+     */
+    constructor({ store = null } = {}) {
+        this.currentTheme = null;
+        this.store = store;
+        this.disposables = new Disposables();
     }
 
     /**
@@ -77,11 +267,19 @@ class ThemeManager {
      * Khởi tạo theme manager
      */
     init() {
-        this.applyTheme(this.currentTheme);
+        this.applyTheme(this.detectTheme());
         this.bindEvents();
         this.updateDynamicContent();
     }
 
+    /**
+     * Gỡ các listener đã gắn
+     */
+    destroy() {
+        this.disposables.dispose();
+        document.body.style.transition = '';
+    }
+
     /**
      * Áp dụng theme
      */
@@ -139,10 +337,16 @@ class ThemeManager {
      * Bind events
      */
     bindEvents() {
-        // Region selector
+        // Miền đang xem: theo store nếu có, nếu không thì nghe trực tiếp bộ chọn miền
         const regionSelector = document.getElementById('region-selector');
-        if (regionSelector) {
-            regionSelector.addEventListener('change', (e) => {
+        if (this.store) {
+            this.disposables.add(this.store.select(state => state.region, (region) => {
+                if (THEME_CONFIG[region]) {
+                    this.switchTheme(region);
+                }
+            }, { immediate: true }));
+        } else if (regionSelector) {
+            this.disposables.listen(regionSelector, 'change', (e) => {
                 const selectedRegion = e.target.value;
                 if (THEME_CONFIG[selectedRegion]) {
                     this.switchTheme(selectedRegion);
@@ -151,7 +355,7 @@ class ThemeManager {
         }
 
         // Theme switcher buttons
-        document.addEventListener('click', (e) => {
+        this.disposables.listen(document, 'click', (e) => {
             if (e.target.matches('[data-theme]')) {
                 const theme = e.target.getAttribute('data-theme');
                 this.switchTheme(theme);
@@ -172,7 +376,7 @@ class ThemeManager {
         this.updateDynamicContent();
         
         // Remove transition after completion
-        setTimeout(() => {
+        this.disposables.setTimeout(() => {
             document.body.style.transition = '';
         }, 300);
 
@@ -197,7 +401,8 @@ class ThemeManager {
 // ==================== ANIMATION MANAGER ====================
 class AnimationManager {
     constructor() {
-        this.init();
+        this.observer = null;
+        this.disposables = new Disposables();
     }
 
     init() {
@@ -205,16 +410,21 @@ class AnimationManager {
         this.setupLoadingAnimations();
     }
 
+    destroy() {
+        this.disposables.dispose();
+        this.observer = null;
+    }
+
     /**
      * Setup Intersection Observer for scroll animations
      */
     setupIntersectionObserver() {
-        const observer = new IntersectionObserver(
+        this.observer = this.disposables.observe(new IntersectionObserver(
             (entries) => {
                 entries.forEach(entry => {
                     if (entry.isIntersecting) {
                         entry.target.classList.add('animate-fade-in');
-                        observer.unobserve(entry.target);
+                        this.observer.unobserve(entry.target);
                     }
                 });
             },
@@ -222,11 +432,11 @@ class AnimationManager {
                 threshold: 0.1,
                 rootMargin: '0px 0px -50px 0px'
             }
-        );
+        ));
 
         // Observe elements with animation classes
-        document.querySelectorAll('.animate-on-scroll').forEach(el => {
-            observer.observe(el);
+        document.querySelectorAll('.animate-on-scroll, .card').forEach(el => {
+            this.observer.observe(el);
         });
     }
 
@@ -260,7 +470,7 @@ class AnimationManager {
                 current += step;
                 if (current < target) {
                     counter.textContent = Math.floor(current).toLocaleString('vi-VN');
-                    requestAnimationFrame(updateCounter);
+                    this.disposables.requestAnimationFrame(updateCounter);
                 } else {
                     counter.textContent = target.toLocaleString('vi-VN');
                 }
@@ -294,16 +504,23 @@ class AnimationManager {
 // ==================== UI MANAGER ====================
 class UIManager {
     constructor() {
-        this.init();
+        this.disposables = new Disposables();
     }
 
     init() {
         this.setupMobileMenu();
-        this.setupDatePicker();
+        this.setupHeader();
         this.setupTooltips();
         this.setupModals();
     }
 
+    /**
+     * Gỡ listener và các tooltip đang hiện
+     */
+    destroy() {
+        this.disposables.dispose();
+    }
+
     /**
      * Setup mobile menu
      */
@@ -311,97 +528,86 @@ class UIManager {
         const menuBtn = document.getElementById('mobile-menu-btn');
         const mobileMenu = document.getElementById('mobile-menu');
 
-        if (menuBtn && mobileMenu) {
-            menuBtn.addEventListener('click', () => {
-                const isOpen = !mobileMenu.classList.contains('hidden');
-                
-                if (isOpen) {
-                    mobileMenu.classList.add('hidden');
-                    menuBtn.setAttribute('aria-expanded', 'false');
-                } else {
-                    mobileMenu.classList.remove('hidden');
-                    menuBtn.setAttribute('aria-expanded', 'true');
-                }
-            });
+        if (!menuBtn || !mobileMenu) return;
 
-            // Close menu when clicking outside
-            document.addEventListener('click', (e) => {
-                if (!menuBtn.contains(e.target) && !mobileMenu.contains(e.target)) {
-                    mobileMenu.classList.add('hidden');
-                    menuBtn.setAttribute('aria-expanded', 'false');
-                }
-            });
-        }
+        this.disposables.listen(menuBtn, 'click', (e) => {
+            e.stopPropagation();
+            this.toggleMobileMenu();
+        });
+
+        // Close menu when clicking outside
+        this.disposables.listen(document, 'click', (e) => {
+            if (!menuBtn.contains(e.target) && !mobileMenu.contains(e.target)) {
+                this.closeMobileMenu();
+            }
+        });
+
+        // Đóng menu khi chuyển sang màn hình desktop
+        this.disposables.listen(window, 'resize', KQXSUtils.debounce(() => {
+            if (window.innerWidth >= 768) {
+                this.closeMobileMenu();
+            }
+        }, 250));
     }
 
-    /**
-     * Setup date picker with current date
-     */
-    setupDatePicker() {
-        const datePicker = document.getElementById('date-picker');
-        if (datePicker) {
-            // Set current date as default
-            const today = new Date();
-            const currentDate = today.toISOString().split('T')[0];
-            datePicker.value = currentDate;
+    toggleMobileMenu() {
+        const mobileMenu = document.getElementById('mobile-menu');
+        const menuBtn = document.getElementById('mobile-menu-btn');
+        const isHidden = mobileMenu.classList.contains('hidden');
 
-            // Set max date to today
-            datePicker.max = currentDate;
+        mobileMenu.classList.toggle('hidden', !isHidden);
+        menuBtn.setAttribute('aria-expanded', isHidden);
 
-            // Handle date change
-            datePicker.addEventListener('change', (e) => {
-                const selectedDate = e.target.value;
-                this.loadResultsForDate(selectedDate);
-            });
+        const icon = menuBtn.querySelector('i');
+        if (icon) {
+            icon.classList.toggle('fa-bars', !isHidden);
+            icon.classList.toggle('fa-times', isHidden);
+        }
+
+        // Focus management
+        if (isHidden) {
+            mobileMenu.querySelector('a')?.focus();
         }
     }
 
-    /**
-     * Load results for specific date
-     */
-    loadResultsForDate(date) {
-        console.log(`Loading results for date: ${date}`);
-        // Implement actual API call here
-        
-        // Show loading
-        window.animationManager?.showLoading();
-        
-        // Simulate API call
-        setTimeout(() => {
-            window.animationManager?.hideLoading();
-            this.displayResults(date);
-        }, 1000);
+    closeMobileMenu() {
+        const mobileMenu = document.getElementById('mobile-menu');
+        const menuBtn = document.getElementById('mobile-menu-btn');
+
+        if (!mobileMenu || mobileMenu.classList.contains('hidden')) return;
+
+        mobileMenu.classList.add('hidden');
+        menuBtn.setAttribute('aria-expanded', 'false');
+
+        const icon = menuBtn.querySelector('i');
+        if (icon) {
+            icon.classList.add('fa-bars');
+            icon.classList.remove('fa-times');
+        }
     }
 
     /**
-     * Display results
+     * Đổ bóng header khi cuộn trang
      */
-    displayResults(date) {
-        const container = document.getElementById('results-container');
-        if (!container) return;
-
-        // Sample result display
-        container.innerHTML = `
-            <div class="card animate-fade-in">
-                <div class="card__header">
-                    <h4 class="card__title">Kết quả ngày ${new Date(date).toLocaleDateString('vi-VN')}</h4>
-                </div>
-                <div class="card__body">
-                    <p class="text-gray-600">Đang cập nhật kết quả...</p>
-                </div>
-            </div>
-        `;
+    setupHeader() {
+        this.disposables.listen(window, 'scroll', KQXSUtils.throttle(() => {
+            const header = document.querySelector('.header');
+            if (header) {
+                header.classList.toggle('header--scrolled', window.scrollY > 10);
+            }
+        }, 16));
     }
 
     /**
      * Setup tooltips
      */
     setupTooltips() {
-        const tooltipElements = document.querySelectorAll('[data-tooltip]');
-        
-        tooltipElements.forEach(element => {
-            element.addEventListener('mouseenter', this.showTooltip.bind(this));
-            element.addEventListener('mouseleave', this.hideTooltip.bind(this));
+        const show = this.showTooltip.bind(this);
+        const hide = this.hideTooltip.bind(this);
+
+        document.querySelectorAll('[data-tooltip]').forEach(element => {
+            this.disposables.listen(element, 'mouseenter', show);
+            this.disposables.listen(element, 'mouseleave', hide);
         });
     }
 
@@ -414,13 +620,13 @@ class UIManager {
         tooltip.style.top = e.pageY - 30 + 'px';
         
         document.body.appendChild(tooltip);
-        e.target._tooltip = tooltip;
+        e.target._removeTooltip = this.disposables.element(tooltip);
     }
 
     hideTooltip(e) {
-        if (e.target._tooltip) {
-            e.target._tooltip.remove();
-            delete e.target._tooltip;
+        if (e.target._removeTooltip) {
+            e.target._removeTooltip();
+            delete e.target._removeTooltip;
         }
     }
 
@@ -429,7 +635,7 @@ class UIManager {
      */
     setupModals() {
         // Modal triggers
-        document.addEventListener('click', (e) => {
+        this.disposables.listen(document, 'click', (e) => {
             if (e.target.matches('[data-modal]')) {
                 const modalId = e.target.getAttribute('data-modal');
                 this.openModal(modalId);
@@ -441,7 +647,7 @@ class UIManager {
         });
 
         // Close modal on escape
-        document.addEventListener('keydown', (e) => {
+        this.disposables.listen(document, 'keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeModal();
             }
@@ -466,22 +672,34 @@ class UIManager {
 }
 
 // ==================== PERFORMANCE MANAGER ====================
+// Số lượt xem gần nhất giữ trong metrics.views; trang mở lâu không làm mảng phình ra
+const PERFORMANCE_MAX_VIEWS = 50;
+
 class PerformanceManager {
-    constructor() {
+    /**
+     * @param {Object} options - { store: Store của trang; ghi lại thời gian tải mỗi lượt xem }
+     */
+    constructor({ store = null } = {}) {
         this.metrics = {};
-        this.init();
+        this.store = store;
+        this.disposables = new Disposables();
     }
 
     init() {
         this.measurePageLoad();
         this.setupPerformanceObserver();
+        this.trackViews();
+    }
+
+    destroy() {
+        this.disposables.dispose();
     }
 
     /**
      * Measure page load performance
      */
     measurePageLoad() {
-        window.addEventListener('load', () => {
+        this.disposables.listen(window, 'load', () => {
             if ('performance' in window) {
                 const perfData = performance.getEntriesByType('navigation')[0];
                 this.metrics.pageLoad = {
@@ -511,7 +729,7 @@ class PerformanceManager {
      */
     setupPerformanceObserver() {
         if ('PerformanceObserver' in window) {
-            const observer = new PerformanceObserver((list) => {
+            const observer = this.disposables.observe(new PerformanceObserver((list) => {
                 list.getEntries().forEach((entry) => {
                     if (entry.entryType === 'largest-contentful-paint') {
                         this.metrics.lcp = Math.round(entry.startTime);
@@ -520,7 +738,7 @@ class PerformanceManager {
                         this.metrics.fid = Math.round(entry.processingStart - entry.startTime);
                     }
                 });
-            });
+            }));
 
             try {
                 observer.observe({ entryTypes: ['largest-contentful-paint', 'first-input'] });
@@ -531,116 +749,42 @@ class PerformanceManager {
     }
 
     /**
-     * Get performance report
+     * Ghi mỗi lượt tải kết quả: ngày, miền, đài, thời gian tải và lỗi nếu có.
+     * Chỉ giữ PERFORMANCE_MAX_VIEWS lượt gần nhất.
      */
-    getReport() {
-        return this.metrics;
-    }
-}
-
-// ==================== MAIN APPLICATION ====================
-class KQXSApp {
-    constructor() {
-        this.themeManager = null;
-        this.animationManager = null;
-        this.uiManager = null;
-        this.performanceManager = null;
-        this.init();
-    }
-
-    /**
-     * Initialize application
-     */
-    init() {
-        // Wait for DOM to be ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => {
-                this.setupManagers();
-            });
-        } else {
-            this.setupManagers();
-        }
-    }
-
-    /**
-     * Setup all managers
-     */
-    setupManagers() {
-        try {
-            this.themeManager = new ThemeManager();
-            this.animationManager = new AnimationManager();
-            this.uiManager = new UIManager();
-            this.performanceManager = new PerformanceManager();
-
-            // Make managers globally accessible
-            window.themeManager = this.themeManager;
-            window.animationManager = this.animationManager;
-            window.uiManager = this.uiManager;
-            window.performanceManager = this.performanceManager;
-
-            console.log('KQXS App initialized successfully');
-            this.bindGlobalEvents();
-
-        } catch (error) {
-            console.error('Error initializing KQXS App:', error);
-        }
-    }
-
-    /**
-     * Bind global events
-     */
-    bindGlobalEvents() {
-        // View results button
-        const viewBtn = document.getElementById('view-results-btn');
-        if (viewBtn) {
-            viewBtn.addEventListener('click', () => {
-                const datePicker = document.getElementById('date-picker');
-                const regionSelector = document.getElementById('region-selector');
-                
-                const date = datePicker?.value || new Date().toISOString().split('T')[0];
-                const region = regionSelector?.value || 'north';
-                
-                this.loadResults(date, region);
-            });
-        }
-
-        // Theme change listener
-        window.addEventListener('themeChanged', (e) => {
-            console.log('Theme changed:', e.detail);
-            // Implement any additional theme change logic here
-        });
-
-        // Error handling
-        window.addEventListener('error', (e) => {
-            console.error('Global error:', e.error);
-        });
-
-        // Unhandled promise rejection
-        window.addEventListener('unhandledrejection', (e) => {
-            console.error('Unhandled promise rejection:', e.reason);
-        });
+    trackViews() {
+        if (!this.store) return;
+
+        this.metrics.views = [];
+        let startedAt = null;
+        this.disposables.add(this.store.select(state => state.loading, (loading, wasLoading, state) => {
+            if (loading) {
+                startedAt = performance.now();
+                return;
+            }
+            if (!wasLoading || startedAt === null) return;
+
+            const view = {
+                date: state.date,
+                region: state.region,
+                province: state.province,
+                refresh: state.refreshing,
+                loadTime: Math.round(performance.now() - startedAt),
+                error: state.error
+            };
+            startedAt = null;
+            this.metrics.views.push(view);
+            if (this.metrics.views.length > PERFORMANCE_MAX_VIEWS) {
+                this.metrics.views.shift();
+            }
+        }));
     }
 
     /**
-     * Load results for date and region
+     * Get performance report
      */
-    loadResults(date, region) {
-        console.log(`Loading results for ${region} on ${date}`);
-        
-        this.animationManager.showLoading();
-        
-        // Simulate API call
-        setTimeout(() => {
-            this.animationManager.hideLoading();
-            
-            // Update URL without refresh
-            const url = new URL(window.location);
-            url.searchParams.set('date', date);
-            url.searchParams.set('region', region);
-            window.history.pushState({}, '', url);
-            
-            this.uiManager.displayResults(date);
-        }, 1000);
+    getReport() {
+        return this.metrics;
     }
 }
 
@@ -665,7 +809,7 @@ const KQXSUtils = {
      */
     debounce(func, wait) {
         let timeout;
-        return function executedFunction(...args) {
+        const executedFunction = function(...args) {
             const later = () => {
                 clearTimeout(timeout);
                 func(...args);
@@ -673,6 +817,9 @@ const KQXSUtils = {
             clearTimeout(timeout);
             timeout = setTimeout(later, wait);
         };
+        // Huỷ lần gọi đang chờ (xem Disposables.listen)
+        executedFunction.cancel = () => clearTimeout(timeout);
+        return executedFunction;
     },
 
     /**
@@ -680,21 +827,32 @@ const KQXSUtils = {
      */
     throttle(func, limit) {
         let inThrottle;
-        return function(...args) {
+        let timeout;
+        const throttled = function(...args) {
             if (!inThrottle) {
                 func.apply(this, args);
                 inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
+                timeout = setTimeout(() => inThrottle = false, limit);
             }
         };
+        throttled.cancel = () => {
+            clearTimeout(timeout);
+            inThrottle = false;
+        };
+        return throttled;
     }
 };
 
-// ==================== INITIALIZE APPLICATION ====================
-// Initialize the app when script loads
-const kqxsApp = new KQXSApp();
-
-// Export for module systems
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { KQXSApp, ThemeManager, AnimationManager, UIManager, PerformanceManager, KQXSUtils };
-}
+// ==================== EXPORTS ====================
+export {
+    Disposables,
+    Store,
+    THEMES,
+    THEME_CONFIG,
+    ThemeManager,
+    AnimationManager,
+    UIManager,
+    PERFORMANCE_MAX_VIEWS,
+    PerformanceManager,
+    KQXSUtils
+};
@@ -0,0 +1,310 @@
+/**
+ * KQXS Local Server
+ * Serves the site with the results of index.html already rendered, so the
+ * first response contains the result tables and the metadata describing
+ * them. ResultsManager then hydrates that markup instead of rendering it again
+ * (see LotteryRenderer#render).
+ *
+ * Usage: node server.js [--data fixtures/results] [--port 8080] [--demo]
+ *
+ * Results come from a StaticJSONAdapter file tree and are also served at
+ * /api/results, so the page's own request returns the same data. With --demo
+ * the API marks its responses as demo data (REQUEST_CONFIG.demoHeader) and the
+ * page labels the numbers. The API and scripts may be read cross-origin, for
+ * the <kqxs-results> widget.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Sets the Vietnam time zone, like the generator, before any date is formatted
+const { GENERATOR_CONFIG, DirectoryAdapter } = require('./generate-pages.js');
+const {
+  APIService,
+  CacheManager,
+  CACHE_CONFIG,
+  LotteryRenderer,
+  REQUEST_CONFIG,
+  ResultMetadata,
+  Router,
+  Utils
+} = require('./app.js');
+
+// ================================================== //
+// CONFIGURATION                                      //
+// ================================================== //
+
+const SERVER_CONFIG = {
+  port: 8080,
+  root: __dirname,
+  containerId: 'results-container',
+  // Only top-level files with these extensions are served...
+  publicExtensions: ['.html', '.css', '.js', '.xml', '.svg', '.png', '.ico'],
+  // ...except the Node tooling
+  privateFiles: ['server.js', 'generate-pages.js']
+};
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+// ================================================== //
+// SERVER-SIDE RENDERING                              //
+// ================================================== //
+
+/**
+ * Replace the content of an element and add attributes to it
+ * @param {string} html - Page HTML
+ * @param {string} id - Element id (the element must be a div)
+ * @param {string} attributes - Attribute text added to the opening tag
+ * @param {string} content - New inner HTML
+ * @returns {string|null} Updated page, or null if the element is missing
+ */
+function replaceElementContent(html, id, attributes, content) {
+  const start = html.indexOf(`<div id="${id}"`);
+  if (start === -1) return null;
+
+  const openEnd = html.indexOf('>', start) + 1;
+  const tags = /<div\b|<\/div>/g;
+  tags.lastIndex = openEnd;
+
+  let depth = 1;
+  let match;
+  while (depth > 0 && (match = tags.exec(html))) {
+    depth += match[0] === '</div>' ? -1 : 1;
+  }
+  if (depth > 0) return null;
+
+  return `${html.slice(0, openEnd - 1)}${attributes}>${content}${html.slice(match.index)}`;
+}
+
+/**
+ * Replace the title, description, canonical link and Open Graph tags of a page
+ * @param {string} html - Page HTML
+ * @param {Object} meta - See ResultMetadata.build
+ * @returns {string} Updated page
+ */
+function replaceHeadMetadata(html, meta) {
+  const stripped = html
+    .replace(/[ \t]*<title>[\s\S]*?<\/title>\n?/, '')
+    .replace(/[ \t]*<meta name="description"[^>]*>\n?/, '')
+    .replace(/[ \t]*<link rel="canonical"[^>]*>\n?/, '')
+    .replace(/[ \t]*<meta property="og:[^>]*>\n?/g, '');
+
+  return stripped.replace('</head>', `    ${ResultMetadata.renderHead(meta)}\n</head>`);
+}
+
+/**
+ * Render the results a URL asks for into index.html
+ * @param {string} html - index.html
+ * @param {string} url - Request URL
+ * @param {DirectoryAdapter} adapter - Data source
+ * @returns {Promise<string>} Page with rendered results, or unchanged if there are none
+ */
+async function renderIndex(html, url, adapter) {
+  // A province route always carries its region (see Router.parse)
+  const state = { ...Router.getDefaultState(), ...Router.parse(url) };
+
+  let results;
+  try {
+    const apiService = new APIService({
+      adapter,
+      cache: new CacheManager(CACHE_CONFIG.memoryEntries, CACHE_CONFIG.defaultTTL, null)
+    });
+    results = await apiService.getLotteryResults(state.date, state.region);
+  } catch (error) {
+    results = {};
+  }
+
+  // No data for this day: the page loads it in the browser as usual
+  if (Object.keys(results).length === 0) {
+    return html;
+  }
+
+  // ResultsManager renders with retry and export buttons, so the markup matches only with them
+  const markup = LotteryRenderer.renderToString(results, state.region, {
+    province: state.province,
+    retry: true,
+    exports: true
+  });
+
+  const page = replaceElementContent(
+    html,
+    SERVER_CONFIG.containerId,
+    ` data-ssr="${Utils.hashString(markup)}"`,
+    markup
+  );
+  if (!page) return html;
+
+  return replaceHeadMetadata(page, ResultMetadata.build(results, {
+    ...state,
+    url: ResultMetadata.getViewURL(state)
+  }));
+}
+
+// ================================================== //
+// REQUEST HANDLING                                   //
+// ================================================== //
+
+/**
+ * Partner pages load the widget (widget.js and the modules it imports), its
+ * stylesheet and the API from another origin
+ * @param {string} pathname - Request path
+ * @returns {boolean} Whether any origin may read the response
+ */
+function allowsCrossOrigin(pathname) {
+  return pathname.startsWith('/api/') || ['.js', '.css'].includes(path.extname(pathname));
+}
+
+/**
+ * Map a request path to a site file. Subdirectories (.git, tests, fixtures),
+ * dotfiles and other extensions are never served.
+ * @param {string} pathname - Decoded request path
+ * @returns {string|null} Absolute file path, or null when the path is not public
+ */
+function resolvePublicFile(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  if (segments.length !== 1) return null;
+
+  const [name] = segments;
+  if (name.startsWith('.') || name.includes('\\') || name.includes('\0') ||
+    SERVER_CONFIG.privateFiles.includes(name) ||
+    !SERVER_CONFIG.publicExtensions.includes(path.extname(name))) {
+    return null;
+  }
+
+  const file = path.join(SERVER_CONFIG.root, name);
+  return fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+}
+
+function send(res, status, body, type = CONTENT_TYPES['.html']) {
+  res.writeHead(status, { 'Content-Type': type });
+  res.end(body);
+}
+
+/**
+ * Answer /api/results?date=&region= like RestAdapter expects
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} res - Response
+ * @param {DirectoryAdapter} adapter - Data source
+ */
+async function handleAPI(url, res, adapter) {
+  const date = url.searchParams.get('date');
+  const region = url.searchParams.get('region') || 'all';
+  const available = /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? adapter.listRegions(date) : [];
+  const regions = region === 'all' ? available : [region];
+
+  if (regions.length === 0 || !regions.every(key => available.includes(key))) {
+    send(res, 404, JSON.stringify({ error: `No results for ${region} on ${date}` }), CONTENT_TYPES['.json']);
+    return;
+  }
+
+  const payload = await adapter.fetchResults(date, region);
+  if (adapter.demo) {
+    res.setHeader(REQUEST_CONFIG.demoHeader, '1');
+  }
+  send(res, 200, JSON.stringify(payload), CONTENT_TYPES['.json']);
+}
+
+/**
+ * Create the request handler
+ * @param {Object} options - { data, demo }
+ * @returns {Function} (req, res) handler
+ */
+function createHandler({ data, demo }) {
+  const adapter = new DirectoryAdapter(data, { demo });
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (allowsCrossOrigin(url.pathname)) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Expose-Headers', REQUEST_CONFIG.demoHeader);
+    }
+
+    try {
+      if (url.pathname.startsWith('/api/results')) {
+        await handleAPI(url, res, adapter);
+        return;
+      }
+
+      // Pretty links go to index.html, like 404.html does on static hosts
+      if (Router.parsePrettyPath(url.pathname)) {
+        res.writeHead(302, { Location: `/index.html?path=${encodeURIComponent(url.pathname)}` });
+        res.end();
+        return;
+      }
+
+      let pathname;
+      try {
+        pathname = url.pathname === '/' ? '/index.html' : decodeURIComponent(url.pathname);
+      } catch (error) {
+        // Malformed escape such as /%E0%A4%A
+        send(res, 400, 'Bad Request', 'text/plain; charset=utf-8');
+        return;
+      }
+
+      const file = resolvePublicFile(pathname);
+      if (!file) {
+        send(res, 404, fs.readFileSync(path.join(SERVER_CONFIG.root, '404.html')));
+        return;
+      }
+
+      if (pathname === '/index.html') {
+        send(res, 200, await renderIndex(fs.readFileSync(file, 'utf8'), req.url, adapter));
+        return;
+      }
+
+      send(res, 200, fs.readFileSync(file), CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+    } catch (error) {
+      console.error(`${req.method} ${req.url} failed:`, error);
+      send(res, 500, 'Internal Server Error', 'text/plain; charset=utf-8');
+    }
+  };
+}
+
+// ================================================== //
+// COMMAND LINE                                       //
+// ================================================== //
+
+function parseArgs(argv) {
+  const options = { data: GENERATOR_CONFIG.data, port: SERVER_CONFIG.port, demo: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--demo') {
+      options.demo = true;
+    } else if (argv[i] === '--data') {
+      options.data = argv[++i];
+    } else if (argv[i] === '--port') {
+      options.port = Number(argv[++i]);
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  http.createServer(createHandler(options)).listen(options.port, () => {
+    console.log(`KQXS server on http://localhost:${options.port} (data: ${options.data}${options.demo ? ', demo' : ''})`);
+  });
+}
+
+module.exports = {
+  SERVER_CONFIG,
+  allowsCrossOrigin,
+  resolvePublicFile,
+  replaceElementContent,
+  replaceHeadMetadata,
+  renderIndex,
+  createHandler
+};
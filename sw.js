@@ -0,0 +1,294 @@
+/**
+ * KQXS Service Worker
+ * Offline access, background sync and push notifications
+ */
+
+// ================================================== //
+// CONFIGURATION                                      //
+// ================================================== //
+
+// Bump on every release: a new version installs a fresh precache and
+// deletes the caches of the previous one
+const SW_VERSION = 'v2';
+const STATIC_CACHE = `kqxs-static-${SW_VERSION}`;
+const RESULTS_CACHE = `kqxs-results-${SW_VERSION}`;
+
+// Must match OFFLINE_CONFIG in app.js
+const SYNC_TAG = 'kqxs-today-results';
+const OFFLINE_HEADER = 'X-KQXS-Offline';
+
+// Result endpoints: the REST API and the StaticJSONAdapter file tree
+const RESULTS_PATHS = ['/api/results', '/data/'];
+
+// Result responses kept for offline use; the oldest are dropped first
+const RESULTS_CACHE_LIMIT = 60;
+
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './north.html',
+  './central.html',
+  './south.html',
+  './archive.html',
+  './statistics.html',
+  './soi-cau.html',
+  './prediction.html',
+  './sitemap.html',
+  './results-30-07-2025.html',
+  './results-31-07-2025.html',
+  './design-system.css',
+  './main.js',
+  './app.js',
+  './modules.js'
+];
+
+// ================================================== //
+// LIFECYCLE                                          //
+// ================================================== //
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(STATIC_CACHE)
+      .then(precache)
+      .then(() => self.skipWaiting())
+  );
+});
+
+/**
+ * Cache each precache URL on its own, so one missing page (e.g. a dated
+ * result page that was not generated) doesn't fail the whole install
+ * @param {Cache} cache - Static cache
+ * @returns {Promise<void>} Resolves once every URL was tried
+ */
+async function precache(cache) {
+  const results = await Promise.allSettled(PRECACHE_URLS.map(url => cache.add(url)));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.warn(`Precache skipped ${PRECACHE_URLS[index]}:`, result.reason);
+    }
+  });
+}
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('kqxs-') && key !== STATIC_CACHE && key !== RESULTS_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ================================================== //
+// FETCH STRATEGIES                                   //
+// ================================================== //
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (sameOrigin && isResultsRequest(url)) {
+    // Live polls change every few seconds: not worth an offline copy
+    if (url.searchParams.get('live') === '1') return;
+    event.respondWith(networkFirstResults(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirstPage(request));
+  } else if (sameOrigin && ['script', 'style'].includes(request.destination)) {
+    // The site's own scripts and styles must match the pages just fetched
+    event.respondWith(networkFirstAsset(request));
+  } else {
+    event.respondWith(staleWhileRevalidate(request));
+  }
+});
+
+/**
+ * Check whether a URL points at lottery results
+ * @param {URL} url - Request URL
+ * @returns {boolean} True for result endpoints
+ */
+function isResultsRequest(url) {
+  return RESULTS_PATHS.some(path => url.pathname.startsWith(path));
+}
+
+/**
+ * Results: always try the network so the page gets fresh numbers; keep a
+ * copy of every successful response for the dates the user has viewed.
+ * Offline copies carry OFFLINE_HEADER so APIService labels them
+ * 'offline-cached' instead of live.
+ * @param {Request} request - Results request
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirstResults(request) {
+  const cache = await caches.open(RESULTS_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      await trimCache(cache, RESULTS_CACHE_LIMIT);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (!cached) {
+      throw error;
+    }
+
+    const headers = new Headers(cached.headers);
+    headers.set(OFFLINE_HEADER, '1');
+    return new Response(cached.body, {
+      status: cached.status,
+      statusText: cached.statusText,
+      headers
+    });
+  }
+}
+
+/**
+ * Delete the oldest entries beyond a limit
+ * @param {Cache} cache - Cache to trim
+ * @param {number} limit - Entries to keep
+ * @returns {Promise<void>} Resolves once trimmed
+ */
+async function trimCache(cache, limit) {
+  // Cache#keys lists requests in insertion order
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+/**
+ * Pages: network first so content stays current, precached copy offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} Network or cached page
+ */
+async function networkFirstPage(request) {
+  const cache = await caches.open(STATIC_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request, { ignoreSearch: true })) ||
+      (await cache.match('./index.html')) ||
+      Response.error();
+  }
+}
+
+/**
+ * Own scripts and styles: network first, so a deploy never runs new pages
+ * against last release's app.js; cached copy offline
+ * @param {Request} request - Script or stylesheet request
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirstAsset(request) {
+  const cache = await caches.open(STATIC_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(request, { ignoreSearch: true })) || Response.error();
+  }
+}
+
+/**
+ * Other assets (CDN files, images): answer from cache at once and refresh
+ * the copy in the background
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(STATIC_CACHE);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then(response => {
+      // Opaque CDN responses report status 0 but are still usable
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+
+  return cached || network;
+}
+
+// ================================================== //
+// BACKGROUND SYNC                                    //
+// ================================================== //
+
+/**
+ * Today's date as YYYY-MM-DD in local time, like DrawSchedule.toDateKey
+ * @returns {string} Date key
+ */
+function todayKey() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Fetch today's results into the results cache and tell open pages
+ * @returns {Promise<void>} Rejects so the browser retries the sync later
+ */
+async function syncTodayResults() {
+  const date = todayKey();
+  const request = new Request(`/api/results?date=${date}&region=all`);
+  const response = await fetch(request);
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const cache = await caches.open(RESULTS_CACHE);
+  await cache.put(request, response);
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'sync-complete', date }));
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(syncTodayResults());
+  }
+});
+
+// ================================================== //
+// PUSH NOTIFICATIONS                                 //
+// ================================================== //
+
+// Push servers send ResultAlerts messages: { tag, title, body, url }
+self.addEventListener('push', (event) => {
+  if (!event.data) return;
+
+  const { tag, title, body, url = './index.html' } = event.data.json();
+  event.waitUntil(
+    self.registration.showNotification(title, { tag, body, data: { url }, lang: 'vi' })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || './index.html', self.location.href).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const open = clients.find(client => client.url === url);
+      return open ? open.focus() : self.clients.openWindow(url);
+    })
+  );
+});
@@ -0,0 +1,116 @@
+/**
+ * CacheManager, its persistent tier and APIService caching rules
+ * Run: node --test tests/
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  APIService,
+  CacheManager,
+  DrawSchedule,
+  FixtureAdapter,
+  LocalStorageStore
+} = require('../app.js');
+
+/**
+ * In-memory localStorage that throws like a browser once `quota` characters are used
+ * @param {number} quota - Characters available to keys and values
+ * @returns {Object} Storage
+ */
+function createStorage(quota = Infinity) {
+  const items = new Map();
+  const used = () => [...items].reduce((sum, [key, value]) => sum + key.length + value.length, 0);
+
+  return {
+    get length() { return items.size; },
+    key: index => [...items.keys()][index] ?? null,
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      const previous = items.has(key) ? key.length + items.get(key).length : 0;
+      if (used() - previous + key.length + String(value).length > quota) {
+        throw Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' });
+      }
+      items.set(key, String(value));
+    },
+    removeItem: key => { items.delete(key); }
+  };
+}
+
+const entry = (value, timestamp) => ({ value, timestamp, expires: null, regions: ['north'] });
+
+describe('LocalStorageStore', () => {
+  beforeEach(() => {
+    globalThis.localStorage = createStorage(1200);
+  });
+
+  afterEach(() => {
+    delete globalThis.localStorage;
+  });
+
+  it('evicts the oldest entries on a quota error and keeps its budget', async () => {
+    const store = new LocalStorageStore({ maxEntries: 100, maxBytes: 100000 });
+
+    for (let i = 0; i < 10; i++) {
+      await store.set(`day-${i}`, entry('x'.repeat(100), i));
+    }
+
+    assert.equal(store.maxBytes, 100000);
+    assert.ok(store.getStats().evictions > 0);
+    assert.ok(await store.get('day-9'));
+    assert.equal(await store.get('day-0'), null);
+  });
+
+  it('reads every record once, not on each write', async () => {
+    const store = new LocalStorageStore({ maxEntries: 3, maxBytes: 100000 });
+    let reads = 0;
+    const readAll = store.readAll.bind(store);
+    store.readAll = () => {
+      reads++;
+      return readAll();
+    };
+
+    for (let i = 0; i < 6; i++) {
+      await store.set(`day-${i}`, entry(i, i));
+    }
+
+    assert.equal(reads, 1);
+    assert.deepEqual((await store.entries()).map(record => record.key).sort(), ['day-3', 'day-4', 'day-5']);
+    assert.equal(store.getStats().entries, 3);
+  });
+});
+
+describe('APIService caching', () => {
+  const file = path.join(__dirname, '..', 'fixtures', 'results', '2025', '07', '30', 'north.json');
+  const north = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  it('caches a complete past result', async () => {
+    const api = new APIService({ adapter: new FixtureAdapter({ '2025-07-30': { north } }), cache: new CacheManager() });
+
+    await api.getLotteryResults('2025-07-30', 'north');
+
+    assert.ok(api.cache.get('results_2025-07-30_north'));
+  });
+
+  it('never caches a draw in progress', async () => {
+    const today = DrawSchedule.today();
+    // Special prize not drawn yet
+    const drawing = {
+      ...north,
+      date: today,
+      provinces: north.provinces.map(province => ({
+        ...province,
+        prizes: province.prizes.filter(prize => prize.tier !== 'special')
+      }))
+    };
+    const api = new APIService({ adapter: new FixtureAdapter({ [today]: { north: drawing } }), cache: new CacheManager() });
+
+    const results = await api.getLotteryResults(today, 'north');
+
+    assert.equal(results.north.partial, true);
+    assert.equal(api.cache.cache.size, 0);
+  });
+});
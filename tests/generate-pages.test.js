@@ -0,0 +1,76 @@
+/**
+ * Static page generator, against the fixtures/results snapshot committed
+ * in the repository root
+ * Run: node --test tests/
+ *
+ * A failure after an intended markup change: run
+ * `node generate-pages.js --demo` and commit the regenerated pages.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { ResultMetadata } = require('../app.js');
+const {
+  GENERATOR_CONFIG,
+  DirectoryAdapter,
+  loadResults,
+  buildPages,
+  buildSitemapSection,
+  updateSitemap,
+  buildSitemapXML,
+  buildFeed
+} = require('../generate-pages.js');
+
+const root = path.join(__dirname, '..');
+const snapshot = name => fs.readFileSync(path.join(root, name), 'utf8');
+
+describe('generate-pages.js', () => {
+  let days;
+
+  before(async () => {
+    // The committed pages are built from the fixtures with --demo
+    days = await loadResults(new DirectoryAdapter(path.join(root, GENERATOR_CONFIG.data), { demo: true }));
+  });
+
+  it('loads every fixture day', () => {
+    assert.deepEqual(Object.keys(days), ['2025-07-29', '2025-07-30', '2025-07-31']);
+  });
+
+  it('builds the committed result pages', () => {
+    const pages = buildPages(days);
+
+    assert.ok(Object.keys(pages).length > 0);
+    Object.entries(pages).forEach(([name, html]) => {
+      assert.equal(html, snapshot(name), `${name} differs from the committed page`);
+    });
+  });
+
+  it('builds the committed sitemap.html section, sitemap.xml and rss.xml', () => {
+    const sitemap = snapshot(GENERATOR_CONFIG.sitemap);
+
+    assert.equal(updateSitemap(sitemap, buildSitemapSection(days)), sitemap);
+    assert.equal(buildSitemapXML(days), snapshot(GENERATOR_CONFIG.sitemapXML));
+    assert.equal(buildFeed(days), snapshot(GENERATOR_CONFIG.feed));
+  });
+
+  it('shares one canonical URL per day and region with the home page', () => {
+    const pages = buildPages(days);
+    const canonical = html => /<link rel="canonical" href="([^"]+)">/.exec(html)[1];
+
+    [{ date: '2025-07-30', region: 'all' }, { date: '2025-07-30', region: 'north' }].forEach(state => {
+      const name = ResultMetadata.getPageName(state);
+      assert.equal(canonical(pages[name]), ResultMetadata.getViewURL(state));
+      assert.equal(ResultMetadata.getViewURL(state), `${GENERATOR_CONFIG.site}/${name}`);
+    });
+  });
+
+  it('gives identical output on every run', async () => {
+    const again = await loadResults(new DirectoryAdapter(path.join(root, GENERATOR_CONFIG.data), { demo: true }));
+
+    assert.deepEqual(buildPages(again), buildPages(days));
+    assert.equal(buildFeed(again), buildFeed(days));
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * LiveDrawService: live windows on Vietnam time and the polling transport
+ * Run: node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DrawSchedule, LiveDrawService } = require('../app.js');
+
+describe('DrawSchedule on Vietnam time', () => {
+  it('dates a moment by the calendar day in Vietnam', () => {
+    // 23:30 UTC is 06:30 the next morning in Hà Nội
+    assert.equal(DrawSchedule.today(new Date('2025-07-29T23:30:00Z')), '2025-07-30');
+    assert.equal(DrawSchedule.today(new Date('2025-07-30T16:59:00Z')), '2025-07-30');
+  });
+
+  it('places draw starts at UTC+7 whatever the local time zone', () => {
+    assert.equal(DrawSchedule.getDrawStart('north', '2025-07-30').toISOString(), '2025-07-30T11:15:00.000Z');
+  });
+});
+
+describe('LiveDrawService', () => {
+  it('is live around the draw in Vietnam, not around the local clock', () => {
+    const live = new LiveDrawService({ baseURL: '' });
+
+    // Wednesday 2025-07-30, 18:20 in Hà Nội
+    assert.equal(live.isLive('north', new Date('2025-07-30T11:20:00Z')), true);
+    // 18:20 UTC is 01:20 on Thursday in Hà Nội
+    assert.equal(live.isLive('north', new Date('2025-07-30T18:20:00Z')), false);
+  });
+
+  it('stops polling once unsubscribed, even with a request in flight', async () => {
+    let calls = 0;
+    let release;
+    const apiService = {
+      baseURL: '',
+      getLiveResults: () => {
+        calls++;
+        const drawn = { north: { region: 'north', provinces: [{ code: 'HN', prizes: [{ tier: 'special', numbers: ['12345'] }] }] } };
+        return new Promise(resolve => { release = () => resolve(drawn); });
+      }
+    };
+    const live = new LiveDrawService(apiService, { transport: 'polling', pollInterval: 10 });
+    const updates = [];
+
+    live.subscribe('north', '2025-07-30', update => updates.push(update));
+    assert.equal(calls, 1);
+
+    live.unsubscribe('north');
+    release();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(calls, 1);
+    assert.deepEqual(updates, []);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * ResultExport rows and CSV, against the 30/07/2025 fixtures
+ * Run: node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { EXPORT_CONFIG, ResultExport, ResultModel, ResultProvenance } = require('../app.js');
+
+const file = path.join(__dirname, '..', 'fixtures', 'results', '2025', '07', '30', 'north.json');
+const north = (provenance) => ResultProvenance.tag(
+  ResultModel.parse({ north: JSON.parse(fs.readFileSync(file, 'utf8')) }, 'north'),
+  provenance
+).north;
+
+/**
+ * Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF rows
+ * @param {string} text - CSV
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+function parseCSV(text) {
+  const rows = [[]];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      rows.at(-1).push(field);
+      field = '';
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      rows.at(-1).push(field);
+      rows.push([]);
+      field = '';
+      i++;
+    } else {
+      field += char;
+    }
+  }
+  rows.at(-1).push(field);
+  return rows;
+}
+
+describe('ResultExport', () => {
+  it('writes one row per number, labelled with its provenance', () => {
+    const rows = ResultExport.toRows([north('live'), north('demo')]);
+
+    assert.equal(rows.length, 54);
+    assert.deepEqual(rows[0], {
+      date: '2025-07-30',
+      region: 'XSMB',
+      province: 'BN',
+      provinceName: 'Bắc Ninh',
+      tier: 'special',
+      tierName: 'Giải đặc biệt',
+      index: 1,
+      number: '71041',
+      provenance: 'official'
+    });
+    assert.equal(rows[27].provenance, 'demo');
+  });
+
+  it('keeps numbers as text in CSV so leading zeros survive Excel', () => {
+    const row = { ...ResultExport.toRows([north('live')])[0], number: '01234' };
+    const [header, line] = ResultExport.toCSV([row]).split('\r\n');
+
+    assert.equal(header, EXPORT_CONFIG.columns.join(','));
+    assert.equal(line, '2025-07-30,XSMB,BN,Bắc Ninh,special,Giải đặc biệt,1,"=""01234""",official');
+  });
+
+  it('reads back from CSV as the exported rows once the text cells are unwrapped', () => {
+    const rows = ResultExport.toRows([north('live'), north('demo')]);
+    const [header, ...lines] = parseCSV(ResultExport.toCSV(rows));
+    const unwrap = (column, value) => (EXPORT_CONFIG.textColumns.includes(column) ? /^="(.*)"$/.exec(value)[1] : value);
+
+    assert.deepEqual(header, EXPORT_CONFIG.columns);
+    assert.deepEqual(
+      lines.map(fields => Object.fromEntries(header.map((column, i) => [column, unwrap(column, fields[i])]))),
+      rows.map(row => Object.fromEntries(header.map(column => [column, String(row[column])])))
+    );
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * ResultsManager teardown in a jsdom page: destroy() must leave no
+ * listeners, timers or toasts behind
+ * Run: node --test tests/ (after `npm install` in tests/)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const body = /<body([^>]*)>([\s\S]*)<\/body>/.exec(fs.readFileSync(path.join(root, 'index.html'), 'utf8'));
+
+const dom = new JSDOM(
+  `<!DOCTYPE html><html><head></head><body${body[1]}>${body[2].replace(/<script[\s\S]*?<\/script>/g, '')}</body></html>`,
+  { url: 'http://localhost/index.html?date=2025-07-30&region=north', pretendToBeVisual: true }
+);
+const { window } = dom;
+
+// app.js reads browser globals when it runs, not when it loads. Node's own
+// fetch, AbortController and timers stay; events must be jsdom's to dispatch.
+Object.getOwnPropertyNames(window)
+  .filter(key => !(key in globalThis))
+  .forEach(key => { globalThis[key] = window[key]; });
+Object.assign(globalThis, { window, Event: window.Event, CustomEvent: window.CustomEvent });
+window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+
+// Listeners attached and not removed yet
+const listeners = [];
+const { addEventListener, removeEventListener } = window.EventTarget.prototype;
+window.EventTarget.prototype.addEventListener = function (type, handler, options) {
+  listeners.push({ target: this, type, handler });
+  return addEventListener.call(this, type, handler, options);
+};
+window.EventTarget.prototype.removeEventListener = function (type, handler, options) {
+  const index = listeners.findIndex(item => item.target === this && item.type === type && item.handler === handler);
+  if (index !== -1) listeners.splice(index, 1);
+  return removeEventListener.call(this, type, handler, options);
+};
+
+const {
+  APIService,
+  CacheManager,
+  FixtureAdapter,
+  KQXSApp,
+  MANAGER_DEFINITIONS,
+  ManagerRegistry
+} = require('../app.js');
+
+const fixture = (region) => JSON.parse(fs.readFileSync(path.join(root, 'fixtures', 'results', '2025', '07', '30', `${region}.json`), 'utf8'));
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ResultsManager teardown', () => {
+  let adapter;
+  let requests = 0;
+  // While set, requests wait for this promise
+  let hold = null;
+
+  before(() => {
+    const fixtures = new FixtureAdapter({ '2025-07-30': { north: fixture('north'), central: fixture('central'), south: fixture('south') } });
+    // Any date gets the 30/07/2025 draw, so live mode (when the test runs
+    // during a draw) polls successfully too
+    adapter = {
+      name: 'counting',
+      async fetchResults(date, region) {
+        requests++;
+        await hold;
+        return fixtures.fetchResults('2025-07-30', region);
+      }
+    };
+  });
+
+  after(() => window.close());
+
+  const createApp = () => new KQXSApp({
+    managers: ['accessibility', 'results'],
+    registry: new ManagerRegistry({
+      ...MANAGER_DEFINITIONS,
+      api: { create: () => new APIService({ adapter, cache: new CacheManager(100, Infinity, null) }) }
+    })
+  });
+
+  it('renders the results from the URL', async () => {
+    const app = createApp();
+    await app.init();
+
+    assert.ok(document.querySelector('#results-container .lottery-card'));
+    assert.match(document.getElementById('results-container').textContent, /71041/);
+    await app.destroy();
+  });
+
+  it('releases listeners, debounced handlers and toasts on destroy', async () => {
+    const listenersBefore = listeners.length;
+    const toasts = () => [...document.querySelectorAll('.toast')].length;
+    const toastsBefore = toasts();
+    const app = createApp();
+    await app.init();
+    const results = app.get('results');
+
+    assert.ok(listeners.length > listenersBefore);
+
+    // A toast on screen and a region change still waiting for its debounce
+    window.dispatchEvent(new window.Event('offline'));
+    const selector = document.getElementById('region-selector');
+    selector.value = 'south';
+    selector.dispatchEvent(new window.Event('change'));
+    assert.ok([...document.querySelectorAll('.toast')].some(toast => /Mất kết nối/.test(toast.textContent)));
+
+    const requestsBefore = requests;
+    await app.destroy();
+
+    assert.equal(results.disposables.size, 0);
+    assert.equal(listeners.length, listenersBefore);
+    assert.equal(toasts(), toastsBefore);
+
+    // Past the debounce and the toast's timers: nothing ran
+    await wait(3500);
+    assert.equal(requests, requestsBefore);
+    assert.equal(window.location.search, '?date=2025-07-30&region=north');
+    assert.equal(toasts(), toastsBefore);
+  });
+
+  it('releases a manager destroyed while its init() is still loading', async () => {
+    const listenersBefore = listeners.length;
+    let release;
+    hold = new Promise(resolve => { release = resolve; });
+
+    const app = createApp();
+    const init = app.init();
+    while (!app.get('results')) await wait(10);
+    const results = app.get('results');
+
+    await app.destroy();
+    release();
+    hold = null;
+    await init;
+    await wait(50);
+
+    assert.equal(app.get('results'), null);
+    assert.equal(results.disposables.size, 0);
+    assert.equal(listeners.length, listenersBefore);
+  });
+
+  it('starts again cleanly after destroy', async () => {
+    const listenersBefore = listeners.length;
+
+    for (let run = 0; run < 2; run++) {
+      const app = createApp();
+      await app.init();
+      await app.destroy();
+    }
+
+    assert.equal(listeners.length, listenersBefore);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * server.js static file serving
+ * Run: node --test tests/
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+
+const { GENERATOR_CONFIG } = require('../generate-pages.js');
+const { createHandler } = require('../server.js');
+
+describe('server.js static files', () => {
+  let server;
+  let origin;
+
+  before(async () => {
+    server = http.createServer(createHandler({ data: path.join(__dirname, '..', GENERATOR_CONFIG.data), demo: true }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const status = async (pathname) => (await fetch(origin + pathname)).status;
+
+  it('serves the site files', async () => {
+    assert.equal(await status('/'), 200);
+    assert.equal(await status('/app.js'), 200);
+    assert.equal(await status('/design-system.css'), 200);
+    assert.equal(await status('/sitemap.xml'), 200);
+  });
+
+  it('does not serve the repository, tooling or test data', async () => {
+    for (const pathname of [
+      '/.git/config',
+      '/.git/HEAD',
+      '/requests.jsonl',
+      '/README.md',
+      '/server.js',
+      '/generate-pages.js',
+      '/tests/server.test.js',
+      '/fixtures/results/2025/07/30/north.json',
+      '/%2e%2e/etc/passwd',
+      '/..%2F..%2Fetc%2Fpasswd',
+      '/%2Egit%2Fconfig'
+    ]) {
+      assert.equal(await status(pathname), 404, pathname);
+    }
+  });
+
+  it('answers a malformed escape with 400', async () => {
+    assert.equal(await status('/%E0%A4%A'), 400);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * TicketChecker payouts, against the 30/07/2025 fixtures
+ * Run: node --test tests/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { ResultModel, ResultProvenance, TicketChecker } = require('../app.js');
+
+/**
+ * Normalized region result from fixtures/results
+ * @param {string} region - Region code
+ * @param {string} provenance - PROVENANCE key to tag the result with
+ * @param {Function} edit - Optional change to the raw payload
+ * @returns {Object} Region result
+ */
+function loadResult(region, provenance = 'live', edit = payload => payload) {
+  const file = path.join(__dirname, '..', 'fixtures', 'results', '2025', '07', '30', `${region}.json`);
+  const payload = edit(JSON.parse(fs.readFileSync(file, 'utf8')));
+  const results = ResultModel.parse({ [region]: payload }, region, { partial: true });
+  return ResultProvenance.tag(results, provenance)[region];
+}
+
+const amounts = result => result.wins.map(win => [win.tier, win.amount]);
+
+describe('TicketChecker.check (XSMB)', () => {
+  const north = loadResult('north');
+
+  it('pays the special prize', () => {
+    const result = TicketChecker.check('71041', north, 'BN');
+    assert.deepEqual(amounts(result), [['special', 500000000]]);
+    assert.equal(result.totalAmount, 500000000);
+  });
+
+  it('pays every tier matching the trailing digits', () => {
+    assert.deepEqual(amounts(TicketChecker.check('00037', north, 'BN')), [['seventh', 100000]]);
+    assert.deepEqual(amounts(TicketChecker.check('13192', north, 'BN')), [['third', 10000000]]);
+  });
+
+  it('pays the encouragement prize for the last two digits of the special prize', () => {
+    assert.deepEqual(amounts(TicketChecker.check('99941', north, 'BN')), [['encouragement', 40000]]);
+  });
+
+  it('returns no wins for a losing ticket', () => {
+    const result = TicketChecker.check('12345', north, 'BN');
+    assert.deepEqual(result.wins, []);
+    assert.equal(result.totalAmount, 0);
+    assert.equal(result.error, undefined);
+  });
+
+  it('rejects tickets of the wrong length and provinces not drawing that day', () => {
+    assert.match(TicketChecker.check('1234', north, 'BN').error, /5 chữ số/);
+    assert.match(TicketChecker.check('71041', north, 'HN').error, /không quay/);
+  });
+});
+
+describe('TicketChecker.check (XSMN)', () => {
+  const south = loadResult('south');
+
+  it('pays the special prize', () => {
+    assert.deepEqual(amounts(TicketChecker.check('890751', south, 'DN')), [['special', 3000000000]]);
+  });
+
+  it('pays the sub-special prize when only the first digit differs', () => {
+    assert.deepEqual(amounts(TicketChecker.check('190751', south, 'DN')), [['subSpecial', 50000000]]);
+  });
+
+  it('adds the encouragement prize to other wins', () => {
+    const result = TicketChecker.check('890752', south, 'DN');
+    assert.deepEqual(amounts(result), [['eighth', 100000], ['encouragement', 6000000]]);
+    assert.equal(result.totalAmount, 6100000);
+  });
+
+  it('checks against the province printed on the ticket', () => {
+    assert.deepEqual(amounts(TicketChecker.check('000052', south, 'DN')), [['eighth', 100000]]);
+    assert.deepEqual(amounts(TicketChecker.check('000052', south, 'CT')), []);
+  });
+});
+
+describe('TicketChecker.check with non-authoritative results', () => {
+  ['demo', 'offline-cached', 'unknown'].forEach(provenance => {
+    it(`refuses to pay out against ${provenance} results`, () => {
+      const result = TicketChecker.check('71041', loadResult('north', provenance), 'BN');
+      assert.equal(result.unverified, true);
+      assert.ok(result.error);
+      assert.deepEqual(result.wins, []);
+      assert.equal(result.totalAmount, 0);
+    });
+  });
+
+  it('treats untagged results as unverified', () => {
+    const { provenance, ...untagged } = loadResult('north');
+    assert.equal(provenance, 'live');
+    assert.equal(TicketChecker.check('71041', untagged, 'BN').unverified, true);
+  });
+});
+
+describe('TicketChecker.check with a draw in progress', () => {
+  const north = loadResult('north', 'live', payload => ({
+    ...payload,
+    provinces: payload.provinces.map(province => ({
+      ...province,
+      prizes: province.prizes.filter(prize => prize.tier === 'special' || prize.tier === 'seventh')
+    }))
+  }));
+
+  it('pays the prizes drawn so far and flags the result as partial', () => {
+    const result = TicketChecker.check('00037', north, 'BN');
+    assert.deepEqual(amounts(result), [['seventh', 100000]]);
+    assert.equal(result.partial, true);
+  });
+});
+
+describe('TicketChecker.checkBatch', () => {
+  const results = { north: loadResult('north'), south: loadResult('south') };
+
+  it('totals the wins of several tickets across regions', () => {
+    const tickets = TicketChecker.parseTickets('71041 bn, 890752 DN\n12345 BN', 'HCM');
+    const batch = TicketChecker.checkBatch(tickets, results);
+
+    assert.deepEqual(batch.results.map(result => result.province), ['BN', 'DN', 'BN']);
+    assert.equal(batch.winningCount, 2);
+    assert.equal(batch.totalAmount, 500000000 + 6100000);
+  });
+
+  it('reports regions without results and unknown provinces', () => {
+    const batch = TicketChecker.checkBatch([
+      { number: '123456', province: 'TTH' },
+      { number: '123456', province: 'XX' }
+    ], results);
+
+    assert.match(batch.results[0].error, /Chưa có kết quả XSMT/);
+    assert.match(batch.results[1].error, /Mã đài không hợp lệ/);
+    assert.equal(batch.totalAmount, 0);
+  });
+
+  it('pays nothing for tickets checked against demo results', () => {
+    const batch = TicketChecker.checkBatch(
+      TicketChecker.parseTickets('71041', 'BN'),
+      { north: loadResult('north', 'demo') }
+    );
+    assert.equal(batch.winningCount, 0);
+    assert.equal(batch.totalAmount, 0);
+  });
+});
@@ -0,0 +1,368 @@
+/**
+ * KQXS Results Widget
+ * <kqxs-results> custom element for partner sites:
+ *
+ *   <script type="module" src="https://kqxs.example.com/widget.js"></script>
+ *   <kqxs-results region="north" date="today"></kqxs-results>
+ *
+ * Attributes: region (north | central | south | all), date (today,
+ * YYYY-MM-DD or DD-MM-YYYY), province (code such as HCM), loto (also show
+ * the lô tô tables) and fallback="none" (never switch to the iframe).
+ *
+ * Cards come from LotteryRenderer and are styled inside a Shadow DOM by the
+ * site's own design-system.css, adopted as a constructable stylesheet: the
+ * host page's CSS doesn't apply, and nothing is added to the host page or
+ * its window. Data, styles and links come
+ * from the site this script was loaded from; if that site cannot be reached
+ * from the partner's page, the element shows widget.html in an iframe instead.
+ */
+
+import {
+  APIService,
+  CacheManager,
+  CACHE_CONFIG,
+  DrawSchedule,
+  LiveDrawService,
+  LotteryRenderer,
+  PRIZE_SCHEMAS,
+  RequestError,
+  RestAdapter,
+  Router,
+  Utils
+} from './app.js';
+import { Disposables } from './modules.js';
+
+// ================================================== //
+// CONFIGURATION                                      //
+// ================================================== //
+
+const WIDGET_CONFIG = {
+  tagName: 'kqxs-results',
+  // Site the script was loaded from: data, links and the iframe come from there
+  baseURL: new URL('./', import.meta.url).href,
+  framePage: 'widget.html',
+  styleSheet: 'design-system.css',
+  frameHeight: 720,
+  attributes: ['region', 'date', 'province', 'loto']
+};
+
+// ================================================== //
+// STYLES                                             //
+// ================================================== //
+
+// Rules of the widget itself, on top of design-system.css
+const WIDGET_STYLES = `
+  :host {
+    display: block;
+    font-family: system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif;
+    font-size: var(--font-sm);
+    line-height: var(--leading-normal);
+    color: var(--gray-700);
+  }
+  :host([hidden]) { display: none; }
+
+  /* Hidden until design-system.css is applied (or failed to load) */
+  .widget:not(.widget--styled) { visibility: hidden; }
+
+  /* Font Awesome is not loaded inside the shadow root */
+  .fas { display: none; }
+
+  .lottery-card { margin-bottom: var(--space-3); }
+  .card:hover { transform: none; }
+  .card__header { padding: var(--space-2) var(--space-3); }
+  .card__body { padding: var(--space-2); }
+
+  .loto-grid { display: none; }
+  :host([loto]) .loto-grid { display: grid; margin-top: var(--space-2); }
+
+  .widget__source { display: block; text-align: right; font-size: var(--font-xs); color: var(--primary); }
+  .widget__frame { display: block; width: 100%; border: 0; }
+`;
+
+const widgetSheet = new CSSStyleSheet();
+widgetSheet.replaceSync(WIDGET_STYLES);
+
+// design-system.css, loaded once for every widget on the page
+let designSheet = null;
+
+/**
+ * Load the site's design-system.css as a constructable stylesheet. Its
+ * :root variables are moved to :host, the root of the shadow tree.
+ * @returns {Promise<CSSStyleSheet|null>} Sheet, or null if it could not be loaded
+ */
+function getDesignSheet() {
+  if (!designSheet) {
+    designSheet = fetch(new URL(WIDGET_CONFIG.styleSheet, WIDGET_CONFIG.baseURL))
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        return response.text();
+      })
+      .then(css => new CSSStyleSheet().replace(css.replace(/:root\b/g, ':host')))
+      .catch(error => {
+        console.warn('KQXS widget styles unavailable:', error);
+        return null;
+      });
+  }
+  return designSheet;
+}
+
+// ================================================== //
+// DATA                                               //
+// ================================================== //
+
+// One service per site, shared by every widget on the page
+const services = new Map();
+
+/**
+ * @param {string} baseURL - Site root
+ * @returns {APIService} Service reading {baseURL}api
+ */
+function getAPIService(baseURL) {
+  if (!services.has(baseURL)) {
+    services.set(baseURL, new APIService({
+      adapter: new RestAdapter(new URL('api', baseURL).href),
+      // Memory only: nothing is stored on the partner's origin
+      cache: new CacheManager(CACHE_CONFIG.memoryEntries, CACHE_CONFIG.defaultTTL, null)
+    }));
+  }
+  return services.get(baseURL);
+}
+
+// ================================================== //
+// RESULTS ELEMENT                                    //
+// ================================================== //
+
+class KQXSResultsElement extends HTMLElement {
+  static get observedAttributes() {
+    return WIDGET_CONFIG.attributes;
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.disposables = null;
+    this.renderer = null;
+    this.liveDraw = null;
+    this.timers = [];
+    // AbortController of the load in progress (see load)
+    this.loadController = null;
+    this.loaded = false;
+  }
+
+  connectedCallback() {
+    this.start();
+  }
+
+  disconnectedCallback() {
+    this.stop();
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || !this.disposables) return;
+
+    if (name !== 'loto') {
+      this.stop();
+      this.start();
+    }
+  }
+
+  /**
+   * Attributes as a view; invalid values and date="today" fall back to the
+   * defaults (today, every region)
+   * @returns {Object} { date, region, province }
+   */
+  getView() {
+    const params = new URLSearchParams();
+    ['date', 'region', 'province'].forEach(name => {
+      if (this.hasAttribute(name)) params.set(name, this.getAttribute(name));
+    });
+    return { ...Router.getDefaultState(), ...Router.parse(`?${params}`) };
+  }
+
+  start() {
+    const view = this.getView();
+    const api = getAPIService(WIDGET_CONFIG.baseURL);
+
+    this.shadowRoot.adoptedStyleSheets = [widgetSheet];
+    this.shadowRoot.innerHTML = `
+      <div class="widget theme-${view.region === 'all' ? 'north' : view.region}" part="widget">
+        <div class="widget__results" aria-live="polite"></div>
+        ${Utils.renderTag('a', {
+          className: 'widget__source',
+          href: new URL(`index.html${Router.toQuery(view)}`, WIDGET_CONFIG.baseURL).href,
+          target: '_blank',
+          rel: 'noopener'
+        }, 'Xem đầy đủ tại KQXS 3 Miền')}
+      </div>
+    `;
+
+    this.disposables = new Disposables();
+    this.renderer = new LotteryRenderer(this.shadowRoot.querySelector('.widget__results'), {
+      onRetry: () => this.load()
+    });
+    this.disposables.add(() => this.renderer.destroy());
+
+    this.liveDraw = new LiveDrawService(api);
+    this.disposables.add(() => this.liveDraw.unsubscribeAll());
+
+    this.applyStyles();
+    this.load();
+    this.scheduleRefresh();
+  }
+
+  /**
+   * Adopt design-system.css once loaded, then show the widget
+   */
+  async applyStyles() {
+    const sheet = await getDesignSheet();
+    if (sheet) {
+      this.shadowRoot.adoptedStyleSheets = [sheet, widgetSheet];
+    }
+    this.shadowRoot.querySelector('.widget')?.classList.add('widget--styled');
+  }
+
+  /**
+   * Release timers, live connections and the load in progress
+   */
+  stop() {
+    this.loadController?.abort();
+    this.loadController = null;
+    this.disposables?.dispose();
+    this.disposables = null;
+    this.liveDraw = null;
+    this.timers = [];
+  }
+
+  /**
+   * Fetch and render the results of the current view
+   */
+  async load() {
+    this.loadController?.abort();
+    const controller = new AbortController();
+    this.loadController = controller;
+    const isCurrent = () => this.loadController === controller;
+
+    const view = this.getView();
+    const results = this.shadowRoot.querySelector('.widget__results');
+    results.setAttribute('aria-busy', 'true');
+
+    try {
+      const data = await getAPIService(WIDGET_CONFIG.baseURL).getLotteryResults(view.date, view.region, {
+        signal: controller.signal
+      });
+      if (!isCurrent()) return;
+
+      this.renderer.render(data, view.region, { province: view.province });
+      this.loaded = true;
+    } catch (error) {
+      if (Utils.isAbortError(error) || !isCurrent()) return;
+
+      // A network error before anything loaded usually means the partner's
+      // page may not read the API (CORS, CSP): the iframe runs on our origin
+      const unreachable = error instanceof RequestError && error.status === null && !error.timedOut;
+      if (unreachable && !this.loaded && this.getAttribute('fallback') !== 'none') {
+        this.showFrame();
+        return;
+      }
+
+      console.error('KQXS widget failed to load results:', error);
+      this.renderer.renderError(error.status === 404
+        ? 'Chưa có kết quả cho ngày này.'
+        : 'Không thể tải kết quả. Vui lòng thử lại sau.');
+    } finally {
+      if (isCurrent()) {
+        this.loadController = null;
+        results.removeAttribute('aria-busy');
+      }
+    }
+  }
+
+  /**
+   * Reload and stream the draws of the shown regions while they run, and move
+   * date="today" to the next day after midnight in Vietnam
+   * @param {Date} now - Reference time
+   */
+  scheduleRefresh(now = new Date()) {
+    this.timers.forEach(release => release());
+    this.timers = [];
+
+    const view = this.getView();
+    const regions = view.region === 'all' ? Object.keys(PRIZE_SCHEMAS) : [view.region];
+
+    const today = DrawSchedule.today(now);
+    if (view.date === today) {
+      regions.forEach(region => {
+        if (DrawSchedule.getProvinces(region, today).length === 0) return;
+
+        const { start, end } = this.liveDraw.getLiveWindow(region, now);
+        if (now >= end) return;
+
+        if (now >= start) {
+          this.startLive(region, view.date);
+        } else {
+          this.timers.push(this.disposables.setTimeout(() => this.startLive(region, view.date), start - now));
+        }
+        this.timers.push(this.disposables.setTimeout(() => this.stopLive(region), end - now));
+      });
+    }
+
+    const nextDay = DrawSchedule.getVietnamTime(DrawSchedule.addDays(today, 1), '00:01');
+    this.timers.push(this.disposables.setTimeout(() => {
+      this.load();
+      this.scheduleRefresh();
+    }, nextDay - now));
+  }
+
+  /**
+   * @param {string} region - Region code
+   * @param {string} date - Today's date key
+   */
+  async startLive(region, date) {
+    const { liveDraw } = this;
+    await this.load();
+
+    // Stopped or restarted while loading
+    if (this.liveDraw === liveDraw) {
+      liveDraw.subscribe(region, date, (update) => this.renderer.revealNumber(update));
+    }
+  }
+
+  /**
+   * @param {string} region - Region code
+   */
+  stopLive(region) {
+    this.liveDraw.unsubscribe(region);
+    this.load();
+  }
+
+  /**
+   * Replace the widget with widget.html in an iframe, with the same attributes
+   */
+  showFrame() {
+    this.stop();
+
+    const url = new URL(WIDGET_CONFIG.framePage, WIDGET_CONFIG.baseURL);
+    WIDGET_CONFIG.attributes.forEach(name => {
+      if (this.hasAttribute(name)) url.searchParams.set(name, this.getAttribute(name));
+    });
+
+    this.shadowRoot.innerHTML = `
+      ${Utils.renderTag('iframe', {
+        className: 'widget__frame',
+        part: 'frame',
+        src: url.href,
+        title: 'Kết quả xổ số - KQXS 3 Miền',
+        height: WIDGET_CONFIG.frameHeight,
+        loading: 'lazy'
+      })}
+    `;
+  }
+}
+
+if (!customElements.get(WIDGET_CONFIG.tagName)) {
+  customElements.define(WIDGET_CONFIG.tagName, KQXSResultsElement);
+}
+
+export { WIDGET_CONFIG, KQXSResultsElement };